@@ -0,0 +1,74 @@
+// client/public/sw.js
+// The service worker (registered by src/socket/notifications.js in production builds).
+// It caches the whole build at install so the app starts offline, and shows the server's Web Push notifications
+// (DMs and mentions sent while no tab was connected). A notification is the server's payload:
+// { kind, conversation, messageId, senderId, username, title, body, groupId? }.
+
+// Every file of the build, listed by `vite build` (see ../vite.config.js); each build gets its own cache
+const BUILD = { version: 'dev', assets: ['/', '/manifest.json'] };
+const CACHE = `chat-shell-${BUILD.version}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE)
+        .then(cache => cache.addAll(BUILD.assets))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+const remember = (request, response) => {
+    if (!response.ok) return;
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(request, copy));
+};
+
+// Pages go to the network first, so a new deploy shows up on the next load, and fall back to the cached
+// shell offline. Built assets (/assets/*) carry a content hash in their names, so the cached copy is always right.
+// Everything else (the API, Socket.IO, uploads, other origins) goes to the network untouched.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request)
+            .then((response) => {
+                remember('/', response);
+                return response;
+            })
+            .catch(() => caches.match('/')));
+    } else if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request).then((response) => {
+            remember(request, response);
+            return response;
+        })));
+    }
+});
+
+// One notification per message: the same message pushed twice replaces the first
+self.addEventListener('push', (event) => {
+    const notification = event.data?.json();
+    if (!notification) return;
+    event.waitUntil(self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.messageId,
+        data: notification
+    }));
+});
+
+// Clicking brings a tab of the app forward and asks it to open the conversation; with no tab open,
+// a new one starts on the user's room list
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const notification = event.notification.data;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const tab = windows.find(client => client.focused) || windows[0];
+        if (!tab) return self.clients.openWindow('/');
+        tab.postMessage({ type: 'openConversation', notification });
+        return tab.focus();
+    }));
+});
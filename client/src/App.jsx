@@ -1,15 +1,22 @@
 // client/src/App.jsx
-import React, { useState, useEffect, Suspense, lazy } from 'react';
+import React, { useState, useEffect, useCallback, useRef, Suspense, lazy } from 'react';
 import { UserGroupIcon } from '@heroicons/react/24/solid';
 
 // --- IMPORT THE SOCKET AND HOOK FROM YOUR SOCKET SETUP FILE ---
-import { socket, useSocket } from './socket/socket';
+import { socket, useSocket, onRoomListChanged } from './socket/socket';
+import { stopPushNotifications } from './socket/notifications';
+import RoomDirectory from './components/RoomDirectory';
+import { register as registerAccount, login as loginAccount, saveSession, loadSession, clearSession } from './api/auth';
 
 // Lazily load the ChatInterface component.
 const LazyChatInterface = lazy(() => import('./ChatInterface'));
 
 function App() {
+    const [session, setSession] = useState(() => loadSession()); // { token, user } once signed in
+    const [authMode, setAuthMode] = useState('login'); // 'login' | 'register'
     const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [authError, setAuthError] = useState('');
     const [room, setRoom] = useState('');
     const [isLoggedIn, setIsLoggedIn] = useState(false);
 
@@ -19,7 +26,8 @@ function App() {
     // --- USE THE CUSTOM SOCKET HOOK ---
     const {
         isConnected: socketConnected,
-        connectAndJoinRoom,
+        connectionError,
+        connectWithToken,
         disconnect: hookDisconnect
     } = useSocket();
 
@@ -29,41 +37,111 @@ function App() {
         if (!debugSocketUrl) {
             console.error("DEBUG: VITE_REACT_APP_SOCKET_URL is NOT set in the Vercel environment!"); // CHANGED LOG
         }
+    }, [debugSocketUrl]);
 
-        if (!socket.connected) {
-            socket.connect();
+    // The server only accepts authenticated sockets, so connect once we have a token
+    useEffect(() => {
+        if (session?.token) {
+            connectWithToken(session.token);
         }
-        return () => {}; // Keeping cleanup empty as per your original
-    }, [debugSocketUrl]);
+    }, [session?.token]);
+
+    // An expired or revoked token is rejected during the handshake: send the user back to sign in
+    useEffect(() => {
+        if (session && connectionError === 'Authentication required') {
+            hookDisconnect();
+            clearSession();
+            setSession(null);
+            setAuthError('Your session has expired. Please sign in again.');
+        }
+    }, [connectionError]);
+
+    // A new session opens the first room of the user's room list once the server has sent it.
+    // Only once: after that, the directory stays where the user navigated to.
+    const hasOpenedRoomListRef = useRef(false);
+    useEffect(() => {
+        return onRoomListChanged((rooms) => {
+            if (hasOpenedRoomListRef.current || !rooms.length) return;
+            hasOpenedRoomListRef.current = true;
+            setRoom((current) => current || rooms[0]);
+            setIsLoggedIn(true);
+        });
+    }, []);
+
+    // The account was renamed (the /nick command), possibly from another tab: keep the stored session in step
+    useEffect(() => {
+        const handleAccountUpdated = (user) => {
+            setSession((current) => {
+                if (!current || current.user.id !== user.id) return current;
+                const updated = { ...current, user: { ...current.user, ...user } };
+                saveSession(updated);
+                return updated;
+            });
+        };
+        socket.on('accountUpdated', handleAccountUpdated);
+        return () => socket.off('accountUpdated', handleAccountUpdated);
+    }, []);
+
+    const handleAuth = async (e) => {
+        e.preventDefault();
+        setAuthError('');
+        try {
+            const result = authMode === 'register'
+                ? await registerAccount(username, password)
+                : await loginAccount(username, password);
+            const newSession = { token: result.token, user: result.user };
+            saveSession(newSession);
+            setSession(newSession);
+            setPassword('');
+        } catch (error) {
+            setAuthError(error.message);
+        }
+    };
 
     const handleJoinRoom = (e) => {
         e.preventDefault();
         console.log('App.jsx: handleJoinRoom called.');
-        console.log('App.jsx: Username:', username, 'Room:', room, 'Socket Connected (from hook):', socketConnected);
+        console.log('App.jsx: Room:', room, 'Socket Connected (from hook):', socketConnected);
 
-        if (username && room && socketConnected) {
-            console.log('App.jsx: Calling connectAndJoinRoom from hook with:', { username, room });
-            connectAndJoinRoom(username, room);
-            setIsLoggedIn(true);
+        if (room && socketConnected) {
+            handleSelectRoom(room);
         } else {
-            console.log('App.jsx: Cannot join room. Check username, room, and socket connection status.');
+            console.log('App.jsx: Cannot join room. Check room and socket connection status.');
         }
     };
 
+    // Opening a room (from the directory or the sidebar) joins it: the chat view joins rooms it has no history for
+    const handleSelectRoom = useCallback((roomName) => {
+        setRoom(roomName);
+        setIsLoggedIn(true);
+    }, []);
+
+    // Back to the room directory without signing out or leaving any room (e.g. the room was archived)
+    const handleShowDirectory = useCallback(() => {
+        setRoom('');
+        setIsLoggedIn(false);
+    }, []);
+
     const handleLogout = () => {
-        if (socket) {
-            hookDisconnect();
-        }
+        // The browser stops getting this user's notifications before the socket goes
+        stopPushNotifications(socket).finally(() => {
+            if (socket) {
+                hookDisconnect();
+            }
+        });
+        clearSession();
+        setSession(null);
         setUsername('');
         setRoom('');
         setIsLoggedIn(false);
+        hasOpenedRoomListRef.current = false;
     };
 
     return (
         <div className="flex flex-col md:flex-row h-screen w-full max-w-7xl mx-auto p-4 bg-gray-100 rounded-lg shadow-xl">
             {!isLoggedIn ? (
                 <div className="flex flex-col items-center justify-center w-full h-full bg-white rounded-lg p-8 shadow-md">
-                    <h1 className="text-4xl font-extrabold text-blue-600 mb-8">Join Chat</h1>
+                    <h1 className="text-4xl font-extrabold text-blue-600 mb-8">{session ? 'Join Chat' : 'Welcome'}</h1>
 
                     {/* TEMPORARY DEBUGGING LINE: Display the URL on the page */}
                     <p className="text-sm text-gray-600 mb-4">
@@ -71,49 +149,107 @@ function App() {
                     </p>
                     {/* END TEMPORARY DEBUGGING LINE */}
 
-                    {!socketConnected && (
-                        <p className="text-red-500 mb-4">Connecting to server... Please wait.</p>
-                    )}
-                    {socketConnected && (
-                        <p className="text-green-500 mb-4">Connected to server. Ready to join!</p>
+                    {!session ? (
+                        <form onSubmit={handleAuth} className="w-full max-w-sm space-y-6">
+                            <div className="flex rounded-md overflow-hidden border border-blue-600">
+                                <button
+                                    type="button"
+                                    onClick={() => { setAuthMode('login'); setAuthError(''); }}
+                                    className={`flex-1 py-2 ${authMode === 'login' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}
+                                >
+                                    Sign In
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => { setAuthMode('register'); setAuthError(''); }}
+                                    className={`flex-1 py-2 ${authMode === 'register' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}
+                                >
+                                    Register
+                                </button>
+                            </div>
+                            {authError && <p className="text-red-500">{authError}</p>}
+                            <div>
+                                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Username
+                                </label>
+                                <input
+                                    type="text"
+                                    id="username"
+                                    value={username}
+                                    onChange={(e) => setUsername(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                    placeholder="Enter your username"
+                                    autoComplete="username"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Password
+                                </label>
+                                <input
+                                    type="password"
+                                    id="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                    placeholder={authMode === 'register' ? 'At least 8 characters' : 'Enter your password'}
+                                    autoComplete={authMode === 'register' ? 'new-password' : 'current-password'}
+                                    minLength={authMode === 'register' ? 8 : undefined}
+                                    required
+                                />
+                            </div>
+                            <button
+                                type="submit"
+                                className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out"
+                            >
+                                {authMode === 'register' ? 'Create Account' : 'Sign In'}
+                            </button>
+                        </form>
+                    ) : (
+                        <>
+                            {!socketConnected && (
+                                <p className="text-red-500 mb-4">Connecting to server... Please wait.</p>
+                            )}
+                            {socketConnected && (
+                                <p className="text-green-500 mb-4">Signed in as {session.user.username}. Ready to join!</p>
+                            )}
+                            {socketConnected && (
+                                <RoomDirectory
+                                    token={session.token}
+                                    userId={session.user.id}
+                                    socket={socket}
+                                    onSelectRoom={handleSelectRoom}
+                                />
+                            )}
+                            <form onSubmit={handleJoinRoom} className="w-full max-w-sm space-y-6">
+                                <div>
+                                    <label htmlFor="room" className="block text-sm font-medium text-gray-700 mb-2">
+                                        Or join a room by name
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="room"
+                                        value={room}
+                                        onChange={(e) => setRoom(e.target.value)}
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                        placeholder="Enter room name (e.g., General, Sports)"
+                                        required
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out"
+                                    disabled={!socketConnected}
+                                >
+                                    Join Chat
+                                </button>
+                            </form>
+                            <button onClick={handleLogout} className="mt-4 text-sm text-gray-500 hover:text-gray-700">
+                                Sign out
+                            </button>
+                        </>
                     )}
-                    <form onSubmit={handleJoinRoom} className="w-full max-w-sm space-y-6">
-                        <div>
-                            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
-                                Username
-                            </label>
-                            <input
-                                type="text"
-                                id="username"
-                                value={username}
-                                onChange={(e) => setUsername(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                                placeholder="Enter your username"
-                                required
-                            />
-                        </div>
-                        <div>
-                            <label htmlFor="room" className="block text-sm font-medium text-gray-700 mb-2">
-                                Room Name
-                            </label>
-                            <input
-                                type="text"
-                                id="room"
-                                value={room}
-                                onChange={(e) => setRoom(e.target.value)}
-                                className="w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                                placeholder="Enter room name (e.g., General, Sports)"
-                                required
-                            />
-                        </div>
-                        <button
-                            type="submit"
-                            className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out"
-                            disabled={!socketConnected}
-                        >
-                            Join Chat
-                        </button>
-                    </form>
                 </div>
             ) : (
                 <Suspense fallback={
@@ -122,7 +258,7 @@ function App() {
                         <p className="text-lg text-gray-700">Loading chat interface...</p>
                     </div>
                 }>
-                    <LazyChatInterface username={username} room={room} socket={socket} onLogout={handleLogout} />
+                    <LazyChatInterface username={session.user.username} userId={session.user.id} isModerator={session.user.role === 'moderator'} token={session.token} room={room} socket={socket} isConnected={socketConnected} onSelectRoom={handleSelectRoom} onShowDirectory={handleShowDirectory} onLogout={handleLogout} />
                 </Suspense>
             )}
         </div>
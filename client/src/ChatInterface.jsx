@@ -1,7 +1,26 @@
 // client/src/ChatInterface.jsx
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 
-import { PaperAirplaneIcon, UserGroupIcon, ChatBubbleLeftRightIcon, UserIcon } from '@heroicons/react/24/solid';
+import { PaperAirplaneIcon, UserGroupIcon, ChatBubbleLeftRightIcon, UserIcon, XMarkIcon, StarIcon, ShieldCheckIcon, SpeakerXMarkIcon } from '@heroicons/react/24/solid';
+import MessageBubble from './components/MessageBubble';
+import ThreadPanel from './components/ThreadPanel';
+import UserModerationMenu from './components/UserModerationMenu';
+import CommandSuggestions, { getCommandSuggestions, isCommandLine } from './components/CommandSuggestions';
+import { formatBytes } from './components/AttachmentList';
+import SearchBar from './components/SearchBar';
+import ConversationSidebar from './components/ConversationSidebar';
+import GroupPanel from './components/GroupPanel';
+import { fetchMessageContext } from './api/messages';
+import { uploadFile } from './api/uploads';
+import { joinRoom, leaveRoom, onRoomJoined, onRoomJoinFailed, useRoomList } from './socket/socket';
+import { useOutbox } from './socket/outbox';
+import { useReadState, privateConversationKey, formatUnreadCount } from './socket/readState';
+import { useGroups, groupIdFromConversation } from './socket/groups';
+import { useNotifications } from './socket/notifications';
+import { PaperClipIcon, EllipsisVerticalIcon, MapPinIcon } from '@heroicons/react/24/outline';
+
+// Room roles in increasing order of power; 'site' stands for the account-wide moderator role
+const ROLE_RANK = { member: 1, moderator: 2, owner: 3, site: 4 };
 
 // Initialize the socket connection inside the component or pass it as prop,
 // but ensure it's conditionally initialized or memoized to avoid issues.
@@ -10,14 +29,99 @@ import { PaperAirplaneIcon, UserGroupIcon, ChatBubbleLeftRightIcon, UserIcon } f
 // to avoid multiple connections if ChatInterface mounts/unmounts frequently.
 
 // NOTE: We're taking `socket` as a prop now from App.jsx
-function ChatInterface({ username, room, socket, onLogout }) {
+// `userId` is the signed-in account ID. DMs and read receipts are keyed by it rather than
+// by socket.id, so they keep working across reconnects and page refreshes.
+// Messages are sent through the outbox, so they are queued while `isConnected` is false and retried after.
+// Slash commands (e.g. /me, /topic, /kick) are sent straight away instead, and only from the room view.
+// The user can be in several rooms at once (see ./socket/socket); `room` is the one on screen, and
+// `onSelectRoom` switches to another. Opening a room whose history isn't loaded yet joins it in full.
+function ChatInterface({ username, userId, isModerator, token, room, socket, isConnected, onSelectRoom, onShowDirectory, onLogout }) {
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
-  const [usersInRoom, setUsersInRoom] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
+  const [usersByRoom, setUsersByRoom] = useState({});
+  const [typingByRoom, setTypingByRoom] = useState({});
   const [selectedPrivateChatUser, setSelectedPrivateChatUser] = useState(null);
+  const [selectedGroupId, setSelectedGroupId] = useState(null); // Open private group, instead of the room or a DM
+  const [roomInfos, setRoomInfos] = useState({}); // Catalog entry (topic, etc.) per room
+  const [activeThread, setActiveThread] = useState(null); // Top-level message whose thread is open in the side panel
+  const [quotedMessage, setQuotedMessage] = useState(null); // Message being quoted by the next send
+  const [pendingUploads, setPendingUploads] = useState([]); // Files uploading/uploaded for the next send
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [contextView, setContextView] = useState(null); // { targetId, anchorId, messages } when jumped to a search hit
+  // Room history per room: { loading: true } while the join is out, then { cursor, hasMore } for the next (older) page
+  const [historyByRoom, setHistoryByRoom] = useState({});
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [moderatedUserId, setModeratedUserId] = useState(null); // User whose moderation menu is open
+  const [commands, setCommands] = useState([]); // Slash commands offered by the server, for autocomplete
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [dismissedSuggestionsFor, setDismissedSuggestionsFor] = useState(null); // Message text Esc was pressed on
+  const [unreadMarker, setUnreadMarker] = useState(null); // { conversation, unread, since } read when the conversation opened
+  const [isJumpingToUnread, setIsJumpingToUnread] = useState(false);
 
   const messagesEndRef = useRef(null);
+  const messageListRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const scrollHeightBeforeLoadRef = useRef(null); // Set while prepending older messages
+  const unreadDividerRef = useRef(null);
+  const messagesRef = useRef(messages); // Latest messages, for the reconnect sync
+  messagesRef.current = messages;
+  const historyByRoomRef = useRef(historyByRoom);
+  historyByRoomRef.current = historyByRoom;
+
+  const rooms = useRoomList();
+  const usersInRoom = usersByRoom[room] || [];
+  const typingUsers = typingByRoom[room] || [];
+  const roomInfo = roomInfos[room] || null;
+  const roomHistory = historyByRoom[room];
+  const hasMoreHistory = Boolean(roomHistory?.hasMore);
+
+  const setRoomHistory = (historyRoom, entry) => {
+    setHistoryByRoom(prev => ({ ...prev, [historyRoom]: entry }));
+  };
+
+  // Private groups we are in (see ./socket/groups)
+  const groupActions = useGroups(socket, isConnected);
+  const { groups } = groupActions;
+  const selectedGroup = groups.find(group => group.id === selectedGroupId) || null;
+
+  // The open conversation: the room, the DM with the selected user, or the selected group
+  const isRoomView = !selectedPrivateChatUser && !selectedGroup;
+  const conversation = selectedGroup?.conversation ||
+    (selectedPrivateChatUser ? privateConversationKey(userId, selectedPrivateChatUser.userId) : room);
+  const conversationRef = useRef(conversation); // For socket listeners, which outlive a render
+  conversationRef.current = conversation;
+
+  // Add a message, or replace our copy if we already have it (retries and acks can deliver it twice)
+  const upsertMessage = (msg) => {
+    setMessages((prevMessages) => (prevMessages.some(prevMsg => prevMsg.id === msg.id)
+      ? prevMessages.map(prevMsg => (prevMsg.id === msg.id ? msg : prevMsg))
+      : [...prevMessages, msg]));
+  };
+
+  // Errors acknowledged by the server are shown like the server's own ChatBot notices
+  const showError = (error) => {
+    setMessages((prevMessages) => [...prevMessages, {
+      id: `local-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      username: 'ChatBot',
+      text: `Error: ${error}`,
+      room,
+      timestamp: new Date().toISOString()
+    }]);
+  };
+
+  const reportFailure = (response) => {
+    if (!response.ok) showError(response.error);
+  };
+
+  const outbox = useOutbox(socket, userId, { onDelivered: upsertMessage });
+  const { confirm: confirmDelivered } = outbox;
+
+  // Unread counts per conversation; what we read is reported to the server in batches (see ./socket/readState)
+  const readState = useReadState(socket, isConnected);
+  const { markRead, countUnread } = readState;
+
+  // Messages that count towards unread counts: from someone else (not ChatBot notices) and in the timeline
+  const isFromOthers = (msg) => Boolean(msg.senderId) && msg.senderId !== userId && msg.replyMode !== 'thread';
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -26,128 +130,699 @@ function ChatInterface({ username, room, socket, onLogout }) {
   useEffect(() => {
     // These listeners are specific to the chat interface.
     socket.on('message', (msg) => {
-      setMessages((prevMessages) => [...prevMessages, msg]);
-      if (msg.isPrivate && msg.senderId !== socket.id) {
-        socket.emit('messageRead', { messageId: msg.id, roomId: msg.room });
-      } else if (!msg.isPrivate && msg.username !== username && msg.room === room) {
-        socket.emit('messageRead', { messageId: msg.id, roomId: msg.room });
-      }
+      upsertMessage(msg);
+      confirmDelivered(msg);
+      if (isFromOthers(msg) && msg.room !== conversationRef.current) countUnread(msg);
+    });
+
+    // Someone read up to `readAt`: show the receipts on the messages they hadn't read yet
+    socket.on('messagesRead', ({ room: readRoom, userId: readerId, readAt }) => {
+      setMessages((prevMessages) => prevMessages.map(msg => (
+        msg.room === readRoom && msg.senderId !== readerId && msg.timestamp <= readAt && !msg.readBy?.includes(readerId)
+          ? { ...msg, readBy: [...(msg.readBy || []), readerId] }
+          : msg
+      )));
     });
 
     socket.on('messageUpdated', (updatedMsg) => {
       setMessages((prevMessages) =>
         prevMessages.map((msg) => (msg.id === updatedMsg.id ? updatedMsg : msg))
       );
+      // Keep the pinned copies in the room headers current too
+      setRoomInfos((infos) => Object.fromEntries(Object.entries(infos).map(([infoRoom, info]) => [infoRoom, {
+        ...info,
+        pinnedMessages: (info.pinnedMessages || [])
+          .map(msg => (msg.id === updatedMsg.id ? updatedMsg : msg))
+          .filter(msg => !msg.deletedAt)
+      }])));
     });
 
-    socket.on('roomUsers', (users) => {
-      setUsersInRoom(users);
+    socket.on('roomInfo', (info) => {
+      setRoomInfos((infos) => ({ ...infos, [info.name]: info }));
     });
 
-    socket.on('typing', (typerUsername) => {
-      setTypingUsers((prevTypingUsers) => {
-        if (!prevTypingUsers.includes(typerUsername)) {
-          return [...prevTypingUsers, typerUsername];
-        }
-        return prevTypingUsers;
+    // The socket layer listens for these too (it drops the room from the room list), so only our own
+    // handlers are removed on cleanup
+    const onRoomArchived = ({ room: archivedRoom }) => {
+      window.alert(`The ${archivedRoom} room has been archived.`);
+      if (archivedRoom === room) onShowDirectory();
+    };
+    socket.on('roomArchived', onRoomArchived);
+
+    // A moderator kicked or banned us from a room
+    const onRemovedFromRoom = ({ room: fromRoom, action, by, reason, until }) => {
+      const what = action === 'ban'
+        ? `${by} banned you from ${fromRoom}${until ? ` until ${new Date(until).toLocaleString()}` : ''}.`
+        : `${by} removed you from ${fromRoom}.`;
+      window.alert(reason ? `${what}\nReason: ${reason}` : what);
+      if (fromRoom === room) onShowDirectory();
+    };
+    socket.on('removedFromRoom', onRemovedFromRoom);
+
+    // Another tab of ours left a room
+    const onRoomLeft = ({ room: leftRoom }) => {
+      if (leftRoom === room) onShowDirectory();
+    };
+    socket.on('roomLeft', onRoomLeft);
+
+    // We left a group or were removed from it: its history goes too (./socket/groups drops the group)
+    const onGroupLeft = ({ conversation: groupConversation }) => {
+      setMessages((prevMessages) => prevMessages.filter(msg => msg.room !== groupConversation));
+    };
+    socket.on('groupLeft', onGroupLeft);
+
+    socket.on('roomUsers', (users, usersRoom) => {
+      setUsersByRoom((prev) => ({ ...prev, [usersRoom]: users }));
+    });
+
+    socket.on('typing', (typerUsername, typingRoom) => {
+      setTypingByRoom((prev) => {
+        const typers = prev[typingRoom] || [];
+        return typers.includes(typerUsername) ? prev : { ...prev, [typingRoom]: [...typers, typerUsername] };
       });
     });
 
-    socket.on('stopTyping', (typerUsername) => {
-      setTypingUsers((prevTypingUsers) =>
-        prevTypingUsers.filter((user) => user !== typerUsername)
-      );
+    socket.on('stopTyping', (typerUsername, typingRoom) => {
+      setTypingByRoom((prev) => ({ ...prev, [typingRoom]: (prev[typingRoom] || []).filter(user => user !== typerUsername) }));
     });
 
-    socket.on('roomMessages', (roomMessages) => {
-      setMessages(roomMessages);
-      roomMessages.forEach(msg => {
-        if (msg.username !== username && !msg.readBy.includes(socket.id)) {
-          socket.emit('messageRead', { messageId: msg.id, roomId: msg.room });
-        }
+    // The server sends the newest page of history first; older pages are loaded on scroll
+    socket.on('roomMessages', (page) => {
+      const roomMessages = [...page.messages].reverse(); // Oldest first for display
+      // Replace what we had of this room; other rooms and any DM history stay
+      setMessages((prevMessages) => [...prevMessages.filter(msg => msg.isPrivate || msg.room !== page.room), ...roomMessages]);
+      setRoomHistory(page.room, { cursor: page.nextCursor, hasMore: page.hasMore });
+    });
+
+    socket.on('privateMessages', (privateMessages) => {
+      setMessages((prevMessages) => {
+        const known = new Set(prevMessages.map(msg => msg.id));
+        return [...prevMessages, ...privateMessages.filter(msg => !known.has(msg.id))];
       });
     });
 
     // Cleanup on unmount
     return () => {
       socket.off('message');
+      socket.off('messagesRead');
       socket.off('messageUpdated');
+      socket.off('roomInfo');
+      socket.off('roomArchived', onRoomArchived);
+      socket.off('removedFromRoom', onRemovedFromRoom);
+      socket.off('roomLeft', onRoomLeft);
+      socket.off('groupLeft', onGroupLeft);
       socket.off('roomUsers');
       socket.off('typing');
       socket.off('stopTyping');
       socket.off('roomMessages');
+      socket.off('privateMessages');
       // Do NOT turn off 'connect' or 'disconnect' here, as they are managed by the parent App.jsx
     };
-  }, [username, room, socket]); // Include socket in dependency array
+  }, [username, userId, room, socket, onShowDirectory, confirmDelivered, countUnread]); // Include socket in dependency array
+
+  // The commands available for autocomplete. Fetched again after reconnecting, in case the server changed.
+  useEffect(() => {
+    if (!isConnected) return;
+    socket.emit('listCommands', (response) => {
+      if (response.ok) setCommands(response.data);
+    });
+  }, [socket, isConnected]);
+
+  // Opening a room whose history we don't have joins it in full, which sends the history along.
+  // Rooms restored from the room list are joined without history until they are opened.
+  useEffect(() => {
+    if (!isConnected || historyByRoom[room]) return;
+    setRoomHistory(room, { loading: true });
+    joinRoom(room);
+  }, [room, isConnected, historyByRoom]);
+
+  // A join cut off by a dropped connection is sent again once we are back
+  useEffect(() => {
+    if (isConnected) return;
+    setHistoryByRoom(prev => Object.fromEntries(Object.entries(prev).filter(([, entry]) => !entry.loading)));
+  }, [isConnected]);
+
+  // The server turned down the join (e.g. we are banned from the room): back to the room directory
+  useEffect(() => {
+    return onRoomJoinFailed((failedRoom, error) => {
+      setHistoryByRoom(({ [failedRoom]: failed, ...rest }) => rest);
+      if (failedRoom !== room) return;
+      window.alert(error);
+      onShowDirectory();
+    });
+  }, [room, onShowDirectory]);
+
+  // After a reconnect the socket layer re-joins every room; catch up on what happened in the room on screen.
+  // The others have their history dropped and reloaded when they are next opened.
+  useEffect(() => {
+    return onRoomJoined((joinedRoom, { resumed }) => {
+      if (!resumed || historyByRoomRef.current[joinedRoom]?.loading || !historyByRoomRef.current[joinedRoom]) return;
+      if (joinedRoom !== room) {
+        setHistoryByRoom(({ [joinedRoom]: stale, ...rest }) => rest);
+        setMessages((prevMessages) => prevMessages.filter(msg => msg.isPrivate || msg.room !== joinedRoom));
+        return;
+      }
+      const since = messagesRef.current
+        .filter(msg => msg.isPrivate || msg.room === room)
+        .reduce((latest, msg) => (msg.timestamp > latest ? msg.timestamp : latest), '');
+      if (!since) return;
+
+      socket.emit('syncMessages', { room, since }, (response) => {
+        if (!response.ok) {
+          console.error('Failed to load missed messages:', response.error);
+          return;
+        }
+        const result = response.data;
+        if (result.hasMore) {
+          setRoomHistory(room, { loading: true });
+          joinRoom(room); // Too much to catch up on: reload the room from scratch
+          return;
+        }
+        setMessages((prevMessages) => {
+          const synced = new Map(result.messages.map(msg => [msg.id, msg]));
+          const known = new Set(prevMessages.map(msg => msg.id));
+          return [
+            ...prevMessages.map(msg => synced.get(msg.id) || msg),
+            ...result.messages.filter(msg => !known.has(msg.id))
+          ];
+        });
+        // Unread counts for what we missed come with the counts fetched after reconnecting (./socket/readState)
+        result.messages.forEach(confirmDelivered);
+      });
+    });
+  }, [room, socket, confirmDelivered]);
+
+  useLayoutEffect(() => {
+    // After prepending older messages, keep the user's view anchored where it was
+    if (scrollHeightBeforeLoadRef.current !== null && messageListRef.current) {
+      const list = messageListRef.current;
+      list.scrollTop = list.scrollHeight - scrollHeightBeforeLoadRef.current;
+      scrollHeightBeforeLoadRef.current = null;
+      return;
+    }
+    if (!contextView) scrollToBottom();
+  }, [messages, conversation, outbox.items]);
+
+  const loadOlderMessages = () => {
+    if (!hasMoreHistory || isLoadingHistory || !isRoomView) return;
+    setIsLoadingHistory(true);
+    socket.emit('loadMessages', { room, before: roomHistory.cursor }, (response) => {
+      setIsLoadingHistory(false);
+      if (!response.ok) {
+        console.error('Failed to load older messages:', response.error);
+        setIsJumpingToUnread(false);
+        return;
+      }
+      const page = response.data;
+      const olderMessages = [...page.messages].reverse();
+      scrollHeightBeforeLoadRef.current = messageListRef.current?.scrollHeight ?? null;
+      setMessages((prevMessages) => {
+        const known = new Set(prevMessages.map(msg => msg.id));
+        return [...olderMessages.filter(msg => !known.has(msg.id)), ...prevMessages];
+      });
+      setRoomHistory(page.room, { cursor: page.nextCursor, hasMore: page.hasMore });
+    });
+  };
+
+  // Load the history around a search hit and show it in place of the live timeline
+  const jumpToMessage = async (msg) => {
+    try {
+      const context = await fetchMessageContext(token, msg.id);
+      setContextView(context);
+      if (context.targetId !== context.anchorId) {
+        // The hit is a thread reply: open its thread as well
+        setActiveThread(context.messages.find(m => m.id === context.anchorId));
+      }
+    } catch (err) {
+      console.error('Failed to load message context:', err.message);
+    }
+  };
 
   useEffect(() => {
-    scrollToBottom();
-  }, [messages, selectedPrivateChatUser]);
+    if (contextView) {
+      document.getElementById(`message-${contextView.anchorId}`)?.scrollIntoView({ block: 'center' });
+    }
+  }, [contextView]);
+
+  const handleMessageListScroll = (e) => {
+    if (!contextView && e.currentTarget.scrollTop < 40) {
+      loadOlderMessages();
+    }
+  };
+
+  // Upload files straight away; they are sent with the next message once finished
+  const startUploads = (files) => {
+    Array.from(files).forEach((file) => {
+      const localId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const updateUpload = (changes) => setPendingUploads((uploads) =>
+        uploads.map(upload => (upload.localId === localId ? { ...upload, ...changes } : upload)));
+
+      setPendingUploads((uploads) => [...uploads, { localId, name: file.name, size: file.size, progress: 0 }]);
+      uploadFile(token, file, (progress) => updateUpload({ progress }))
+        .then((attachment) => updateUpload({ attachment, progress: 100 }))
+        .catch((err) => updateUpload({ error: err.message }));
+    });
+  };
+
+  const removePendingUpload = (localId) => {
+    setPendingUploads((uploads) => uploads.filter(upload => upload.localId !== localId));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    if (e.dataTransfer.files.length) startUploads(e.dataTransfer.files);
+  };
+
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length) {
+      e.preventDefault();
+      startUploads(e.clipboardData.files);
+    }
+  };
+
+  const isUploading = pendingUploads.some(upload => !upload.attachment && !upload.error);
+
+  // Commands are not queued: their replies only make sense right away
+  const runCommand = (text) => {
+    if (!isConnected) {
+      showError('Commands can only be used while connected.');
+      return;
+    }
+    socket.emit('chatMessage', { text, room }, reportFailure);
+    setMessage('');
+    socket.emit('stopTyping', { room });
+  };
 
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (message.trim()) {
-      if (selectedPrivateChatUser) {
-        socket.emit('privateMessage', {
-          recipientId: selectedPrivateChatUser.id,
-          message: message.trim()
-        });
+    if (isRoomView && isCommandLine(message.trim())) {
+      runCommand(message.trim());
+      return;
+    }
+    const attachmentIds = pendingUploads.filter(upload => upload.attachment).map(upload => upload.attachment.id);
+    if ((message.trim() || attachmentIds.length) && !isUploading) {
+      const replyFields = quotedMessage ? { parentId: quotedMessage.id, replyMode: 'quote' } : {};
+      const preview = {
+        quote: quotedMessage && { username: quotedMessage.username, text: quotedMessage.text },
+        attachments: pendingUploads.filter(upload => upload.attachment).map(({ attachment }) => ({
+          url: attachment.url,
+          name: attachment.originalName,
+          mimeType: attachment.mimeType,
+          size: attachment.size
+        }))
+      };
+      if (selectedGroup) {
+        outbox.send('groupMessage', {
+          groupId: selectedGroup.id,
+          message: message.trim(),
+          attachmentIds,
+          ...replyFields
+        }, { room, preview });
+      } else if (selectedPrivateChatUser) {
+        outbox.send('privateMessage', {
+          recipientId: selectedPrivateChatUser.userId,
+          message: message.trim(),
+          attachmentIds,
+          ...replyFields
+        }, { room, preview });
       } else {
-        socket.emit('chatMessage', message.trim());
+        outbox.send('chatMessage', { text: message.trim(), attachmentIds, room, ...replyFields }, { room, preview });
       }
       setMessage('');
-      socket.emit('stopTyping');
+      setQuotedMessage(null);
+      setPendingUploads([]);
+      socket.emit('stopTyping', { room });
     }
   };
 
+  // Edits and deletes come back to everyone (including us) as `messageUpdated`; only failures need handling here
+  const handleEditMessage = (messageId, text) => {
+    socket.emit('editMessage', { messageId, text }, reportFailure);
+  };
+
+  const handleDeleteMessage = (messageId) => {
+    socket.emit('deleteMessage', { messageId }, reportFailure);
+  };
+
+  const handleReact = (messageId, emoji, action) => {
+    socket.emit('reactToMessage', { messageId, emoji, action }, reportFailure);
+  };
+
+  const handleTogglePin = (messageId, isPinned) => {
+    socket.emit('pinMessage', { messageId, action: isPinned ? 'unpin' : 'pin' }, reportFailure);
+  };
+
   const handleTyping = (e) => {
     setMessage(e.target.value);
-    if (e.target.value.length > 0) {
-      socket.emit('typing');
+    setSuggestionIndex(0);
+    if (e.target.value.length > 0 && !isCommandLine(e.target.value)) {
+      socket.emit('typing', { room });
     } else {
-      socket.emit('stopTyping');
+      socket.emit('stopTyping', { room });
     }
   };
 
+  const openThread = (msg) => {
+    // Replies open their parent's thread
+    const rootId = msg.replyMode === 'thread' ? msg.parentId : msg.id;
+    setActiveThread(messages.find(m => m.id === rootId) || msg);
+  };
+
   const startPrivateChat = (user) => {
+    setSelectedGroupId(null);
     setSelectedPrivateChatUser(user);
+    setQuotedMessage(null);
+    setContextView(null);
     console.log(`Starting private chat with ${user.username}`);
   };
 
   const switchToRoomChat = () => {
     setSelectedPrivateChatUser(null);
+    setSelectedGroupId(null);
+    setQuotedMessage(null);
+    setContextView(null);
+  };
+
+  const openGroup = (group) => {
+    setSelectedPrivateChatUser(null);
+    setSelectedGroupId(group.id);
+    setQuotedMessage(null);
+    setContextView(null);
+  };
+
+  // Someone removed us from the open group, or we left it in another tab
+  useEffect(() => {
+    if (selectedGroupId && !groups.some(group => group.id === selectedGroupId)) setSelectedGroupId(null);
+  }, [groups, selectedGroupId]);
+
+  // Another room from the sidebar: what was open belongs to the room we are leaving behind
+  const openRoom = (nextRoom) => {
+    switchToRoomChat();
+    setActiveThread(null);
+    setModeratedUserId(null);
+    if (nextRoom !== room) onSelectRoom(nextRoom);
+  };
+
+  // Leaving takes the room off the room list for all our tabs; the view moves on to another room if there is one
+  const handleLeaveRoom = (leavingRoom) => {
+    leaveRoom(leavingRoom);
+    setHistoryByRoom(({ [leavingRoom]: left, ...rest }) => rest);
+    if (leavingRoom !== room) return;
+    const nextRoom = rooms.find(listed => listed !== leavingRoom);
+    if (nextRoom) {
+      openRoom(nextRoom);
+    } else {
+      onShowDirectory();
+    }
   };
 
+  // Private conversations for the sidebar: everyone we have DMs (or unread DMs) with, and the one on screen.
+  // Names come from the messages, room user lists and groups; the server only knows the IDs behind the unread counts.
+  const knownUsernames = new Map();
+  Object.values(usersByRoom).flat().forEach(user => knownUsernames.set(user.userId, user.username));
+  groups.forEach(group => group.members.forEach(member => knownUsernames.set(member.userId, member.username)));
+  messages.filter(msg => msg.isPrivate && msg.senderId !== userId).forEach(msg => knownUsernames.set(msg.senderId, msg.username));
+  const partnerIds = new Set([
+    ...messages.filter(msg => msg.isPrivate && msg.recipientId).map(msg => (msg.senderId === userId ? msg.recipientId : msg.senderId)),
+    ...Object.keys(readState.unread)
+      .filter(key => key.startsWith('dm:'))
+      .map(key => key.slice(3).split(':').find(id => id !== userId)),
+    selectedPrivateChatUser?.userId
+  ]);
+  const privateConversations = [...partnerIds].filter(Boolean).map(partnerId => ({
+    key: privateConversationKey(userId, partnerId),
+    userId: partnerId,
+    username: knownUsernames.get(partnerId) || `User ${partnerId.substring(0, 4)}...`
+  }));
+
+  // People who can be put in a group: everyone whose name we know, apart from us
+  const groupCandidates = [...knownUsernames]
+    .filter(([candidateId]) => candidateId !== userId)
+    .map(([candidateId, candidateName]) => ({ userId: candidateId, username: candidateName }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+
+  const handleCreateGroup = async (name, memberIds) => {
+    const group = await groupActions.createGroup(name, memberIds);
+    openGroup(group);
+  };
+
+  // A desktop or push notification was clicked: open the DM, group or room it is about
+  const openNotification = (notification) => {
+    if (notification.kind === 'dm') {
+      startPrivateChat({ userId: notification.senderId, username: notification.username });
+    } else if (notification.groupId) {
+      const group = groups.find(known => known.id === notification.groupId);
+      if (group) openGroup(group);
+    } else {
+      openRoom(notification.conversation);
+    }
+  };
+
+  // DM and mention notifications, and the conversations we muted (see ./socket/notifications)
+  const notifications = useNotifications(socket, isConnected, { onOpen: openNotification });
+
+  // What we may do here: room owners/moderators moderate this room, site moderators every room.
+  // The server checks every action again; this only decides which controls to show.
+  const ownRole = usersInRoom.find(user => user.userId === userId)?.role || 'member';
+  const viewerRole = isModerator ? 'site' : ownRole;
+  const canModerateRoom = ROLE_RANK[viewerRole] >= ROLE_RANK.moderator;
+  const canModerateUser = (user) => canModerateRoom && user.userId !== userId && ROLE_RANK[viewerRole] > ROLE_RANK[user.role || 'member'];
+  const pinnedMessages = roomInfo?.pinnedMessages || [];
+  const pinnedIds = new Set(pinnedMessages.map(msg => msg.id));
+
+  const suggestions = isRoomView && message !== dismissedSuggestionsFor
+    ? getCommandSuggestions(message, {
+      commands,
+      usernames: [...new Set(usersInRoom.filter(user => user.userId !== userId).map(user => user.username))],
+      viewerRole
+    })
+    : { usage: null, items: [] };
+
+  const pickSuggestion = (item) => {
+    setMessage(item.value);
+    setSuggestionIndex(0);
+  };
+
+  // Arrows move through the suggestions, Tab or Enter picks one, Esc hides them until the text changes.
+  // Enter still sends when the pick would change nothing (e.g. "/who" fully typed).
+  const handleMessageKeyDown = (e) => {
+    const { items } = suggestions;
+    if (e.key === 'Escape' && (items.length || suggestions.usage)) {
+      setDismissedSuggestionsFor(message);
+      return;
+    }
+    if (!items.length) return;
+    const active = items[Math.min(suggestionIndex, items.length - 1)];
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : items.length - 1;
+      setSuggestionIndex((Math.min(suggestionIndex, items.length - 1) + step) % items.length);
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && active.value.trim() !== message.trim())) {
+      e.preventDefault();
+      pickSuggestion(active);
+    }
+  };
+
+  // While viewing a search result, the timeline shows the history around it instead of the live feed
+  const visibleMessages = contextView ? contextView.messages : messages
+    .filter(msg => msg.replyMode !== 'thread') // Thread replies only show in the thread panel
+    .filter(msg => {
+      if (selectedGroup) {
+        return msg.room === selectedGroup.conversation;
+      } else if (selectedPrivateChatUser) {
+        return msg.isPrivate && (
+          (msg.senderId === userId && msg.recipientId === selectedPrivateChatUser.userId) ||
+          (msg.senderId === selectedPrivateChatUser.userId && msg.recipientId === userId)
+        );
+      } else {
+        return !msg.isPrivate && msg.room === room;
+      }
+    });
+
+  // Queued messages for the open conversation, shown as bubbles after the timeline
+  const queuedMessages = contextView ? [] : outbox.items
+    .filter(item => {
+      if (selectedGroup) return item.event === 'groupMessage' && item.payload.groupId === selectedGroup.id;
+      if (selectedPrivateChatUser) return item.event === 'privateMessage' && item.payload.recipientId === selectedPrivateChatUser.userId;
+      return item.event === 'chatMessage' && item.room === room;
+    })
+    .map(item => ({
+      clientId: item.clientId,
+      status: item.status,
+      error: item.error,
+      msg: {
+        username,
+        text: item.payload.text ?? item.payload.message,
+        timestamp: item.createdAt,
+        isPrivate: item.event !== 'chatMessage',
+        replyMode: item.payload.replyMode,
+        quote: item.preview?.quote,
+        attachments: item.preview?.attachments
+      }
+    }));
+
+  // What was unread when the conversation was opened decides where the "Unread messages" divider goes.
+  // Taken once the counts have loaded and before anything here is marked read, then kept while it stays open.
+  useEffect(() => {
+    if (!readState.loaded || unreadMarker?.conversation === conversation) return;
+    const { unread = 0, lastReadAt = null } = readState.unread[conversation] || {};
+    setUnreadMarker({ conversation, unread, since: lastReadAt, jumped: false });
+    setIsJumpingToUnread(false);
+  }, [conversation, readState.loaded, readState.unread, unreadMarker]);
+
+  const hasUnreadMarker = !contextView && unreadMarker?.conversation === conversation && unreadMarker.unread > 0;
+  // Room history loads a page at a time; the first unread message may be on a page not loaded yet
+  const unreadStartsEarlier = hasUnreadMarker && isRoomView && hasMoreHistory &&
+    (!unreadMarker.since || !visibleMessages.length || visibleMessages[0].timestamp > unreadMarker.since);
+  const firstUnreadId = hasUnreadMarker && !unreadStartsEarlier
+    ? visibleMessages.find(msg => isFromOthers(msg) && (!unreadMarker.since || msg.timestamp > unreadMarker.since))?.id
+    : null;
+
+  // Keep the cursor at the newest message while the conversation is on screen (not while the tab is hidden)
+  const newestFromOthers = !contextView && unreadMarker?.conversation === conversation
+    ? visibleMessages.filter(isFromOthers).pop()
+    : null;
+  useEffect(() => {
+    if (!newestFromOthers) return;
+    const markIfVisible = () => {
+      if (document.visibilityState === 'visible') markRead(newestFromOthers);
+    };
+    markIfVisible();
+    document.addEventListener('visibilitychange', markIfVisible);
+    return () => document.removeEventListener('visibilitychange', markIfVisible);
+  }, [newestFromOthers, markRead]);
+
+  // "Jump to first unread": load older pages until the divider is in the timeline, then scroll to it
+  useEffect(() => {
+    if (!isJumpingToUnread) return;
+    if (firstUnreadId) {
+      unreadDividerRef.current?.scrollIntoView({ block: 'start' });
+      setIsJumpingToUnread(false);
+      setUnreadMarker(marker => ({ ...marker, jumped: true }));
+    } else if (unreadStartsEarlier) {
+      loadOlderMessages();
+    } else {
+      setIsJumpingToUnread(false);
+    }
+  }, [isJumpingToUnread, firstUnreadId, unreadStartsEarlier, isLoadingHistory]);
+
+  const unreadIn = (key) => readState.unread[key]?.unread || 0;
+  const roomUnread = unreadIn(room);
+
   return (
     <div className="flex flex-col md:flex-row w-full h-full bg-white rounded-lg shadow-md overflow-hidden">
+      <ConversationSidebar
+        rooms={rooms.includes(room) ? rooms : [room, ...rooms]}
+        groups={groups}
+        conversations={privateConversations}
+        active={conversation}
+        unread={readState.unread}
+        candidates={groupCandidates}
+        muted={notifications.muted}
+        notificationPermission={notifications.permission}
+        onSelectRoom={openRoom}
+        onSelectGroup={openGroup}
+        onSelectConversation={startPrivateChat}
+        onLeaveRoom={handleLeaveRoom}
+        onBrowseRooms={onShowDirectory}
+        onCreateGroup={handleCreateGroup}
+        onToggleMute={notifications.setMuted}
+        onEnableNotifications={notifications.enable}
+      />
       {/* Left Panel: Users in Room / Private Chat Selector */}
       <div className="w-full md:w-1/4 bg-blue-700 text-white p-4 flex flex-col border-r border-blue-600">
-        <h2 className="text-2xl font-bold mb-4 flex items-center">
-          <UserGroupIcon className="h-6 w-6 mr-2" />
-          Users in {room}
-        </h2>
-        <div className="flex-grow overflow-y-auto custom-scrollbar">
-          {usersInRoom.map((user) => (
-            <div
-              key={user.id}
-              className={`flex items-center p-2 rounded-md mb-2 cursor-pointer transition-colors duration-200
-                          ${user.id === socket.id ? 'bg-blue-600' : 'hover:bg-blue-600'}
-                          ${selectedPrivateChatUser && selectedPrivateChatUser.id === user.id ? 'bg-blue-800' : ''}`}
-              onClick={() => startPrivateChat(user)}
-            >
-              <UserIcon className="h-5 w-5 mr-2" />
-              <span>{user.username} {user.id === socket.id && '(You)'}</span>
-              <span className="ml-auto text-xs opacity-70">ID: {user.id.substring(0, 4)}...</span>
-            </div>
-          ))}
-        </div>
-        {selectedPrivateChatUser && (
+        {selectedGroup ? (
+          <GroupPanel
+            group={selectedGroup}
+            userId={userId}
+            candidates={groupCandidates}
+            onRename={(name) => groupActions.renameGroup(selectedGroup.id, name)}
+            onAddMember={(memberId) => groupActions.addMembers(selectedGroup.id, [memberId])}
+            onRemoveMember={(memberId) => groupActions.removeMember(selectedGroup.id, memberId)}
+            onLeave={() => groupActions.leaveGroup(selectedGroup.id)}
+          />
+        ) : (
+          <>
+          <h2 className="text-2xl font-bold mb-4 flex items-center">
+            <UserGroupIcon className="h-6 w-6 mr-2" />
+            Users in {room}
+          </h2>
+          <div className="flex-grow overflow-y-auto custom-scrollbar">
+            {usersInRoom.map((user) => (
+              <div
+                key={user.id}
+                className={`relative flex items-center p-2 rounded-md mb-2 cursor-pointer transition-colors duration-200
+                            ${user.userId === userId ? 'bg-blue-600' : 'hover:bg-blue-600'}
+                            ${selectedPrivateChatUser && selectedPrivateChatUser.userId === user.userId ? 'bg-blue-800' : ''}`}
+                onClick={() => startPrivateChat(user)}
+                onContextMenu={(e) => {
+                  if (!canModerateUser(user)) return;
+                  e.preventDefault();
+                  setModeratedUserId(user.userId);
+                }}
+              >
+                <UserIcon className="h-5 w-5 mr-2" />
+                <span>{user.username} {user.userId === userId && '(You)'}</span>
+                {user.userId !== userId && unreadIn(privateConversationKey(userId, user.userId)) > 0 && (
+                  <span title="Unread private messages" className="ml-2 text-xs bg-red-500 text-white rounded-full px-1.5">
+                    {formatUnreadCount(unreadIn(privateConversationKey(userId, user.userId)))}
+                  </span>
+                )}
+                {user.role === 'owner' && (
+                  <span title="Room owner" className="ml-2 flex items-center text-xs bg-yellow-400 text-yellow-900 rounded px-1">
+                    <StarIcon className="h-3 w-3 mr-0.5" />Owner
+                  </span>
+                )}
+                {user.role === 'moderator' && (
+                  <span title="Room moderator" className="ml-2 flex items-center text-xs bg-green-400 text-green-900 rounded px-1">
+                    <ShieldCheckIcon className="h-3 w-3 mr-0.5" />Mod
+                  </span>
+                )}
+                {user.mutedUntil && (
+                  <span title={`Muted until ${new Date(user.mutedUntil).toLocaleString()}`} className="ml-1">
+                    <SpeakerXMarkIcon className="h-4 w-4 opacity-80" />
+                  </span>
+                )}
+                <span className="ml-auto text-xs opacity-70">ID: {user.userId.substring(0, 4)}...</span>
+                {canModerateUser(user) && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); setModeratedUserId(moderatedUserId === user.userId ? null : user.userId); }}
+                    title={`Moderate ${user.username}`}
+                    className="ml-1 opacity-70 hover:opacity-100"
+                  >
+                    <EllipsisVerticalIcon className="h-5 w-5" />
+                  </button>
+                )}
+                {moderatedUserId === user.userId && (
+                  <div onClick={(e) => e.stopPropagation()}>
+                    <UserModerationMenu
+                      user={user}
+                      room={room}
+                      socket={socket}
+                      viewerRole={viewerRole}
+                      onResult={reportFailure}
+                      onClose={() => setModeratedUserId(null)}
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          </>
+        )}
+        {!isRoomView && (
           <button
             onClick={switchToRoomChat}
             className="mt-4 bg-blue-600 hover:bg-blue-800 text-white py-2 px-4 rounded-md transition duration-150 ease-in-out flex items-center justify-center"
           >
             <ChatBubbleLeftRightIcon className="h-5 w-5 mr-2" />
             Back to Room Chat
+            {roomUnread > 0 && (
+              <span title={`Unread in ${room}`} className="ml-2 text-xs bg-red-500 text-white rounded-full px-1.5">
+                {formatUnreadCount(roomUnread)}
+              </span>
+            )}
           </button>
         )}
         {/* Added Logout button */}
@@ -159,66 +834,117 @@ function ChatInterface({ username, room, socket, onLogout }) {
         </button>
       </div>
 
-      {/* Right Panel: Chat Messages */}
-      <div className="flex-1 flex flex-col p-4">
+      {/* Right Panel: Chat Messages (drop files anywhere here to attach them) */}
+      <div
+        className={`flex-1 flex flex-col p-4 ${isDraggingFile ? 'ring-4 ring-blue-300 ring-inset' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+        onDragLeave={() => setIsDraggingFile(false)}
+        onDrop={handleDrop}
+      >
         <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
           <ChatBubbleLeftRightIcon className="h-6 w-6 mr-2 text-blue-600" />
-          {selectedPrivateChatUser ? `Private Chat with ${selectedPrivateChatUser.username}` : `Room: ${room}`}
+          {selectedGroup
+            ? `Group: ${selectedGroup.name}`
+            : selectedPrivateChatUser ? `Private Chat with ${selectedPrivateChatUser.username}` : `Room: ${room}`}
         </h2>
-        <div className="flex-1 overflow-y-auto space-y-4 pr-2 custom-scrollbar">
-          {messages
-            .filter(msg => {
-              if (selectedPrivateChatUser) {
-                return msg.isPrivate && (
-                  (msg.senderId === socket.id && msg.recipientId === selectedPrivateChatUser.id) ||
-                  (msg.senderId === selectedPrivateChatUser.id && msg.recipientId === socket.id)
-                );
-              } else {
-                return !msg.isPrivate && msg.room === room;
-              }
-            })
-            .map((msg, index) => (
-              <div
-                key={index}
-                className={`flex ${msg.username === username ? 'justify-end' : 'justify-start'}`}
-              >
-                <div
-                  className={`max-w-[70%] p-3 rounded-lg shadow-md relative
-                              ${msg.username === username ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-800'}`}
-                >
-                  <div className="font-semibold text-sm mb-1">
-                    {msg.isPrivate ? (
-                      <span className="text-purple-200">
-                        {msg.senderId === socket.id ? 'You' : msg.username} (Private)
-                      </span>
-                    ) : (
-                      msg.username
-                    )}
-                  </div>
-                  <div>{msg.text}</div>
-                  <div className="text-xs opacity-75 mt-1 flex justify-between items-center">
-                    <span>{new Date(msg.timestamp).toLocaleTimeString()}</span>
-                    {msg.username === username && (
-                      <span className="ml-2 text-xs">
-                        {msg.isPrivate ? (
-                          msg.readBy && msg.readBy.includes(selectedPrivateChatUser?.id) ? (
-                            <span title="Read by recipient">✓✓</span>
-                          ) : (
-                            <span title="Delivered">✓</span>
-                          )
-                        ) : (
-                          msg.readBy && msg.readBy.length > 1 ? (
-                            <span title={`Read by ${msg.readBy.length - 1} other(s)`}>✓✓</span>
-                          ) : (
-                            <span title="Delivered">✓</span>
-                          )
-                        )}
-                      </span>
-                    )}
-                  </div>
-                </div>
+        {isRoomView && roomInfo?.topic && (
+          <p className="text-sm text-gray-500 -mt-3 mb-4">{roomInfo.topic}</p>
+        )}
+        {isRoomView && pinnedMessages.length > 0 && (
+          <div className="mb-3 border border-yellow-200 bg-yellow-50 rounded text-sm text-gray-700 divide-y divide-yellow-100">
+            {pinnedMessages.map(msg => (
+              <div key={msg.id} className="flex items-center px-3 py-1">
+                <MapPinIcon className="h-4 w-4 mr-2 flex-shrink-0 text-yellow-600" />
+                <button onClick={() => jumpToMessage(msg)} title="Show in conversation" className="flex-1 truncate text-left hover:underline">
+                  <span className="font-semibold">{msg.username}:</span> {msg.text || `${msg.attachments?.length || 0} attachment(s)`}
+                </button>
+                {canModerateRoom && (
+                  <button onClick={() => handleTogglePin(msg.id, true)} title="Unpin" className="ml-2 text-gray-500 hover:text-gray-800">
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                )}
               </div>
             ))}
+          </div>
+        )}
+        {!isConnected && (
+          <div className="mb-2 px-3 py-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            Connection lost. Reconnecting... Messages you send now will be delivered once you are back online.
+          </div>
+        )}
+        <SearchBar token={token} room={room} onSelectResult={jumpToMessage} />
+        {contextView && (
+          <div className="flex items-center justify-between mb-2 px-3 py-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-gray-700">
+            <span>
+              Viewing a search result
+              {contextView.messages[0] && !contextView.messages[0].isPrivate && ` in ${contextView.messages[0].room}`}
+              {contextView.messages[0]?.isPrivate && ' in a private conversation'}
+            </span>
+            <button onClick={() => setContextView(null)} className="font-semibold text-blue-600 hover:underline">
+              Back to live chat
+            </button>
+          </div>
+        )}
+        {hasUnreadMarker && !unreadMarker.jumped && (firstUnreadId || unreadStartsEarlier) && (
+          <div className="flex items-center justify-between mb-2 px-3 py-2 bg-blue-50 border border-blue-200 rounded text-sm text-gray-700">
+            <span>{formatUnreadCount(unreadMarker.unread)} unread message(s)</span>
+            <button
+              onClick={() => setIsJumpingToUnread(true)}
+              disabled={isJumpingToUnread}
+              className="font-semibold text-blue-600 hover:underline disabled:opacity-50"
+            >
+              {isJumpingToUnread ? 'Loading older messages...' : 'Jump to first unread'}
+            </button>
+          </div>
+        )}
+        <div
+          ref={messageListRef}
+          onScroll={handleMessageListScroll}
+          className="flex-1 overflow-y-auto space-y-4 pr-2 custom-scrollbar"
+        >
+          {!contextView && isRoomView && isLoadingHistory && (
+            <div className="text-center text-xs text-gray-500">Loading older messages...</div>
+          )}
+          {!contextView && isRoomView && roomHistory && !roomHistory.loading && !hasMoreHistory && messages.some(msg => !msg.isPrivate && msg.room === room) && (
+            <div className="text-center text-xs text-gray-400">Beginning of {room}</div>
+          )}
+          {visibleMessages.map((msg, index) => (
+            <React.Fragment key={msg.id || index}>
+              {msg.id === firstUnreadId && (
+                <div ref={unreadDividerRef} className="flex items-center text-xs font-semibold text-red-500">
+                  <span className="flex-1 border-t border-red-300" />
+                  <span className="px-2">Unread messages</span>
+                  <span className="flex-1 border-t border-red-300" />
+                </div>
+              )}
+              <MessageBubble
+                msg={msg}
+                isHighlighted={contextView?.targetId === msg.id || contextView?.anchorId === msg.id}
+                username={username}
+                userId={userId}
+                isModerator={msg.isPrivate ? isModerator : canModerateRoom}
+                isPinned={pinnedIds.has(msg.id)}
+                onEdit={handleEditMessage}
+                onDelete={handleDeleteMessage}
+                onOpenThread={openThread}
+                onQuote={setQuotedMessage}
+                onReact={handleReact}
+                onTogglePin={canModerateRoom && !msg.isPrivate ? handleTogglePin : undefined}
+              />
+            </React.Fragment>
+          ))}
+          {queuedMessages.map(({ clientId, status, error, msg }) => (
+            <MessageBubble
+              key={clientId}
+              msg={msg}
+              username={username}
+              userId={userId}
+              deliveryStatus={status}
+              deliveryError={error}
+              onRetry={() => outbox.retry(clientId)}
+              onDiscard={() => outbox.discard(clientId)}
+            />
+          ))}
           <div ref={messagesEndRef} />
         </div>
 
@@ -228,22 +954,101 @@ function ChatInterface({ username, room, socket, onLogout }) {
           </div>
         )}
 
-        <form onSubmit={handleSendMessage} className="flex mt-4 space-x-3">
+        {quotedMessage && (
+          <div className="flex items-center mt-2 px-3 py-2 bg-gray-100 border-l-4 border-blue-500 rounded text-sm text-gray-700">
+            <span className="flex-1 truncate">
+              Quoting <span className="font-semibold">{quotedMessage.username}</span>: {quotedMessage.text}
+            </span>
+            <button onClick={() => setQuotedMessage(null)} title="Cancel quote" className="ml-2 text-gray-500 hover:text-gray-800">
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+
+        {pendingUploads.length > 0 && (
+          <div className="mt-2 space-y-1">
+            {pendingUploads.map(upload => (
+              <div key={upload.localId} className="flex items-center text-sm text-gray-700 bg-gray-100 rounded px-3 py-1">
+                <PaperClipIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                <span className="truncate flex-1">{upload.name} ({formatBytes(upload.size)})</span>
+                {upload.error ? (
+                  <span className="text-red-500 ml-2">{upload.error}</span>
+                ) : (
+                  <span className="w-24 h-2 bg-gray-300 rounded ml-2 overflow-hidden" title={`${upload.progress}%`}>
+                    <span className="block h-full bg-blue-500" style={{ width: `${upload.progress}%` }} />
+                  </span>
+                )}
+                <button onClick={() => removePendingUpload(upload.localId)} title="Remove" className="ml-2 text-gray-500 hover:text-gray-800">
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSendMessage} className="relative flex mt-4 space-x-3">
+          <CommandSuggestions
+            usage={suggestions.usage}
+            items={suggestions.items}
+            activeIndex={Math.min(suggestionIndex, suggestions.items.length - 1)}
+            onPick={pickSuggestion}
+          />
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={(e) => { startUploads(e.target.files); e.target.value = ''; }}
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            title="Attach files"
+            className="text-gray-500 hover:text-blue-600 p-2"
+          >
+            <PaperClipIcon className="h-5 w-5" />
+          </button>
           <input
             type="text"
             value={message}
             onChange={handleTyping}
+            onKeyDown={handleMessageKeyDown}
+            onPaste={handlePaste}
             className="flex-1 px-4 py-2 border border-gray-300 rounded-full shadow-sm focus:ring-blue-500 focus:border-blue-500"
-            placeholder={selectedPrivateChatUser ? `Message ${selectedPrivateChatUser.username}...` : "Type a message..."}
+            placeholder={selectedGroup
+              ? `Message ${selectedGroup.name}...`
+              : selectedPrivateChatUser ? `Message ${selectedPrivateChatUser.username}...` : "Type a message..."}
           />
           <button
             type="submit"
-            className="bg-blue-600 text-white p-3 rounded-full hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out flex items-center justify-center"
+            disabled={isUploading}
+            title={isUploading ? 'Waiting for uploads to finish...' : 'Send'}
+            className="bg-blue-600 text-white p-3 rounded-full hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out flex items-center justify-center disabled:opacity-50"
           >
             <PaperAirplaneIcon className="h-5 w-5 rotate-90" />
           </button>
         </form>
       </div>
+
+      {/* Side Panel: Open Thread */}
+      {activeThread && (
+        <div className="w-full md:w-1/3 flex flex-col p-4 border-l border-gray-200 bg-gray-50">
+          <ThreadPanel
+            key={activeThread.id}
+            parent={messages.find(m => m.id === activeThread.id) || activeThread}
+            messages={messages}
+            token={token}
+            socket={socket}
+            username={username}
+            userId={userId}
+            isModerator={activeThread.isPrivate ? isModerator : canModerateRoom}
+            onEdit={handleEditMessage}
+            onDelete={handleDeleteMessage}
+            onReact={handleReact}
+            onClose={() => setActiveThread(null)}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,27 @@
+// client/src/api/auth.js
+import { apiRequest } from './http';
+
+const SESSION_KEY = 'chat.session';
+
+export const register = (username, password) =>
+    apiRequest('/api/auth/register', { method: 'POST', body: { username, password } });
+
+export const login = (username, password) =>
+    apiRequest('/api/auth/login', { method: 'POST', body: { username, password } });
+
+// Persist the token and user so a page refresh keeps the user signed in
+export const saveSession = (session) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const loadSession = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch {
+        return null;
+    }
+};
+
+export const clearSession = () => {
+    localStorage.removeItem(SESSION_KEY);
+};
@@ -0,0 +1,25 @@
+// client/src/api/http.js
+
+// The REST API lives on the same server as the socket endpoint
+export const API_URL = import.meta.env.VITE_REACT_APP_SOCKET_URL || 'http://localhost:5000'; // Fallback for local dev
+
+// Small fetch wrapper that sends/receives JSON and throws on error responses.
+export const apiRequest = async (path, { method = 'GET', body, token } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.message || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+};
@@ -0,0 +1,10 @@
+// client/src/api/messages.js
+import { apiRequest } from './http';
+
+// Top-level message plus all of its thread replies (oldest first)
+export const fetchThread = (token, messageId) =>
+    apiRequest(`/api/messages/${encodeURIComponent(messageId)}/thread`, { token });
+
+// A message with the history around it, oldest first (used to jump to a search result)
+export const fetchMessageContext = (token, messageId, { before = 20, after = 20 } = {}) =>
+    apiRequest(`/api/messages/${encodeURIComponent(messageId)}/context?before=${before}&after=${after}`, { token });
@@ -0,0 +1,15 @@
+// client/src/api/rooms.js
+import { apiRequest } from './http';
+
+const roomPath = (room) => `/api/rooms/${encodeURIComponent(room)}`;
+
+export const listRooms = (token) => apiRequest('/api/rooms', { token });
+
+export const createRoom = (token, { name, topic, visibility }) =>
+    apiRequest('/api/rooms', { method: 'POST', token, body: { name, topic, visibility } });
+
+export const updateRoom = (token, room, changes) =>
+    apiRequest(roomPath(room), { method: 'PATCH', token, body: changes });
+
+export const archiveRoom = (token, room) =>
+    apiRequest(roomPath(room), { method: 'DELETE', token });
@@ -0,0 +1,11 @@
+// client/src/api/search.js
+import { apiRequest } from './http';
+
+// Filters: { room, author, from, to, hasAttachment }. Empty values are left out.
+export const searchMessages = (token, q, filters = {}) => {
+    const params = new URLSearchParams({ q });
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== '' && value !== false) params.set(key, String(value));
+    });
+    return apiRequest(`/api/search?${params}`, { token });
+};
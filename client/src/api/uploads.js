@@ -0,0 +1,35 @@
+// client/src/api/uploads.js
+import { API_URL } from './http';
+
+// Uploads go through XMLHttpRequest rather than fetch so we can report progress.
+// Resolves with the stored attachment, which is then sent with a message by ID.
+export const uploadFile = (token, file, onProgress) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_URL}/api/uploads`);
+    xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+    xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress?.(Math.round((e.loaded / e.total) * 100));
+    };
+    xhr.onload = () => {
+        let data = {};
+        try {
+            data = JSON.parse(xhr.responseText);
+        } catch {
+            // Non-JSON error page; fall through with the status code
+        }
+        if (xhr.status >= 200 && xhr.status < 300) {
+            resolve(data.attachment);
+        } else {
+            reject(new Error(data.message || `Upload failed with status ${xhr.status}`));
+        }
+    };
+    xhr.onerror = () => reject(new Error('Upload failed. Check your connection.'));
+
+    const form = new FormData();
+    form.append('file', file);
+    xhr.send(form);
+});
+
+// Attachment URLs from the server are relative to the API
+export const attachmentUrl = (attachment) => `${API_URL}${attachment.url}`;
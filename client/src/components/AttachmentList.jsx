@@ -0,0 +1,43 @@
+// client/src/components/AttachmentList.jsx
+import React from 'react';
+import { PaperClipIcon } from '@heroicons/react/24/outline';
+import { attachmentUrl } from '../api/uploads';
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Files attached to a message: inline previews for images, download links for everything else
+function AttachmentList({ attachments }) {
+  return (
+    <div className="mt-2 space-y-2">
+      {attachments.map(attachment => (
+        attachment.mimeType.startsWith('image/') ? (
+          <a key={attachment.attachmentId} href={attachmentUrl(attachment)} target="_blank" rel="noreferrer">
+            <img
+              src={attachmentUrl(attachment)}
+              alt={attachment.name}
+              className="max-h-60 max-w-full rounded-md border border-gray-300"
+              loading="lazy"
+            />
+          </a>
+        ) : (
+          <a
+            key={attachment.attachmentId}
+            href={attachmentUrl(attachment)}
+            download={attachment.name}
+            className="flex items-center underline text-sm"
+          >
+            <PaperClipIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+            <span className="truncate">{attachment.name}</span>
+            <span className="ml-1 opacity-75 whitespace-nowrap">({formatBytes(attachment.size)})</span>
+          </a>
+        )
+      ))}
+    </div>
+  );
+}
+
+export default AttachmentList;
@@ -0,0 +1,78 @@
+// client/src/components/CommandSuggestions.jsx
+import React from 'react';
+
+// Room roles in increasing order of power, as in ChatInterface; 'site' is the account-wide moderator role
+const ROLE_RANK = { member: 1, moderator: 2, owner: 3, site: 4 };
+const DURATIONS = ['10m', '1h', '1d', '1w'];
+const MAX_SUGGESTIONS = 8;
+
+// Text starting with "/" (but not "//", which sends a literal "/") is run as a command by the server
+export const isCommandLine = (text) => /^\/[^\s/]/.test(text);
+
+const findCommand = (commands, name) => commands.find(command => command.name === name || command.aliases.includes(name));
+
+// What to offer for `text` in the message box. `commands` is the server's list (the `listCommands` event),
+// `usernames` the people in the room. Returns { usage, items }: `usage` describes the command being typed,
+// and each item is { label, detail, value }, where `value` is the message box text after picking it.
+export const getCommandSuggestions = (text, { commands, usernames, viewerRole }) => {
+  const none = { usage: null, items: [] };
+  if (!text.startsWith('/') || text.startsWith('//')) return none;
+  const usable = commands.filter(command => ROLE_RANK[command.minRole] <= ROLE_RANK[viewerRole]);
+
+  // Still typing the command name
+  const nameMatch = /^\/(\S*)$/.exec(text);
+  if (nameMatch) {
+    const prefix = nameMatch[1].toLowerCase();
+    const items = usable
+      .filter(command => [command.name, ...command.aliases].some(name => name.startsWith(prefix)))
+      .map(command => ({ label: command.usage, detail: command.description, value: `/${command.name} ` }));
+    return { usage: null, items: items.slice(0, MAX_SUGGESTIONS) };
+  }
+
+  const [, name, rest] = /^\/(\S+)\s+([\s\S]*)$/.exec(text);
+  const command = findCommand(usable, name.toLowerCase());
+  if (!command) return none;
+
+  // The argument being typed is the last word; everything before it stays as it is
+  const words = rest.split(/\s+/);
+  const current = words[words.length - 1];
+  const arg = command.args[words.length - 1];
+  const before = text.slice(0, text.length - current.length);
+  const matches = (candidate) => candidate.toLowerCase().startsWith(current.replace(/^@/, '').toLowerCase()) && candidate !== current;
+
+  let candidates = [];
+  if (arg?.type === 'user') candidates = usernames;
+  if (arg?.type === 'duration') candidates = DURATIONS;
+  if (arg?.type === 'command') candidates = usable.map(other => other.name);
+
+  const items = candidates.filter(matches).slice(0, MAX_SUGGESTIONS)
+    .map(candidate => ({ label: candidate, detail: arg.name, value: `${before}${candidate} ` }));
+  return { usage: command.usage, items };
+};
+
+// The pop-up above the message box. The keyboard is handled by the input (see ChatInterface):
+// arrows move `activeIndex`, Tab or Enter picks, Esc closes.
+function CommandSuggestions({ usage, items, activeIndex, onPick }) {
+  if (!usage && !items.length) return null;
+
+  return (
+    <div className="absolute bottom-full left-0 right-0 mb-2 z-20 bg-white border border-gray-200 rounded-md shadow-lg text-sm overflow-hidden">
+      {usage && <div className="px-3 py-1 text-xs text-gray-500 font-mono border-b border-gray-100">{usage}</div>}
+      {items.map((item, index) => (
+        <button
+          key={item.value}
+          type="button"
+          // Keep focus in the message box
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onPick(item)}
+          className={`flex w-full text-left px-3 py-1 ${index === activeIndex ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+        >
+          <span className="font-mono text-gray-800">{item.label}</span>
+          <span className="ml-3 text-gray-500 truncate">{item.detail}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default CommandSuggestions;
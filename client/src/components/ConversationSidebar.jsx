@@ -0,0 +1,129 @@
+// client/src/components/ConversationSidebar.jsx
+import React, { useState } from 'react';
+import { HashtagIcon, UserIcon, UserGroupIcon, XMarkIcon, PlusIcon, BellIcon, BellSlashIcon } from '@heroicons/react/24/solid';
+import NewGroupForm from './NewGroupForm';
+import { formatUnreadCount } from '../socket/readState';
+
+function UnreadBadge({ count, title }) {
+  if (!count) return null;
+  return (
+    <span title={title} className="ml-auto text-xs bg-red-500 text-white rounded-full px-1.5">
+      {formatUnreadCount(count)}
+    </span>
+  );
+}
+
+// Muted conversations keep the crossed-out bell on show; the others show a bell on hover to mute them
+function MuteToggle({ isMuted, name, onToggle }) {
+  return (
+    <button
+      onClick={(e) => { e.stopPropagation(); onToggle(); }}
+      title={isMuted ? `Turn notifications for ${name} back on` : `Mute notifications for ${name}`}
+      className={`ml-1 hover:opacity-100 ${isMuted ? 'opacity-70' : 'opacity-0 group-hover:opacity-70'}`}
+    >
+      {isMuted ? <BellSlashIcon className="h-4 w-4" /> : <BellIcon className="h-4 w-4" />}
+    </button>
+  );
+}
+
+// Asks for permission to show desktop notifications, or says why there are none
+function NotificationPrompt({ permission, onEnable }) {
+  if (permission === 'default') {
+    return (
+      <button onClick={onEnable} className="mb-3 flex items-center px-2 py-1 text-left text-sm text-blue-300 hover:underline">
+        <BellIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+        Turn on notifications
+      </button>
+    );
+  }
+  if (permission === 'denied') {
+    return <p className="mb-3 text-xs text-gray-400">Notifications are blocked in this browser's settings.</p>;
+  }
+  return null;
+}
+
+// The user's rooms, groups and private conversations, with unread counts, for switching between them.
+// `rooms` are room names in room-list order; `groups` come from useGroups (../socket/groups);
+// `conversations` are { key, userId, username } per DM partner. `active` is the conversation on screen
+// (a room name, group or DM key) and `unread` the counts from useReadState.
+// New groups are started here with `candidates` (see NewGroupForm); `onCreateGroup` returns a promise.
+// Each conversation can be muted: `muted` is the set of muted keys and `onToggleMute(key, muted)` changes one.
+// `notificationPermission` comes from useNotifications (../socket/notifications); `onEnableNotifications` asks for it.
+function ConversationSidebar({
+  rooms, groups, conversations, active, unread, candidates, muted, notificationPermission,
+  onSelectRoom, onSelectGroup, onSelectConversation, onLeaveRoom, onBrowseRooms, onCreateGroup, onToggleMute, onEnableNotifications
+}) {
+  const [isCreatingGroup, setIsCreatingGroup] = useState(false);
+  const unreadIn = (key) => unread[key]?.unread || 0;
+  const muteToggle = (key, name) => (
+    <MuteToggle isMuted={muted.has(key)} name={name} onToggle={() => onToggleMute(key, !muted.has(key))} />
+  );
+  const itemClass = (key) => `group flex items-center px-2 py-1 rounded-md cursor-pointer text-sm transition-colors duration-200
+                               ${key === active ? 'bg-gray-700 text-white' : 'text-gray-300 hover:bg-gray-700'}`;
+
+  return (
+    <div className="w-full md:w-48 bg-gray-800 p-3 flex flex-col overflow-y-auto custom-scrollbar">
+      <NotificationPrompt permission={notificationPermission} onEnable={onEnableNotifications} />
+      <h3 className="text-xs font-semibold uppercase text-gray-400 mb-2">Rooms</h3>
+      {rooms.map(room => (
+        <div key={room} className={itemClass(room)} onClick={() => onSelectRoom(room)}>
+          <HashtagIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+          <span className="truncate">{room}</span>
+          <UnreadBadge count={unreadIn(room)} title={`Unread in ${room}`} />
+          {muteToggle(room, room)}
+          <button
+            onClick={(e) => { e.stopPropagation(); onLeaveRoom(room); }}
+            title={`Leave ${room}`}
+            className="ml-1 opacity-0 group-hover:opacity-70 hover:opacity-100"
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <button onClick={onBrowseRooms} className="mt-1 px-2 py-1 text-left text-sm text-blue-300 hover:underline">
+        All Rooms
+      </button>
+
+      <div className="flex items-center mt-4 mb-2">
+        <h3 className="text-xs font-semibold uppercase text-gray-400">Groups</h3>
+        <button onClick={() => setIsCreatingGroup(creating => !creating)} title="New group" className="ml-auto text-gray-400 hover:text-white">
+          <PlusIcon className="h-4 w-4" />
+        </button>
+      </div>
+      {groups.map(group => (
+        <div key={group.id} className={itemClass(group.conversation)} onClick={() => onSelectGroup(group)}>
+          <UserGroupIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+          <span className="truncate">{group.name}</span>
+          <UnreadBadge count={unreadIn(group.conversation)} title={`Unread in ${group.name}`} />
+          {muteToggle(group.conversation, group.name)}
+        </div>
+      ))}
+      {isCreatingGroup && (
+        <NewGroupForm
+          candidates={candidates}
+          onCreate={async (name, memberIds) => {
+            await onCreateGroup(name, memberIds);
+            setIsCreatingGroup(false);
+          }}
+          onCancel={() => setIsCreatingGroup(false)}
+        />
+      )}
+
+      {conversations.length > 0 && (
+        <>
+          <h3 className="text-xs font-semibold uppercase text-gray-400 mt-4 mb-2">Direct messages</h3>
+          {conversations.map(conversation => (
+            <div key={conversation.key} className={itemClass(conversation.key)} onClick={() => onSelectConversation(conversation)}>
+              <UserIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+              <span className="truncate">{conversation.username}</span>
+              <UnreadBadge count={unreadIn(conversation.key)} title="Unread private messages" />
+              {muteToggle(conversation.key, conversation.username)}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ConversationSidebar;
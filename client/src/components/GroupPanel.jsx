@@ -0,0 +1,84 @@
+// client/src/components/GroupPanel.jsx
+import React, { useState } from 'react';
+import { UserGroupIcon, UserIcon, StarIcon, XMarkIcon, PencilIcon } from '@heroicons/react/24/solid';
+
+// The members of a private group, in the left panel while the group is open.
+// The owner renames the group and adds or removes members; anyone can leave. The actions come from
+// useGroups (../socket/groups) and return promises; a failure is shown here.
+// `candidates` are the people (from rooms and DMs) who could be added: { userId, username }.
+function GroupPanel({ group, userId, candidates, onRename, onAddMember, onRemoveMember, onLeave }) {
+  const [error, setError] = useState('');
+  const isOwner = group.ownerId === userId;
+  const addable = candidates.filter(candidate => !group.members.some(member => member.userId === candidate.userId));
+
+  const run = (action) => {
+    setError('');
+    action().catch(err => setError(err.message));
+  };
+
+  const rename = () => {
+    const name = window.prompt('New name for the group:', group.name);
+    if (name?.trim() && name.trim() !== group.name) run(() => onRename(name.trim()));
+  };
+
+  const leave = () => {
+    if (window.confirm(`Leave ${group.name}? You will no longer see its messages.`)) run(onLeave);
+  };
+
+  return (
+    <>
+      <h2 className="text-2xl font-bold mb-4 flex items-center">
+        <UserGroupIcon className="h-6 w-6 mr-2 flex-shrink-0" />
+        <span className="truncate">{group.name}</span>
+        {isOwner && (
+          <button onClick={rename} title="Rename group" className="ml-2 opacity-70 hover:opacity-100">
+            <PencilIcon className="h-4 w-4" />
+          </button>
+        )}
+      </h2>
+      {error && <p className="text-sm text-red-200 mb-2">{error}</p>}
+      <div className="flex-grow overflow-y-auto custom-scrollbar">
+        {group.members.map(member => (
+          <div key={member.userId} className={`flex items-center p-2 rounded-md mb-2 ${member.userId === userId ? 'bg-blue-600' : ''}`}>
+            <UserIcon className="h-5 w-5 mr-2" />
+            <span>{member.username} {member.userId === userId && '(You)'}</span>
+            {member.userId === group.ownerId && (
+              <span title="Group owner" className="ml-2 flex items-center text-xs bg-yellow-400 text-yellow-900 rounded px-1">
+                <StarIcon className="h-3 w-3 mr-0.5" />Owner
+              </span>
+            )}
+            {isOwner && member.userId !== userId && (
+              <button
+                onClick={() => run(() => onRemoveMember(member.userId))}
+                title={`Remove ${member.username} from the group`}
+                className="ml-auto opacity-70 hover:opacity-100"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {isOwner && addable.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && run(() => onAddMember(e.target.value))}
+          className="mt-4 w-full px-2 py-2 rounded-md text-gray-800"
+        >
+          <option value="">Add someone...</option>
+          {addable.map(candidate => (
+            <option key={candidate.userId} value={candidate.userId}>{candidate.username}</option>
+          ))}
+        </select>
+      )}
+      <button
+        onClick={leave}
+        className="mt-4 bg-blue-600 hover:bg-blue-800 text-white py-2 px-4 rounded-md transition duration-150 ease-in-out flex items-center justify-center"
+      >
+        Leave Group
+      </button>
+    </>
+  );
+}
+
+export default GroupPanel;
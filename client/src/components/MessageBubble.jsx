@@ -0,0 +1,221 @@
+// client/src/components/MessageBubble.jsx
+import React, { useState } from 'react';
+import {
+  PencilSquareIcon,
+  TrashIcon,
+  ChatBubbleLeftEllipsisIcon,
+  ArrowUturnLeftIcon,
+  FaceSmileIcon,
+  MapPinIcon
+} from '@heroicons/react/24/outline';
+import AttachmentList from './AttachmentList';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+// A single chat message, with read receipts, edit history and message actions.
+// Authors can edit/delete their own messages; moderators can delete any message.
+// Room moderators also get `onTogglePin` to pin the message to the room header (or unpin it if `isPinned`).
+// Inside a thread panel (`inThread`), the thread/quote actions and reply count are hidden.
+// Messages still in the outbox have a `deliveryStatus` ('pending' or 'failed') and no actions yet;
+// failed ones offer retry/discard instead of read receipts.
+function MessageBubble({ msg, username, userId, isModerator, isPinned, inThread, isHighlighted, deliveryStatus, deliveryError, onEdit, onDelete, onOpenThread, onQuote, onReact, onTogglePin, onRetry, onDiscard }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isPickingReaction, setIsPickingReaction] = useState(false);
+  const [draft, setDraft] = useState(msg.text);
+
+  const isOwn = msg.username === username;
+  const isDeleted = Boolean(msg.deletedAt);
+  const canModify = !isDeleted && Boolean(msg.senderId) && (msg.senderId === userId || isModerator);
+  const canReply = !isDeleted && Boolean(msg.senderId) && !inThread;
+  const canReact = !isDeleted && Boolean(msg.senderId);
+  const canPin = !isDeleted && Boolean(msg.senderId) && Boolean(onTogglePin);
+  const reactions = Object.entries(msg.reactions || {});
+
+  const hasReacted = (emoji) => (msg.reactions?.[emoji] || []).some(reactor => reactor.userId === userId);
+
+  const toggleReaction = (emoji) => {
+    onReact(msg.id, emoji, hasReacted(emoji) ? 'remove' : 'add');
+    setIsPickingReaction(false);
+  };
+
+  const startEditing = () => {
+    setDraft(msg.text);
+    setIsEditing(true);
+  };
+
+  const submitEdit = (e) => {
+    e.preventDefault();
+    if (draft.trim() && draft.trim() !== msg.text) {
+      onEdit(msg.id, draft.trim());
+    }
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this message?')) {
+      onDelete(msg.id);
+    }
+  };
+
+  const actions = !isEditing && (canReply || canModify || canReact || canPin) && (
+    <div className={`self-center ${isOwn ? 'mr-2' : 'ml-2'} relative ${isPickingReaction ? 'flex' : 'hidden group-hover:flex'} space-x-1 text-gray-400`}>
+      {canReact && (
+        <button onClick={() => setIsPickingReaction(!isPickingReaction)} title="Add reaction" className="hover:text-yellow-500">
+          <FaceSmileIcon className="h-4 w-4" />
+        </button>
+      )}
+      {isPickingReaction && (
+        <div className="absolute bottom-6 z-10 flex bg-white border border-gray-200 rounded-full shadow-md px-2 py-1 space-x-1">
+          {QUICK_REACTIONS.map(emoji => (
+            <button key={emoji} onClick={() => toggleReaction(emoji)} className="text-lg hover:scale-125 transition-transform">
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+      {canReply && (
+        <>
+          <button onClick={() => onOpenThread(msg)} title="Reply in thread" className="hover:text-blue-600">
+            <ChatBubbleLeftEllipsisIcon className="h-4 w-4" />
+          </button>
+          <button onClick={() => onQuote(msg)} title="Quote" className="hover:text-blue-600">
+            <ArrowUturnLeftIcon className="h-4 w-4" />
+          </button>
+        </>
+      )}
+      {canPin && (
+        <button onClick={() => onTogglePin(msg.id, isPinned)} title={isPinned ? 'Unpin message' : 'Pin to room'} className={isPinned ? 'text-yellow-600 hover:text-gray-600' : 'hover:text-yellow-600'}>
+          <MapPinIcon className="h-4 w-4" />
+        </button>
+      )}
+      {canModify && msg.senderId === userId && (
+        <button onClick={startEditing} title="Edit message" className="hover:text-blue-600">
+          <PencilSquareIcon className="h-4 w-4" />
+        </button>
+      )}
+      {canModify && (
+        <button
+          onClick={handleDelete}
+          title={msg.senderId === userId ? 'Delete message' : 'Delete message (moderator)'}
+          className="hover:text-red-600"
+        >
+          <TrashIcon className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div id={msg.id ? `message-${msg.id}` : undefined} className={`group flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+      {isOwn && actions}
+      <div
+        className={`max-w-[70%] p-3 rounded-lg shadow-md relative
+                    ${isOwn ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-800'}
+                    ${deliveryStatus ? 'opacity-60' : ''}
+                    ${deliveryStatus === 'failed' ? 'ring-2 ring-red-400' : ''}
+                    ${isHighlighted ? 'ring-4 ring-yellow-300' : ''}`}
+      >
+        <div className="font-semibold text-sm mb-1">
+          {msg.isPrivate ? (
+            <span className="text-purple-200">
+              {msg.senderId === userId ? 'You' : msg.username} (Private)
+            </span>
+          ) : (
+            msg.username
+          )}
+          {msg.webhookId && (
+            <span title="Posted by a webhook" className="ml-1 px-1 rounded bg-gray-500 text-white text-[10px] uppercase align-middle">bot</span>
+          )}
+        </div>
+        {msg.replyMode === 'quote' && msg.quote && !isDeleted && (
+          <blockquote className="border-l-4 border-current opacity-75 pl-2 mb-1 text-sm">
+            <span className="font-semibold">{msg.quote.username}:</span> {msg.quote.text || 'message deleted'}
+          </blockquote>
+        )}
+        {isDeleted ? (
+          <div className="italic opacity-75">message deleted</div>
+        ) : isEditing ? (
+          <form onSubmit={submitEdit} className="flex flex-col space-y-1">
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+              className="px-2 py-1 rounded text-gray-800"
+              autoFocus
+            />
+            <span className="text-xs opacity-75">Enter to save, Esc to cancel</span>
+          </form>
+        ) : (
+          msg.text && (msg.isAction
+            ? <div className="italic">* {msg.username} {msg.text}</div>
+            : <div className="whitespace-pre-wrap">{msg.text}</div>)
+        )}
+        {!isDeleted && msg.attachments?.length > 0 && <AttachmentList attachments={msg.attachments} />}
+        <div className="text-xs opacity-75 mt-1 flex justify-between items-center">
+          <span>
+            {new Date(msg.timestamp).toLocaleTimeString()}
+            {msg.editedAt && !isDeleted && (
+              <span
+                className="ml-1"
+                title={`Edited ${new Date(msg.editedAt).toLocaleString()} (${msg.revisions?.length || 0} earlier version(s))`}
+              >
+                (edited)
+              </span>
+            )}
+          </span>
+          {deliveryStatus === 'pending' && (
+            <span className="ml-2 text-xs italic">Sending...</span>
+          )}
+          {deliveryStatus === 'failed' && (
+            <span className="ml-2 text-xs" title={deliveryError || undefined}>
+              Not sent.
+              <button onClick={onRetry} className="ml-1 underline font-semibold">Retry</button>
+              <button onClick={onDiscard} className="ml-1 underline">Discard</button>
+            </span>
+          )}
+          {isOwn && !isDeleted && !deliveryStatus && (
+            <span className="ml-2 text-xs">
+              {msg.recipientId ? (
+                msg.readBy && msg.readBy.includes(msg.recipientId) ? (
+                  <span title="Read by recipient">✓✓</span>
+                ) : (
+                  <span title="Delivered">✓</span>
+                )
+              ) : (
+                msg.readBy && msg.readBy.length > 1 ? (
+                  <span title={`Read by ${msg.readBy.length - 1} other(s)`}>✓✓</span>
+                ) : (
+                  <span title="Delivered">✓</span>
+                )
+              )}
+            </span>
+          )}
+        </div>
+        {!isDeleted && reactions.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {reactions.map(([emoji, reactors]) => (
+              <button
+                key={emoji}
+                onClick={() => toggleReaction(emoji)}
+                title={reactors.map(reactor => reactor.username).join(', ')}
+                className={`flex items-center px-2 py-0.5 rounded-full text-xs border
+                            ${hasReacted(emoji) ? 'bg-blue-100 border-blue-400 text-blue-800' : 'bg-white border-gray-300 text-gray-700'}`}
+              >
+                <span className="mr-1">{emoji}</span>{reactors.length}
+              </button>
+            ))}
+          </div>
+        )}
+        {!inThread && msg.replyCount > 0 && (
+          <button onClick={() => onOpenThread(msg)} className="mt-1 text-xs font-semibold underline opacity-90">
+            {msg.replyCount} {msg.replyCount === 1 ? 'reply' : 'replies'}
+          </button>
+        )}
+      </div>
+      {!isOwn && actions}
+    </div>
+  );
+}
+
+export default MessageBubble;
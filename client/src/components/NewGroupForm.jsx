@@ -0,0 +1,72 @@
+// client/src/components/NewGroupForm.jsx
+import React, { useState } from 'react';
+
+// Starts a private group with people the user knows of from their rooms and DMs.
+// `candidates` are { userId, username }; `onCreate(name, memberIds)` returns a promise (see ../socket/groups)
+// and the parent closes the form once it resolves.
+function NewGroupForm({ candidates, onCreate, onCancel }) {
+  const [name, setName] = useState('');
+  const [memberIds, setMemberIds] = useState([]);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toggleMember = (memberId) => {
+    setMemberIds(ids => (ids.includes(memberId) ? ids.filter(id => id !== memberId) : [...ids, memberId]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+    try {
+      await onCreate(name.trim(), memberIds);
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-2 bg-gray-700 rounded-md text-sm text-gray-100 space-y-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={64}
+        placeholder="Group name"
+        className="w-full px-2 py-1 rounded text-gray-800"
+        required
+      />
+      <div className="max-h-40 overflow-y-auto custom-scrollbar">
+        {candidates.length === 0 && <p className="text-xs text-gray-400">Join a room to find people to add.</p>}
+        {candidates.map(candidate => (
+          <label key={candidate.userId} className="flex items-center py-0.5 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={memberIds.includes(candidate.userId)}
+              onChange={() => toggleMember(candidate.userId)}
+              className="mr-2"
+            />
+            <span className="truncate">{candidate.username}</span>
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400">Pick at least two people.</p>
+      {error && <p className="text-xs text-red-300">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={isSaving || memberIds.length < 2 || !name.trim()}
+          className="flex-1 bg-blue-600 hover:bg-blue-700 text-white rounded px-2 py-1 disabled:opacity-50"
+        >
+          Create
+        </button>
+        <button type="button" onClick={onCancel} className="flex-1 bg-gray-600 hover:bg-gray-500 rounded px-2 py-1">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default NewGroupForm;
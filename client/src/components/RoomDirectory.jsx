@@ -0,0 +1,193 @@
+// client/src/components/RoomDirectory.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserGroupIcon, LockClosedIcon, ArchiveBoxIcon, PencilIcon } from '@heroicons/react/24/solid';
+import { listRooms, createRoom, updateRoom, archiveRoom } from '../api/rooms';
+
+// Browsable list of rooms with live occupant counts.
+// Counts start from the REST response and are then kept current by `roomOccupancy` socket events.
+function RoomDirectory({ token, userId, socket, onSelectRoom }) {
+    const [rooms, setRooms] = useState([]);
+    const [occupancy, setOccupancy] = useState({});
+    const [error, setError] = useState('');
+    const [newRoomName, setNewRoomName] = useState('');
+    const [newRoomTopic, setNewRoomTopic] = useState('');
+    const [newRoomPrivate, setNewRoomPrivate] = useState(false);
+    // The room whose topic and visibility are being edited, with the values in the form
+    const [editing, setEditing] = useState(null);
+
+    const refreshRooms = useCallback(async () => {
+        try {
+            const { rooms: fetchedRooms } = await listRooms(token);
+            setRooms(fetchedRooms);
+            setOccupancy(Object.fromEntries(fetchedRooms.map(room => [room.name, room.occupants])));
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        refreshRooms();
+    }, [refreshRooms]);
+
+    useEffect(() => {
+        socket.on('roomOccupancy', setOccupancy);
+        socket.on('roomCatalogUpdated', refreshRooms);
+        return () => {
+            socket.off('roomOccupancy', setOccupancy);
+            socket.off('roomCatalogUpdated', refreshRooms);
+        };
+    }, [socket, refreshRooms]);
+
+    const handleCreateRoom = async (e) => {
+        e.preventDefault();
+        try {
+            const { room } = await createRoom(token, {
+                name: newRoomName.trim(),
+                topic: newRoomTopic.trim(),
+                visibility: newRoomPrivate ? 'private' : 'public'
+            });
+            setNewRoomName('');
+            setNewRoomTopic('');
+            setNewRoomPrivate(false);
+            onSelectRoom(room.name);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleUpdateRoom = async (e) => {
+        e.preventDefault();
+        try {
+            await updateRoom(token, editing.name, {
+                topic: editing.topic.trim(),
+                visibility: editing.private ? 'private' : 'public'
+            });
+            setEditing(null);
+            refreshRooms();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleArchiveRoom = async (room) => {
+        if (!window.confirm(`Archive ${room.name}? It will no longer be joinable.`)) return;
+        try {
+            await archiveRoom(token, room.name);
+            refreshRooms();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="w-full max-w-sm mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">Rooms</h2>
+            {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+            <ul className="max-h-56 overflow-y-auto custom-scrollbar border border-gray-200 rounded-md divide-y divide-gray-200">
+                {rooms.length === 0 && (
+                    <li className="p-3 text-sm text-gray-500">No rooms yet. Create one below.</li>
+                )}
+                {rooms.map((room) => (
+                    <li key={room.id} className="flex items-center p-3 hover:bg-blue-50">
+                        <button onClick={() => onSelectRoom(room.name)} className="flex-1 text-left">
+                            <div className="font-medium text-gray-800 flex items-center">
+                                {room.visibility === 'private' && <LockClosedIcon className="h-4 w-4 mr-1 text-gray-500" />}
+                                {room.name}
+                            </div>
+                            {room.topic && <div className="text-xs text-gray-500 truncate">{room.topic}</div>}
+                        </button>
+                        <span className="flex items-center text-sm text-gray-600 ml-2" title="People in the room now">
+                            <UserGroupIcon className="h-4 w-4 mr-1" />
+                            {occupancy[room.name] || 0}
+                        </span>
+                        {room.createdBy === userId && (
+                            <>
+                                <button
+                                    onClick={() => setEditing({ name: room.name, topic: room.topic || '', private: room.visibility === 'private' })}
+                                    className="ml-2 text-gray-400 hover:text-blue-600"
+                                    title="Edit room"
+                                >
+                                    <PencilIcon className="h-4 w-4" />
+                                </button>
+                                <button
+                                    onClick={() => handleArchiveRoom(room)}
+                                    className="ml-2 text-gray-400 hover:text-red-600"
+                                    title="Archive room"
+                                >
+                                    <ArchiveBoxIcon className="h-4 w-4" />
+                                </button>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {editing && (
+                <form onSubmit={handleUpdateRoom} className="mt-3 space-y-2 p-2 border border-blue-200 rounded-md bg-blue-50">
+                    <div className="text-sm font-medium text-gray-800">Edit {editing.name}</div>
+                    <input
+                        type="text"
+                        value={editing.topic}
+                        onChange={(e) => setEditing({ ...editing, topic: e.target.value })}
+                        className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+                        placeholder="Topic"
+                    />
+                    <div className="flex items-center justify-between">
+                        <label className="flex items-center text-sm text-gray-600">
+                            <input
+                                type="checkbox"
+                                checked={editing.private}
+                                onChange={(e) => setEditing({ ...editing, private: e.target.checked })}
+                                className="mr-2"
+                            />
+                            Private
+                        </label>
+                        <div className="space-x-2">
+                            <button type="button" onClick={() => setEditing(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                                Cancel
+                            </button>
+                            <button type="submit" className="bg-blue-600 text-white text-sm px-3 py-1 rounded-md hover:bg-blue-700">
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                </form>
+            )}
+
+            <form onSubmit={handleCreateRoom} className="mt-3 space-y-2">
+                <div className="flex space-x-2">
+                    <input
+                        type="text"
+                        value={newRoomName}
+                        onChange={(e) => setNewRoomName(e.target.value)}
+                        className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                        placeholder="New room name"
+                        required
+                    />
+                    <button type="submit" className="bg-blue-600 text-white text-sm px-3 py-1 rounded-md hover:bg-blue-700">
+                        Create
+                    </button>
+                </div>
+                <input
+                    type="text"
+                    value={newRoomTopic}
+                    onChange={(e) => setNewRoomTopic(e.target.value)}
+                    className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+                    placeholder="Topic (optional)"
+                />
+                <label className="flex items-center text-sm text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={newRoomPrivate}
+                        onChange={(e) => setNewRoomPrivate(e.target.checked)}
+                        className="mr-2"
+                    />
+                    Private (hidden from the directory)
+                </label>
+            </form>
+        </div>
+    );
+}
+
+export default RoomDirectory;
@@ -0,0 +1,141 @@
+// client/src/components/SearchBar.jsx
+import React, { useState } from 'react';
+import { MagnifyingGlassIcon, XMarkIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import { searchMessages } from '../api/search';
+
+// Renders `text` with the [start, end) ranges from the server wrapped in <mark>
+export function HighlightedText({ text, ranges }) {
+  if (!ranges?.length) return <>{text}</>;
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={i} className="bg-yellow-200 rounded px-0.5">{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
+
+// Search across rooms and DMs. Picking a hit calls `onSelectResult(message)`.
+function SearchBar({ token, room, onSelectResult }) {
+  const [query, setQuery] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [filters, setFilters] = useState({ thisRoomOnly: false, author: '', from: '', to: '', hasAttachment: false });
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  const updateFilter = (name, value) => setFilters((current) => ({ ...current, [name]: value }));
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      const { results: hits } = await searchMessages(token, query.trim(), {
+        room: filters.thisRoomOnly ? room : '',
+        author: filters.author.trim(),
+        from: filters.from,
+        // Include the whole "to" day
+        to: filters.to ? `${filters.to}T23:59:59.999` : '',
+        hasAttachment: filters.hasAttachment
+      });
+      setResults(hits);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const clearSearch = () => {
+    setQuery('');
+    setResults(null);
+    setError('');
+  };
+
+  const selectResult = (message) => {
+    setResults(null);
+    onSelectResult(message);
+  };
+
+  return (
+    <div className="relative mb-4">
+      <form onSubmit={handleSearch} className="flex items-center border border-gray-300 rounded-full px-3 py-1">
+        <MagnifyingGlassIcon className="h-4 w-4 text-gray-500" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 px-2 py-1 text-sm focus:outline-none"
+          placeholder="Search messages"
+        />
+        {(query || results) && (
+          <button type="button" onClick={clearSearch} title="Clear search" className="text-gray-400 hover:text-gray-700">
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => setShowFilters(!showFilters)}
+          title="Search filters"
+          className={`ml-1 ${showFilters ? 'text-blue-600' : 'text-gray-400 hover:text-gray-700'}`}
+        >
+          <AdjustmentsHorizontalIcon className="h-4 w-4" />
+        </button>
+      </form>
+
+      {showFilters && (
+        <div className="flex flex-wrap items-center gap-3 mt-2 text-sm text-gray-700">
+          <label className="flex items-center">
+            <input type="checkbox" className="mr-1" checked={filters.thisRoomOnly} onChange={(e) => updateFilter('thisRoomOnly', e.target.checked)} />
+            Only {room}
+          </label>
+          <input
+            type="text"
+            value={filters.author}
+            onChange={(e) => updateFilter('author', e.target.value)}
+            placeholder="From user"
+            className="px-2 py-0.5 border border-gray-300 rounded w-28"
+          />
+          <label className="flex items-center">
+            After
+            <input type="date" className="ml-1 border border-gray-300 rounded" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+          </label>
+          <label className="flex items-center">
+            Before
+            <input type="date" className="ml-1 border border-gray-300 rounded" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+          </label>
+          <label className="flex items-center">
+            <input type="checkbox" className="mr-1" checked={filters.hasAttachment} onChange={(e) => updateFilter('hasAttachment', e.target.checked)} />
+            Has attachment
+          </label>
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+
+      {results && (
+        <div className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-md shadow-lg max-h-80 overflow-y-auto custom-scrollbar">
+          {results.length === 0 && <p className="p-3 text-sm text-gray-500">No messages found.</p>}
+          {results.map(({ message, highlights }) => (
+            <button
+              key={message.id}
+              onClick={() => selectResult(message)}
+              className="block w-full text-left p-3 border-b border-gray-100 hover:bg-blue-50"
+            >
+              <div className="text-xs text-gray-500 mb-1">
+                <span className="font-semibold text-gray-700">{message.username}</span>
+                {' '}{message.isPrivate ? `in a private ${message.recipientId ? 'message' : 'group'}` : `in ${message.room}`}
+                {' · '}{new Date(message.timestamp).toLocaleString()}
+              </div>
+              <div className="text-sm text-gray-800">
+                <HighlightedText text={message.text} ranges={highlights} />
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchBar;
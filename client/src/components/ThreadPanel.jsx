@@ -0,0 +1,104 @@
+// client/src/components/ThreadPanel.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { PaperAirplaneIcon, XMarkIcon } from '@heroicons/react/24/solid';
+import MessageBubble from './MessageBubble';
+import { fetchThread } from '../api/messages';
+import { groupIdFromConversation } from '../socket/groups';
+
+// Side panel showing one thread: the top-level message and its replies.
+// Earlier replies come from the thread endpoint; new ones arrive through the parent's `messages` state.
+function ThreadPanel({ parent, messages, token, socket, username, userId, isModerator, onEdit, onDelete, onReact, onClose }) {
+  const [fetchedReplies, setFetchedReplies] = useState([]);
+  const [reply, setReply] = useState('');
+  const [error, setError] = useState('');
+  const repliesEndRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchThread(token, parent.id)
+      .then(({ replies }) => { if (!cancelled) setFetchedReplies(replies); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [token, parent.id]);
+
+  // Merge fetched and live replies, preferring the live copy (it has the latest edits)
+  const liveReplies = messages.filter(msg => msg.replyMode === 'thread' && msg.parentId === parent.id);
+  const repliesById = new Map(fetchedReplies.map(msg => [msg.id, msg]));
+  liveReplies.forEach(msg => repliesById.set(msg.id, msg));
+  const replies = [...repliesById.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies.length]);
+
+  const handleSendReply = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    // Keep the draft if the server rejects the reply, so it can be fixed and resent
+    const text = reply.trim();
+    const onAck = (response) => {
+      if (!response.ok) {
+        setError(response.error);
+        setReply(current => current || text);
+      }
+    };
+    setError('');
+    const groupId = groupIdFromConversation(parent.room);
+    if (groupId) {
+      socket.emit('groupMessage', { groupId, message: text, parentId: parent.id, replyMode: 'thread' }, onAck);
+    } else if (parent.isPrivate) {
+      const otherUserId = parent.senderId === userId ? parent.recipientId : parent.senderId;
+      socket.emit('privateMessage', {
+        recipientId: otherUserId,
+        message: text,
+        parentId: parent.id,
+        replyMode: 'thread'
+      }, onAck);
+    } else {
+      socket.emit('chatMessage', { text, room: parent.room, parentId: parent.id, replyMode: 'thread' }, onAck);
+    }
+    setReply('');
+  };
+
+  const bubbleProps = { username, userId, isModerator, inThread: true, onEdit, onDelete, onReact };
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-800">Thread</h3>
+        <button onClick={onClose} title="Close thread" className="text-gray-500 hover:text-gray-800">
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+      <div className="flex-1 overflow-y-auto space-y-4 pr-2 custom-scrollbar">
+        <MessageBubble msg={parent} {...bubbleProps} />
+        <div className="text-xs text-gray-500 border-b border-gray-200 pb-1">
+          {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+        </div>
+        {replies.map(msg => (
+          <MessageBubble key={msg.id} msg={msg} {...bubbleProps} />
+        ))}
+        <div ref={repliesEndRef} />
+      </div>
+      <form onSubmit={handleSendReply} className="flex mt-4 space-x-3">
+        <input
+          type="text"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-full shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          placeholder="Reply in thread..."
+        />
+        <button
+          type="submit"
+          className="bg-blue-600 text-white p-3 rounded-full hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out flex items-center justify-center"
+        >
+          <PaperAirplaneIcon className="h-5 w-5 rotate-90" />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ThreadPanel;
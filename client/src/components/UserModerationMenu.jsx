@@ -0,0 +1,72 @@
+// client/src/components/UserModerationMenu.jsx
+import React, { useEffect, useRef } from 'react';
+
+const MUTE_OPTIONS = [
+  { label: 'Mute for 10 minutes', minutes: 10 },
+  { label: 'Mute for 1 hour', minutes: 60 },
+  { label: 'Mute for 1 day', minutes: 24 * 60 }
+];
+
+// Moderation actions for one user in the room's user list, shown as a small pop-up menu.
+// `viewerRole` decides what is offered: only owners (and site moderators) can appoint moderators.
+// Every action is sent as a socket event; `onResult` receives the server's acknowledgement.
+function UserModerationMenu({ user, room, socket, viewerRole, onResult, onClose }) {
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) onClose();
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [onClose]);
+
+  const run = (event, fields = {}) => {
+    socket.emit(event, { room, userId: user.userId, ...fields }, onResult);
+    onClose();
+  };
+
+  const withReason = (event, question, fields) => {
+    const reason = window.prompt(question);
+    if (reason === null) return; // Cancelled
+    run(event, { ...fields, reason: reason.trim() || undefined });
+  };
+
+  const isMuted = Boolean(user.mutedUntil) && new Date(user.mutedUntil) > new Date();
+  const canAppoint = viewerRole === 'owner' || viewerRole === 'site';
+  const itemClass = 'block w-full text-left px-3 py-1 hover:bg-gray-100';
+
+  return (
+    <div ref={menuRef} className="absolute right-0 top-full z-20 mt-1 w-48 bg-white text-gray-800 text-sm rounded-md shadow-lg border border-gray-200 py-1">
+      <div className="px-3 py-1 text-xs text-gray-500 truncate">Moderate {user.username}</div>
+      {isMuted ? (
+        <button className={itemClass} onClick={() => run('unmuteUser')}>Unmute</button>
+      ) : (
+        MUTE_OPTIONS.map(option => (
+          <button key={option.minutes} className={itemClass} onClick={() => run('muteUser', { minutes: option.minutes })}>
+            {option.label}
+          </button>
+        ))
+      )}
+      <button className={itemClass} onClick={() => withReason('kickUser', `Remove ${user.username} from ${room}? Reason (optional):`)}>
+        Kick from room
+      </button>
+      <button className={`${itemClass} text-red-600`} onClick={() => withReason('banUser', `Ban ${user.username} from ${room} for a day? Reason (optional):`, { minutes: 24 * 60 })}>
+        Ban for 1 day
+      </button>
+      <button className={`${itemClass} text-red-600`} onClick={() => withReason('banUser', `Ban ${user.username} from ${room} until further notice? Reason (optional):`)}>
+        Ban permanently
+      </button>
+      {canAppoint && (
+        user.role === 'moderator' ? (
+          <button className={itemClass} onClick={() => run('setRoomRole', { role: 'member' })}>Remove moderator</button>
+        ) : (
+          <button className={itemClass} onClick={() => run('setRoomRole', { role: 'moderator' })}>Make moderator</button>
+        )
+      )}
+    </div>
+  );
+}
+
+export default UserModerationMenu;
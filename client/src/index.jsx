@@ -3,6 +3,10 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // <--- THIS LINE IS CRUCIAL FOR TAILWIND STYLES
 import App from './App';
+import { registerServiceWorker } from './socket/notifications';
+
+// Offline start and Web Push notifications (production builds only)
+registerServiceWorker();
 
 // Create a React root to render our application into the DOM
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -0,0 +1,60 @@
+// client/src/socket/groups.js
+import { useState, useEffect, useCallback } from 'react';
+
+// Group conversations are keyed "group:<id>", the same way the server keys them
+export const groupIdFromConversation = (conversation) => (conversation?.startsWith('group:') ? conversation.slice(6) : null);
+
+// The private groups the user is in: [{ id, name, ownerId, members: [{ userId, username, addedAt }], conversation }].
+// Fetched after each (re)connect and kept current by `groupUpdated` (something changed, for every member)
+// and `groupLeft` (we left or were removed, possibly from another tab).
+// Every action resolves with the server's data or rejects with its error message.
+export const useGroups = (socket, isConnected) => {
+    const [groups, setGroups] = useState([]);
+
+    useEffect(() => {
+        if (!isConnected) return;
+        socket.emit('listGroups', (response) => {
+            if (response.ok) {
+                setGroups(response.data);
+            } else {
+                console.error('Failed to load groups:', response.error);
+            }
+        });
+    }, [socket, isConnected]);
+
+    useEffect(() => {
+        const onGroupUpdated = (group) => {
+            setGroups(prev => (prev.some(known => known.id === group.id)
+                ? prev.map(known => (known.id === group.id ? group : known))
+                : [...prev, group]));
+        };
+        const onGroupLeft = ({ groupId }) => {
+            setGroups(prev => prev.filter(group => group.id !== groupId));
+        };
+        socket.on('groupUpdated', onGroupUpdated);
+        socket.on('groupLeft', onGroupLeft);
+        return () => {
+            socket.off('groupUpdated', onGroupUpdated);
+            socket.off('groupLeft', onGroupLeft);
+        };
+    }, [socket]);
+
+    const request = useCallback((event, payload) => new Promise((resolve, reject) => {
+        socket.emit(event, payload, (response) => {
+            if (response.ok) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response.error));
+            }
+        });
+    }), [socket]);
+
+    return {
+        groups,
+        createGroup: useCallback((name, memberIds) => request('createGroup', { name, memberIds }), [request]),
+        renameGroup: useCallback((groupId, name) => request('renameGroup', { groupId, name }), [request]),
+        addMembers: useCallback((groupId, memberIds) => request('addGroupMembers', { groupId, memberIds }), [request]),
+        removeMember: useCallback((groupId, memberId) => request('removeGroupMember', { groupId, userId: memberId }), [request]),
+        leaveGroup: useCallback((groupId) => request('leaveGroup', { groupId }), [request])
+    };
+};
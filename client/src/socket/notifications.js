@@ -0,0 +1,162 @@
+// client/src/socket/notifications.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const SERVICE_WORKER_URL = '/sw.js'; // public/sw.js
+const UNSUBSCRIBE_TIMEOUT_MS = 2000; // Logging out doesn't wait longer than this for the server
+
+const canNotify = () => 'Notification' in window;
+
+// Resolves with the service worker registration, or null without one
+let registrationPromise = Promise.resolve(null);
+
+// Registers public/sw.js, which caches the app shell and shows Web Push notifications.
+// Production builds only: in development Vite serves the modules unbundled, and a cached shell would hide edits.
+export const registerServiceWorker = () => {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+    registrationPromise = navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+        console.error('Service worker registration failed:', error);
+        return null;
+    });
+};
+
+// PushManager.subscribe wants the raw bytes of the server's VAPID key (URL-safe base64)
+const decodeKey = (base64url) => {
+    const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+const request = (socket, event, payload) => new Promise((resolve, reject) => {
+    socket.emit(event, payload, (response) => {
+        if (response.ok) {
+            resolve(response.data);
+        } else {
+            reject(new Error(response.error));
+        }
+    });
+});
+
+// Subscribe this browser to Web Push and give the subscription to the server. A subscription left by
+// whoever signed in here before is handed over to the current user.
+const subscribeBrowser = async (socket, publicKey) => {
+    const registration = await registrationPromise;
+    if (!registration?.pushManager) return;
+    const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: decodeKey(publicKey) });
+    await request(socket, 'subscribePush', subscription.toJSON());
+};
+
+// On logout: this browser stops receiving the user's notifications. The server forgets the subscription
+// straight away when it can be reached, and otherwise once the push service reports it gone.
+export const stopPushNotifications = async (socket) => {
+    try {
+        const registration = await registrationPromise;
+        const subscription = await registration?.pushManager?.getSubscription();
+        if (!subscription) return;
+        if (socket.connected) {
+            await new Promise((resolve) => {
+                socket.timeout(UNSUBSCRIBE_TIMEOUT_MS).emit('unsubscribePush', { endpoint: subscription.endpoint }, resolve);
+            });
+        }
+        await subscription.unsubscribe();
+    } catch (error) {
+        console.error('Failed to stop push notifications:', error);
+    }
+};
+
+// Desktop notifications for DMs and @mentions, and which conversations are muted.
+// The server decides who hears about a message and leaves out muted conversations: connected tabs get a
+// `notification` event, shown here while the tab is hidden; users with no tab connected get a Web Push
+// through the service worker. Either way, clicking it calls `onOpen(notification)` (see public/sw.js for its fields).
+// `permission` is the browser's Notification.permission ('unsupported' without the API); enable() asks for it
+// and, once granted, subscribes the browser to Web Push when the server has it turned on.
+// `muted` is the set of muted conversations (room names, DM and group keys); setMuted() changes one for all our tabs.
+export const useNotifications = (socket, isConnected, { onOpen }) => {
+    const [permission, setPermission] = useState(() => (canNotify() ? Notification.permission : 'unsupported'));
+    const [pushPublicKey, setPushPublicKey] = useState(null);
+    const [muted, setMutedSet] = useState(() => new Set());
+    const onOpenRef = useRef(onOpen); // For listeners, which outlive a render
+    onOpenRef.current = onOpen;
+
+    const applyMute = useCallback((conversation, isMuted) => {
+        setMutedSet((prev) => {
+            const next = new Set(prev);
+            if (isMuted) {
+                next.add(conversation);
+            } else {
+                next.delete(conversation);
+            }
+            return next;
+        });
+    }, []);
+
+    useEffect(() => {
+        if (!isConnected) return;
+        socket.emit('notificationSettings', (response) => {
+            if (!response.ok) {
+                console.error('Failed to load notification settings:', response.error);
+                return;
+            }
+            setPushPublicKey(response.data.pushPublicKey);
+            setMutedSet(new Set(response.data.muted));
+        });
+    }, [socket, isConnected]);
+
+    // Subscribing again after each connect keeps the server's copy current (subscriptions can change or expire)
+    useEffect(() => {
+        if (!isConnected || permission !== 'granted' || !pushPublicKey) return;
+        subscribeBrowser(socket, pushPublicKey)
+            .catch(error => console.error('Failed to subscribe to push notifications:', error));
+    }, [socket, isConnected, permission, pushPublicKey]);
+
+    useEffect(() => {
+        const onConversationMuted = ({ conversation, muted: isMuted }) => applyMute(conversation, isMuted);
+
+        // Shown through the service worker when there is one, so clicks go the same way as for Web Push.
+        // Every hidden tab shows it; the shared tag keeps it to one notification.
+        const onNotification = async (notification) => {
+            if (document.visibilityState !== 'hidden' || !canNotify() || Notification.permission !== 'granted') return;
+            const options = { body: notification.body, tag: notification.messageId, data: notification };
+            const registration = await registrationPromise;
+            if (registration) {
+                registration.showNotification(notification.title, options);
+                return;
+            }
+            const shown = new Notification(notification.title, options);
+            shown.onclick = () => {
+                window.focus();
+                shown.close();
+                onOpenRef.current(notification);
+            };
+        };
+
+        const onServiceWorkerMessage = (event) => {
+            if (event.data?.type === 'openConversation') onOpenRef.current(event.data.notification);
+        };
+
+        socket.on('conversationMuted', onConversationMuted);
+        socket.on('notification', onNotification);
+        navigator.serviceWorker?.addEventListener('message', onServiceWorkerMessage);
+        return () => {
+            socket.off('conversationMuted', onConversationMuted);
+            socket.off('notification', onNotification);
+            navigator.serviceWorker?.removeEventListener('message', onServiceWorkerMessage);
+        };
+    }, [socket, applyMute]);
+
+    const enable = useCallback(async () => {
+        if (!canNotify()) return;
+        setPermission(await Notification.requestPermission());
+    }, []);
+
+    // Shown straight away, and put back if the server turns it down
+    const setMuted = useCallback((conversation, isMuted) => {
+        applyMute(conversation, isMuted);
+        request(socket, 'muteConversation', { conversation, muted: isMuted }).catch((error) => {
+            console.error('Failed to change notification settings:', error);
+            applyMute(conversation, !isMuted);
+        });
+    }, [socket, applyMute]);
+
+    return { permission, enable, muted, setMuted };
+};
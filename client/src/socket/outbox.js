@@ -0,0 +1,138 @@
+// client/src/socket/outbox.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { isInRoom, onRoomJoined } from './socket';
+
+// Outgoing messages wait in this queue until the server acknowledges them. The queue is kept in
+// localStorage, so messages written while offline survive a reload and are sent on the next join.
+// Every message carries a client-generated ID and the server stores each ID once, so resending
+// after a flaky connection never posts a message twice.
+const STORAGE_PREFIX = 'chat.outbox.';
+const DELIVERY_TIMEOUT_MS = 10000; // Sent but not acknowledged after this long: mark it failed
+
+// crypto.randomUUID is only available in secure contexts (HTTPS or localhost)
+export const createClientId = () => (window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+
+const loadOutbox = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_PREFIX + userId)) || [];
+    } catch {
+        return [];
+    }
+};
+
+const saveOutbox = (userId, items) => {
+    if (items.length) {
+        localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(items));
+    } else {
+        localStorage.removeItem(STORAGE_PREFIX + userId);
+    }
+};
+
+// Room messages only go out while the server has us in the room they were written in.
+// DMs and group messages belong to no room and go out whenever we are connected.
+const canTransmit = (socket, item) => socket.connected && (item.event !== 'chatMessage' || isInRoom(item.room));
+
+// Queue items: { clientId, event, payload, room, preview, createdAt, status: 'pending' | 'failed', error }.
+// `preview` holds what the pending bubble shows (quote, attachments) until the real message arrives.
+// `onDelivered` receives the stored message from the server's acknowledgement.
+export const useOutbox = (socket, userId, { onDelivered } = {}) => {
+    const [items, setItems] = useState(() => loadOutbox(userId));
+    const itemsRef = useRef(items);
+    const inFlightRef = useRef(new Map()); // clientId -> attempt number, for sends awaiting an ack
+    const attemptRef = useRef(0);
+    const onDeliveredRef = useRef(onDelivered);
+    onDeliveredRef.current = onDelivered;
+
+    useEffect(() => {
+        itemsRef.current = items;
+        saveOutbox(userId, items);
+    }, [userId, items]);
+
+    const updateItem = useCallback((clientId, changes) => {
+        setItems(prev => prev.map(item => (item.clientId === clientId ? { ...item, ...changes } : item)));
+    }, []);
+
+    const removeItem = useCallback((clientId) => {
+        inFlightRef.current.delete(clientId);
+        setItems(prev => prev.filter(item => item.clientId !== clientId));
+    }, []);
+
+    const transmit = useCallback((item) => {
+        const attempt = ++attemptRef.current;
+        inFlightRef.current.set(item.clientId, attempt);
+        socket.timeout(DELIVERY_TIMEOUT_MS).emit(item.event, item.payload, (err, response) => {
+            if (inFlightRef.current.get(item.clientId) !== attempt) return; // Superseded by a retry or reconnect
+            inFlightRef.current.delete(item.clientId);
+            if (err) {
+                updateItem(item.clientId, { status: 'failed', error: 'The server did not respond.' });
+            } else if (response.ok) {
+                removeItem(item.clientId);
+                onDeliveredRef.current?.(response.data);
+            } else {
+                updateItem(item.clientId, { status: 'failed', error: response.error });
+            }
+        });
+    }, [socket, updateItem, removeItem]);
+
+    // Send everything that is waiting and allowed to go out now
+    const flush = useCallback(() => {
+        itemsRef.current
+            .filter(item => item.status === 'pending' && !inFlightRef.current.has(item.clientId) && canTransmit(socket, item))
+            .forEach(transmit);
+    }, [socket, transmit]);
+
+    useEffect(() => {
+        flush(); // The room may already be joined when the chat view mounts
+        const unsubscribe = onRoomJoined(flush);
+        socket.on('connect', flush); // DMs don't wait for a room
+
+        // Sends in flight when the connection drops stay pending and go out again after the re-join
+        const onDisconnect = () => inFlightRef.current.clear();
+        socket.on('disconnect', onDisconnect);
+
+        return () => {
+            unsubscribe();
+            socket.off('connect', flush);
+            socket.off('disconnect', onDisconnect);
+            onDisconnect();
+        };
+    }, [socket, flush]);
+
+    const send = useCallback((event, payload, { room, preview } = {}) => {
+        const clientId = createClientId();
+        const item = {
+            clientId,
+            event,
+            payload: { ...payload, clientId },
+            room,
+            preview,
+            createdAt: new Date().toISOString(),
+            status: 'pending'
+        };
+        itemsRef.current = [...itemsRef.current, item]; // Visible to flush() before the next render
+        setItems(prev => [...prev, item]);
+        if (canTransmit(socket, item)) {
+            transmit(item);
+        }
+    }, [socket, transmit]);
+
+    const retry = useCallback((clientId) => {
+        const item = itemsRef.current.find(queued => queued.clientId === clientId);
+        if (!item) return;
+        updateItem(clientId, { status: 'pending', error: null });
+        if (canTransmit(socket, item)) {
+            transmit(item);
+        }
+    }, [socket, transmit, updateItem]);
+
+    // Called for every message from the server: the broadcast of our own message can beat its ack
+    const confirm = useCallback((msg) => {
+        if (msg.clientId && msg.senderId === userId) {
+            removeItem(msg.clientId);
+        }
+    }, [userId, removeItem]);
+
+    return { items, send, retry, discard: removeItem, confirm };
+};
@@ -0,0 +1,84 @@
+// client/src/socket/readState.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// How long read positions are collected before they go to the server in one `markRead`
+const FLUSH_INTERVAL_MS = 1000;
+const MAX_CURSORS_PER_BATCH = 20; // The server's limit per `markRead`
+const MAX_UNREAD_COUNT = 100; // The server stops counting here
+
+// Private conversations are keyed by the two account IDs, the same way the server keys them
+export const privateConversationKey = (userIdA, userIdB) => `dm:${[userIdA, userIdB].sort().join(':')}`;
+
+export const formatUnreadCount = (count) => (count >= MAX_UNREAD_COUNT ? '99+' : String(count));
+
+// Unread counts for every room we are a member of and every DM, and how far we have read in each.
+// `unread` maps conversation (room name or DM key) -> { unread, lastReadAt }; it is fetched from the
+// server after each (re)connect and kept current by `readCursor` events, which also arrive when
+// another tab of ours reads something. `loaded` is false until the first fetch has answered.
+// markRead(msg) records that `msg` has been seen: the count drops to 0 straight away and the newest
+// message per conversation is sent to the server in batches.
+export const useReadState = (socket, isConnected) => {
+    const [unread, setUnread] = useState({});
+    const [loaded, setLoaded] = useState(false);
+    const pendingRef = useRef(new Map()); // conversation -> newest message read but not yet sent
+    const timerRef = useRef(null);
+    const unreadRef = useRef(unread);
+    unreadRef.current = unread;
+
+    const flush = useCallback(() => {
+        clearTimeout(timerRef.current);
+        timerRef.current = null;
+        if (!socket.connected) return; // Sent after the next connect instead
+        const cursors = [...pendingRef.current.values()].map(msg => ({ room: msg.room, messageId: msg.id }));
+        pendingRef.current.clear();
+        for (let start = 0; start < cursors.length; start += MAX_CURSORS_PER_BATCH) {
+            socket.emit('markRead', { cursors: cursors.slice(start, start + MAX_CURSORS_PER_BATCH) }, (response) => {
+                if (!response.ok) console.error('Failed to save read position:', response.error);
+            });
+        }
+    }, [socket]);
+
+    useEffect(() => {
+        if (!isConnected) return;
+        socket.emit('unreadCounts', (response) => {
+            if (!response.ok) {
+                console.error('Failed to load unread counts:', response.error);
+                return;
+            }
+            setUnread(response.data);
+            setLoaded(true);
+        });
+        flush();
+    }, [socket, isConnected, flush]);
+
+    useEffect(() => {
+        const onReadCursor = ({ room, unread: count, lastReadAt }) => {
+            setUnread(prev => (prev[room]?.lastReadAt > lastReadAt
+                ? prev // Answers an older batch; we have read further since
+                : { ...prev, [room]: { unread: count, lastReadAt } }));
+        };
+        socket.on('readCursor', onReadCursor);
+        return () => socket.off('readCursor', onReadCursor);
+    }, [socket]);
+
+    // Whatever is still waiting goes out when the chat view closes
+    useEffect(() => () => flush(), [flush]);
+
+    const markRead = useCallback((msg) => {
+        const readUpTo = pendingRef.current.get(msg.room)?.timestamp || unreadRef.current[msg.room]?.lastReadAt;
+        if (readUpTo >= msg.timestamp) return; // Already read
+        pendingRef.current.set(msg.room, msg);
+        setUnread(prev => ({ ...prev, [msg.room]: { unread: 0, lastReadAt: msg.timestamp } }));
+        if (!timerRef.current) timerRef.current = setTimeout(flush, FLUSH_INTERVAL_MS);
+    }, [flush]);
+
+    // A message from someone else arrived in a conversation we are not looking at
+    const countUnread = useCallback((msg) => {
+        setUnread(prev => {
+            const current = prev[msg.room] || { unread: 0, lastReadAt: null };
+            return { ...prev, [msg.room]: { ...current, unread: Math.min(current.unread + 1, MAX_UNREAD_COUNT) } };
+        });
+    }, []);
+
+    return { unread, loaded, markRead, countUnread };
+};
@@ -14,12 +14,146 @@ export const socket = io(SOCKET_URL, {
 // ... (rest of your useSocket hook code remains the same)
 import { useState, useEffect } from 'react'; // Make sure useState and useEffect are imported if not already
 
+// Attach the JWT to the handshake. The server rejects connections without a valid token.
+export const setSocketToken = (token) => {
+    socket.auth = { token };
+};
+
+// The rooms this client wants to be in (the sidebar's room list, in order), and the rooms the server
+// has confirmed it is in. Kept outside React so a reconnect re-joins them even while no component is listening.
+// The list itself is kept on the server: the first connection of a session loads it (`listJoinedRooms`).
+let wantedRooms = [];
+const joinedRooms = new Set();
+let hasLoadedRoomList = false;
+const roomJoinedListeners = new Set();
+const roomJoinFailedListeners = new Set();
+const roomListListeners = new Set();
+
+export const isInRoom = (room) => joinedRooms.has(room);
+export const getRoomList = () => wantedRooms;
+
+// Subscribe to joins confirmed by the server; `resumed` is true for automatic re-joins after a reconnect
+// and for rooms restored from the saved room list. Returns an unsubscribe function.
+export const onRoomJoined = (listener) => {
+    roomJoinedListeners.add(listener);
+    return () => roomJoinedListeners.delete(listener);
+};
+
+// Subscribe to joins the server turned down (e.g. a banned user or an archived room).
+// The listener receives (room, error message). Returns an unsubscribe function.
+export const onRoomJoinFailed = (listener) => {
+    roomJoinFailedListeners.add(listener);
+    return () => roomJoinFailedListeners.delete(listener);
+};
+
+// Subscribe to changes of the room list; the listener receives the new list. Returns an unsubscribe function.
+export const onRoomListChanged = (listener) => {
+    roomListListeners.add(listener);
+    return () => roomListListeners.delete(listener);
+};
+
+const setRoomList = (rooms) => {
+    wantedRooms = rooms;
+    roomListListeners.forEach(listener => listener(rooms));
+};
+
+// The room list as React state, for the sidebar
+export const useRoomList = () => {
+    const [rooms, setRooms] = useState(wantedRooms);
+    useEffect(() => {
+        setRooms(wantedRooms);
+        return onRoomListChanged(setRooms);
+    }, []);
+    return rooms;
+};
+
+const forgetRoom = (room) => {
+    joinedRooms.delete(room);
+    if (wantedRooms.includes(room)) setRoomList(wantedRooms.filter(wanted => wanted !== room));
+};
+
+// Adds the room to the list; the socket stays in the others. The username is taken from the token on the server.
+export const joinRoom = (room, { resume = false } = {}) => {
+    if (!wantedRooms.includes(room)) setRoomList([...wantedRooms, room]);
+    socket.emit('joinRoom', { room, resume }, (response) => {
+        if (!wantedRooms.includes(room)) return; // Left again in the meantime
+        if (!response?.ok) {
+            if (response) {
+                forgetRoom(room);
+                roomJoinFailedListeners.forEach(listener => listener(room, response.error));
+            }
+            return;
+        }
+        joinedRooms.add(room);
+        roomJoinedListeners.forEach(listener => listener(room, { resumed: resume }));
+    });
+};
+
+// Takes the room off the list, here and (through the server) in the user's other tabs
+export const leaveRoom = (room) => {
+    forgetRoom(room);
+    socket.emit('leaveRoom', { room });
+};
+
+// A new connection has a new socket on the server that is in no room yet, so re-join the list.
+// The first connection of a session loads the list the server remembers from earlier sessions.
+socket.on('connect', () => {
+    wantedRooms.forEach(room => joinRoom(room, { resume: true }));
+    if (hasLoadedRoomList) return;
+    hasLoadedRoomList = true;
+    socket.emit('listJoinedRooms', (response) => {
+        if (!response?.ok) {
+            console.error('Failed to load your rooms:', response?.error);
+            return;
+        }
+        response.data.filter(room => !wantedRooms.includes(room)).forEach(room => joinRoom(room, { resume: true }));
+    });
+});
+socket.on('disconnect', () => {
+    joinedRooms.clear();
+});
+
+// The room was left in another tab, or we were removed from it
+socket.on('roomLeft', ({ room }) => forgetRoom(room));
+socket.on('removedFromRoom', ({ room }) => forgetRoom(room));
+socket.on('roomArchived', ({ room }) => forgetRoom(room));
+
+// Socket.IO does not retry by itself after the server turned the handshake down or closed the socket,
+// which is what a server that is starting up or shutting down does. Reconnect after a random delay
+// (so clients don't all arrive at once); the load balancer routes the new connection to a healthy instance.
+// Messages still in the outbox are resent once connected again.
+const UNAVAILABLE_RETRY_MS = 5000;
+let reconnectTimer = null;
+
+const scheduleReconnect = (maxDelayMs) => {
+    if (reconnectTimer || !socket.auth?.token) return;
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        if (socket.connected) socket.disconnect();
+        socket.connect();
+    }, Math.random() * maxDelayMs);
+};
+
+const cancelReconnect = () => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+};
+
+socket.on('serverShutdown', ({ reconnectInMs } = {}) => {
+    scheduleReconnect(reconnectInMs || UNAVAILABLE_RETRY_MS);
+});
+socket.on('connect_error', (err) => {
+    if (err.message === 'Server unavailable') scheduleReconnect(UNAVAILABLE_RETRY_MS);
+});
+
 export const useSocket = () => {
     const [isConnected, setIsConnected] = useState(socket.connected);
+    const [connectionError, setConnectionError] = useState(null);
 
     useEffect(() => {
         function onConnect() {
             setIsConnected(true);
+            setConnectionError(null);
             console.log('Socket Connected!'); // Log successful connection
         }
 
@@ -28,28 +162,38 @@ export const useSocket = () => {
             console.log('Socket Disconnected!'); // Log disconnection
         }
 
+        function onConnectError(err) {
+            setConnectionError(err.message);
+            console.log('Socket Connection Error:', err.message); // e.g. "Authentication required"
+        }
+
         socket.on('connect', onConnect);
         socket.on('disconnect', onDisconnect);
+        socket.on('connect_error', onConnectError);
 
         return () => {
             socket.off('connect', onConnect);
             socket.off('disconnect', onDisconnect);
+            socket.off('connect_error', onConnectError);
         };
     }, []);
 
-    const connectAndJoinRoom = (username, room) => {
+    const connectWithToken = (token) => {
+        setSocketToken(token);
         if (!socket.connected) {
             socket.connect(); // Connect if not already connected
         }
-        // Ensure you're emitting to the correct socket instance
-        socket.emit('joinRoom', { username, room });
     };
 
     const disconnect = () => {
+        setRoomList([]);
+        joinedRooms.clear();
+        hasLoadedRoomList = false; // The next session (maybe another account) loads its own list
+        cancelReconnect();
         if (socket.connected) {
             socket.disconnect();
         }
     };
 
-    return { isConnected, connectAndJoinRoom, disconnect, socket }; // Added socket to return for direct use if needed
+    return { isConnected, connectionError, connectWithToken, joinRoom, leaveRoom, disconnect, socket }; // Added socket to return for direct use if needed
 };
\ No newline at end of file
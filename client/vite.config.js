@@ -1,13 +1,49 @@
 // client/vite.config.js
+import { createHash } from 'node:crypto';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+const SERVICE_WORKER = 'sw.js'; // public/sw.js
+const BUILD_PLACEHOLDER = /const BUILD = .*;/; // The line in public/sw.js this plugin fills in
+
+// Gives the service worker the list of files a production build needs, so it can cache them all
+// at install and start offline. The list comes from the bundle (hashed JS, CSS and assets) and
+// public/; its hash names the cache, so each deploy starts a fresh one.
+const precacheBuild = () => {
+  let outDir;
+  let publicDir;
+  const files = [];
+  return {
+    name: 'precache-build',
+    apply: 'build',
+    configResolved(config) {
+      outDir = config.build.outDir;
+      publicDir = config.publicDir;
+    },
+    generateBundle(options, bundle) {
+      files.push(...Object.keys(bundle).filter(file => file !== 'index.html' && !file.endsWith('.map')));
+    },
+    async writeBundle() {
+      const publicFiles = (await readdir(publicDir)).filter(file => file !== SERVICE_WORKER && file !== 'index.html');
+      const assets = ['/', ...[...publicFiles, ...files].sort().map(file => `/${file}`)];
+      const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+
+      const path = join(outDir, SERVICE_WORKER);
+      const source = await readFile(path, 'utf8');
+      if (!BUILD_PLACEHOLDER.test(source)) throw new Error(`${SERVICE_WORKER} has no "const BUILD = ...;" line to fill in.`);
+      await writeFile(path, source.replace(BUILD_PLACEHOLDER, `const BUILD = ${JSON.stringify({ version, assets })};`));
+    }
+  };
+};
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheBuild()],
   server: {
     port: 3000, // Ensure Vite runs on port 3000
   },
   build: {
     outDir: 'dist', // Vite's default output directory
   },
-});
\ No newline at end of file
+});
@@ -0,0 +1,204 @@
+// server/app.js
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const defaultLogger = require('./utils/logger');
+const { loadConfig } = require('./config');
+const createAuthRouter = require('./routes/auth');
+const createRoomRouter = require('./routes/rooms');
+const createMessageRouter = require('./routes/messages');
+const createSearchRouter = require('./routes/search');
+const createUploadRouter = require('./routes/uploads');
+const createWebhookRouter = require('./routes/webhooks');
+const createHealthRouter = require('./routes/health');
+const { createStorage } = require('./storage');
+const { createPresenceStore } = require('./presence');
+const { registerSocketHandlers } = require('./sockets');
+const { attachSocketAdapter } = require('./sockets/adapter');
+const { httpRateLimit, createEventLimiter } = require('./throttle');
+const { createWebhookDispatcher, createDestinationCheck } = require('./webhooks');
+const { createPushSender } = require('./push');
+const { createMetrics } = require('./metrics');
+const { createCorsPolicy } = require('./middleware/cors');
+const { createAuth } = require('./middleware/auth');
+const { createShutdown, createInFlightTracker } = require('./lifecycle');
+
+// Builds the whole chat server without side effects: nothing connects or listens until the caller says so.
+//   `db`      the Mongoose connection the app reports on (/readyz, metrics) and closes on shutdown.
+//             The caller connects it (see ./server.js; tests use an in-memory MongoDB).
+//   `logger`  where the app logs; `config` comes from ./config.
+//   `exit`    called with the exit code once shutdown is done (tests pass a no-op).
+// Returns the Express app, the HTTP and Socket.IO servers, and:
+//   start()                  once `db` is connected: attaches the Socket.IO adapter, starts background
+//                            jobs and lets clients in. Until then /readyz is 503 and sockets are turned away.
+//   shutdown(reason, code)   graceful shutdown (see ./lifecycle); safe to call more than once.
+const createApp = ({
+  db = mongoose.connection,
+  logger = defaultLogger,
+  config = loadConfig(),
+  exit = (code) => process.exit(code)
+} = {}) => {
+  // 'starting' until start() is done, 'running', then 'stopping' once shutdown begins.
+  // /readyz and the Socket.IO handshake turn traffic away unless the server is running.
+  let state = 'starting';
+
+  // --- Express & Middleware ---
+  const app = express();
+
+  // Security Headers
+  app.use(helmet());
+
+  // Health Checks & Metrics (/healthz, /readyz, /metrics)
+  // Mounted ahead of request logging and rate limiting: probes and scrapers call them every few seconds.
+  const metrics = createMetrics();
+  metrics.trackMongo(db);
+  app.use(createHealthRouter({ metrics, connection: db, getState: () => state, metricsToken: config.metricsToken }));
+  logger.info('Health check and metrics endpoints configured.'); // VERBOSE LOG
+
+  // Behind a reverse proxy (Railway, Render, nginx...) req.ip is the proxy unless Express trusts it.
+  // Set TRUST_PROXY to the number of proxy hops, so rate limits apply per client rather than to everyone at once.
+  if (config.trustProxy) {
+    app.set('trust proxy', config.trustProxy);
+    logger.info(`Express trusting proxy: ${config.trustProxy}`); // VERBOSE LOG
+  }
+
+  // CORS: only the origins in CLIENT_ORIGIN (see ./middleware/cors); shared with Socket.IO below
+  const corsPolicy = createCorsPolicy({ origins: config.clientOrigins, logger });
+  app.use(corsPolicy.http);
+  logger.info(`Express CORS middleware configured for: ${config.clientOrigins.join(', ')}`); // VERBOSE LOG
+
+  // Logging (none in tests, where it would only clutter the output)
+  if (config.nodeEnv === 'production') {
+    app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+  } else if (config.nodeEnv !== 'test') {
+    app.use(morgan('dev'));
+  }
+  logger.info('Morgan HTTP request logger configured.'); // VERBOSE LOG
+
+  // Rate Limiting (per client IP, see ./throttle). Stricter limits for logins and uploads.
+  app.use('/api', httpRateLimit('api', config.httpRateLimits));
+  app.use('/api/auth', httpRateLimit('auth', config.httpRateLimits));
+  app.post('/api/uploads', httpRateLimit('uploads', config.httpRateLimits));
+  logger.info('HTTP rate limiting configured.'); // VERBOSE LOG
+
+  // Body Parser
+  app.use(express.json());
+  logger.info('Express JSON body parser configured.'); // VERBOSE LOG
+
+  // Login tokens (JWT_SECRET, JWT_EXPIRES_IN): signed by the auth routes, checked by every other route and the Socket.IO handshake
+  const auth = createAuth({ secret: config.jwtSecret, expiresIn: config.jwtExpiresIn });
+
+  // --- Socket.IO Setup ---
+  const server = http.createServer(app);
+
+  // Socket.IO CORS: the same CLIENT_ORIGIN allowlist as the REST API
+  const io = new Server(server, corsPolicy.socketIo);
+  logger.info(`Socket.IO server initialized for: ${config.clientOrigins.join(', ')}`); // VERBOSE LOG
+
+  // Shared presence lets every instance list the same room occupants (PRESENCE_STORE=mongo)
+  const presence = createPresenceStore(config.presenceStore);
+  logger.info(`Presence store initialized: ${presence.name}`); // VERBOSE LOG
+  metrics.observe({ io, presence });
+
+  // Per-user allowance for every socket event (SOCKET_RATE_LIMITS, see ./throttle)
+  const limiter = createEventLimiter(config.socketRateLimits);
+
+  // Outgoing webhooks: new room messages are POSTed to other tools, with retries (see ./webhooks).
+  // Never to internal addresses, except the hosts in WEBHOOK_ALLOWED_HOSTS.
+  const destinations = createDestinationCheck({ allowedHosts: config.webhookAllowedHosts });
+  const webhooks = createWebhookDispatcher({ destinations });
+
+  // Web Push: DMs and mentions reach users with no tab open, when VAPID keys are configured (see ./push)
+  const push = createPushSender(config.push);
+  logger.info(`Web Push ${push.isEnabled ? 'enabled' : 'disabled (no VAPID keys)'}`); // VERBOSE LOG
+
+  // Graceful shutdown (see ./lifecycle): waits for socket handlers still writing, then closes
+  // Socket.IO, the HTTP server, background jobs and MongoDB in that order
+  const inFlight = createInFlightTracker();
+  const lifecycle = createShutdown({
+    server,
+    io,
+    inFlight,
+    closers: [webhooks.close, presence.close, limiter.close],
+    connection: db,
+    timeoutMs: config.shutdownTimeoutMs,
+    exit
+  });
+
+  // --- Socket.IO Events ---
+  // Turn sockets away until start() is done and once shutdown has begun; clients retry (elsewhere).
+  io.use((socket, next) => {
+    if (state !== 'running') return next(new Error('Server unavailable'));
+    next();
+  });
+
+  // JWT handshake check and all chat events live in ./sockets
+  registerSocketHandlers(io, { socketAuth: auth.socketAuth, presence, limiter, push, webhooks, metrics, inFlight });
+  logger.info('Socket.IO connection handler and events defined.'); // VERBOSE LOG
+
+  // --- API Routes ---
+  app.get('/', (req, res) => res.send('Socket.io chat server is running!'));
+  const { requireAuth } = auth;
+  app.use('/api/auth', createAuthRouter({ signToken: auth.signToken }));
+  app.use('/api/rooms', createRoomRouter({ io, getOccupancy: () => presence.roomCounts(), requireAuth }));
+  app.use('/api/messages', createMessageRouter({ requireAuth }));
+  app.use('/api/uploads', createUploadRouter({
+    storage: createStorage(config.storageDriver, { directory: config.uploadDir }),
+    maxBytes: config.uploadMaxBytes,
+    allowedTypes: config.uploadAllowedTypes,
+    requireAuth
+  }));
+  app.use('/api/search', createSearchRouter({ requireAuth }));
+  app.use('/api/webhooks', createWebhookRouter({ io, metrics, requireAuth, destinations }));
+  logger.info('Base, auth, room, message, upload, search and webhook API routes defined.'); // VERBOSE LOG
+
+  // --- Error Handling ---
+  // Catch 404 and forward to error handler
+  app.use((req, res, next) => {
+    const error = new Error('Not Found');
+    error.status = 404;
+    next(error);
+  });
+
+  // General error handler
+  app.use((err, req, res, next) => {
+    logger.error(`Error: ${err.message}`, { stack: err.stack, status: err.status, url: req.originalUrl, method: req.method });
+    // Part of the body is already out (e.g. a file download that failed halfway): Express cuts the connection
+    if (res.headersSent) return next(err);
+
+    res.status(err.status || 500).json({
+      message: err.message,
+      details: err.details, // Per-field problems for requests that failed validation
+      error: config.nodeEnv === 'development' ? err.stack : {} // Include stack only in dev
+    });
+  });
+  logger.info('Express error handling middleware configured.'); // VERBOSE LOG
+
+  const start = async () => {
+    await attachSocketAdapter(io, config.socketAdapter);
+    webhooks.start(); // Retries of failed outgoing webhook deliveries
+    if (!lifecycle.isShuttingDown()) state = 'running';
+  };
+
+  const shutdown = (reason, exitCode) => {
+    state = 'stopping';
+    return lifecycle.shutdown(reason, exitCode);
+  };
+
+  return {
+    app,
+    server,
+    io,
+    presence,
+    metrics,
+    start,
+    shutdown,
+    isShuttingDown: lifecycle.isShuttingDown,
+    getState: () => state
+  };
+};
+
+module.exports = { createApp };
@@ -0,0 +1,69 @@
+// server/commands/args.js
+const User = require('../models/User');
+const { clientError } = require('../sockets/handler');
+
+// "10m", "2h", "3d", "1w" or plain minutes ("30"). Returns minutes, or null if `token` isn't a duration.
+const DURATION_UNITS = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+const parseDuration = (token) => {
+  const match = /^(\d+)([mhdw]?)$/i.exec(token);
+  if (!match) return null;
+  const minutes = Number(match[1]) * DURATION_UNITS[(match[2] || 'm').toLowerCase()];
+  return minutes > 0 ? minutes : null;
+};
+
+// Split what follows the command name into its arguments. Argument types:
+//   word      a single word
+//   command   a command name, read like a word (the type is a hint for autocomplete)
+//   user      a username (a leading "@" is ignored)
+//   duration  see parseDuration()
+//   text      everything that is left, spaces included, as typed
+// Any argument but text may be put in double quotes to include spaces ("two words"). An optional duration
+// is skipped when the next word isn't one, so "/ban bob spamming" works.
+const parseArgs = (command, input) => {
+  const usageError = () => clientError(`Usage: ${command.usage}`);
+  const values = {};
+  let rest = input.trim();
+
+  for (const arg of command.args || []) {
+    if (arg.type === 'text') {
+      if (rest) values[arg.name] = rest;
+      else if (!arg.optional) throw usageError();
+      rest = '';
+      continue;
+    }
+
+    if (rest.startsWith('"')) {
+      const end = rest.indexOf('"', 1);
+      if (end === -1) throw clientError(`Missing a closing quote. Usage: ${command.usage}`);
+      if (/\S/.test(rest.charAt(end + 1))) throw usageError();
+    }
+    const [, quoted, word = '', remainder = ''] = /^(?:"([^"]*)"|(\S*))\s*([\s\S]*)$/.exec(rest);
+    const token = quoted ?? word;
+    if (!token) {
+      if (!arg.optional) throw usageError();
+      continue;
+    }
+    if (arg.type === 'duration') {
+      const minutes = parseDuration(token);
+      if (minutes === null) {
+        if (arg.optional) continue;
+        throw clientError(`"${token}" is not a duration. Use for example 10m, 2h or 1d.`);
+      }
+      values[arg.name] = minutes;
+    } else {
+      values[arg.name] = arg.type === 'user' ? token.replace(/^@/, '') : token;
+    }
+    rest = remainder;
+  }
+
+  if (rest) throw usageError(); // Words left over that no argument takes
+  return values;
+};
+
+const findUser = async (username) => {
+  const user = await User.findByUsername(username);
+  if (!user) throw clientError(`There is no user called ${username}.`, 404);
+  return user;
+};
+
+module.exports = { parseDuration, parseArgs, findUser };
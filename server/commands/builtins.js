@@ -0,0 +1,149 @@
+// server/commands/builtins.js
+const User = require('../models/User');
+const Room = require('../models/Room');
+const Membership = require('../models/Membership');
+const Group = require('../models/Group');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { clientError } = require('../sockets/handler');
+const { userChannel } = require('../sockets/channels');
+const { validate, schemas } = require('../validation');
+const { findUser } = require('./args');
+
+const { ROLE_RANK } = Membership;
+const nickSchema = schemas.http.register.body.pick({ username: true });
+const topicSchema = schemas.http.updateRoom.body.pick({ topic: true });
+
+const me = {
+  name: 'me',
+  usage: '/me <action>',
+  description: 'Say what you are doing, e.g. "/me waves".',
+  args: [{ name: 'action', type: 'text' }],
+  run: (ctx, { action }) => ctx.postRoomMessage({ text: action, isAction: true })
+};
+
+const msg = {
+  name: 'msg',
+  aliases: ['w'],
+  usage: '/msg <user> <message>',
+  description: 'Send someone a private message.',
+  args: [{ name: 'user', type: 'user' }, { name: 'message', type: 'text' }],
+  run: async (ctx, { user, message }) => {
+    const recipient = await findUser(user);
+    if (recipient.id === ctx.actor.id) throw clientError('You cannot send a private message to yourself.');
+    return ctx.postPrivateMessage(recipient, { text: message });
+  }
+};
+
+// Renames the account, not just this session. Other tabs of the same user keep showing the old name
+// to the room until they reconnect; their clients update the signed-in user from `accountUpdated`.
+const nick = {
+  name: 'nick',
+  usage: '/nick <name>',
+  description: 'Change your username.',
+  args: [{ name: 'name', type: 'word' }],
+  run: async (ctx, { name }) => {
+    const { username } = validate(nickSchema, { username: name });
+    const previous = ctx.actor.username;
+    if (username === previous) return { username };
+
+    const holder = await User.findByUsername(username);
+    if (holder && holder.id !== ctx.actor.id) throw clientError(`The name ${username} is already taken.`, 409);
+    try {
+      await User.updateOne({ _id: ctx.actor.id }, { username });
+    } catch (error) {
+      if (error.code === 11000) throw clientError(`The name ${username} is already taken.`, 409);
+      throw error;
+    }
+    await Membership.updateMany({ userId: ctx.actor.id }, { username });
+    await Group.updateMany(
+      { 'members.userId': ctx.actor.id },
+      { $set: { 'members.$[member].username': username } },
+      { arrayFilters: [{ 'member.userId': ctx.actor.id }] }
+    );
+
+    ctx.actor.username = username;
+    const rooms = ctx.joinedRooms(); // Includes ctx.user
+    rooms.forEach(entry => { entry.username = username; });
+    await Promise.all(rooms.map(entry => ctx.presence.set(ctx.socket.id, entry)));
+
+    ctx.announce(`${previous} is now known as ${username}.`);
+    for (const { room } of rooms) {
+      ctx.io.to(room).emit('roomUsers', await ctx.moderation.listRoomUsers(room), room);
+    }
+    ctx.io.to(userChannel(ctx.actor.id)).emit('accountUpdated', { id: ctx.actor.id, username, role: ctx.actor.role });
+    logger.info(`${previous} renamed to ${username}`);
+    return { username };
+  }
+};
+
+// Anyone can read the topic; room moderators and owners can change it
+const topic = {
+  name: 'topic',
+  usage: '/topic [new topic]',
+  description: 'Show the room topic, or change it (moderators).',
+  args: [{ name: 'topic', type: 'text', optional: true }],
+  run: async (ctx, { topic: text }) => {
+    const roomDoc = await Room.findOne({ name: ctx.room });
+    if (!roomDoc) throw clientError(`The ${ctx.room} room does not exist.`, 404);
+    if (text === undefined) {
+      ctx.reply(roomDoc.topic ? `The topic of ${ctx.room} is: ${roomDoc.topic}` : `${ctx.room} has no topic.`);
+      return { topic: roomDoc.topic };
+    }
+
+    if (await ctx.moderation.rankIn(ctx.room, ctx.actor) < ROLE_RANK.moderator) {
+      throw clientError(`You are not a moderator of ${ctx.room}.`, 403);
+    }
+    roomDoc.topic = validate(topicSchema, { topic: text }).topic;
+    await roomDoc.save();
+    await AuditLog.record({ room: ctx.room, action: 'setTopic', actor: ctx.actor, details: { topic: roomDoc.topic } });
+
+    ctx.io.to(ctx.room).emit('roomInfo', await ctx.moderation.roomInfo(roomDoc));
+    ctx.io.emit('roomCatalogUpdated');
+    ctx.announce(`${ctx.actor.username} changed the topic to: ${roomDoc.topic}`);
+    logger.info(`${ctx.actor.username} changed the topic of ${ctx.room}`);
+    return { topic: roomDoc.topic };
+  }
+};
+
+const ROLE_LABELS = { owner: ' (owner)', moderator: ' (moderator)', member: '' };
+
+const who = {
+  name: 'who',
+  usage: '/who',
+  description: 'List who is in the room.',
+  args: [],
+  run: async (ctx) => {
+    const users = await ctx.moderation.listRoomUsers(ctx.room);
+    // One entry per user, however many tabs they have open
+    const names = [...new Map(users.map(user => [user.userId, `${user.username}${ROLE_LABELS[user.role] || ''}`])).values()];
+    ctx.reply(`In ${ctx.room} (${names.length}): ${names.join(', ')}`);
+    return { users: names.length };
+  }
+};
+
+// Lists only the commands the user may run in this room
+const help = {
+  name: 'help',
+  usage: '/help [command]',
+  description: 'List the commands, or explain one.',
+  args: [{ name: 'command', type: 'command', optional: true }],
+  run: async (ctx, { command: name }) => {
+    if (name) {
+      const command = ctx.commands.get(name.replace(/^\//, ''));
+      if (!command) throw clientError(`There is no /${name} command.`, 404);
+      const aliases = command.aliases?.length ? ` Also: ${command.aliases.map(alias => `/${alias}`).join(', ')}.` : '';
+      ctx.reply(`${command.usage}: ${command.description}${aliases}`);
+      return null;
+    }
+
+    const rank = await ctx.moderation.rankIn(ctx.room, ctx.actor);
+    const lines = ctx.commands.list()
+      .filter(command => ROLE_RANK[command.minRole] <= rank)
+      .map(command => `${command.usage}: ${command.description}`);
+    ctx.reply(['Commands (start a message with // to send a literal "/"):', ...lines].join('\n'));
+    return null;
+  }
+};
+
+module.exports = [me, msg, nick, topic, who, help];
@@ -0,0 +1,66 @@
+// server/commands/index.js
+const Membership = require('../models/Membership');
+const logger = require('../utils/logger');
+const { clientError } = require('../sockets/handler');
+const { parseArgs } = require('./args');
+const builtinCommands = require('./builtins');
+const moderationCommands = require('./moderation');
+
+// A command line is "/" followed by a name. "//" escapes a message that should start with "/".
+const isCommandLine = (text) => typeof text === 'string' && /^\/[^\s/]/.test(text);
+const unescapeCommandLine = (text) => (typeof text === 'string' && text.startsWith('//') ? text.slice(1) : text);
+
+const defaultCommands = [...builtinCommands, ...moderationCommands];
+
+// Slash commands typed in the message box. A command is a plain object:
+//   { name, aliases?, usage, description, minRole?, args: [{ name, type, optional? }], run(ctx, args) }
+// `minRole` is the lowest room role that may run it (see models/Membership.js), `args` are parsed by
+// ./args.js, and `ctx` is built by ../sockets (actor, room, reply, announce, postRoomMessage, ...) plus
+// `commands`, this registry. What `run` returns is acknowledged to the client as `result`.
+// To add commands, pass them in: createCommandRegistry([...defaultCommands, myCommand]).
+const createCommandRegistry = (commands = defaultCommands) => {
+  const byName = new Map();
+  const add = (command) => {
+    for (const name of [command.name, ...(command.aliases || [])]) {
+      if (byName.has(name)) throw new Error(`Two commands are called /${name}`);
+      byName.set(name, command);
+    }
+  };
+  commands.forEach(add);
+
+  const registry = {
+    get: (name) => byName.get(name.toLowerCase()) || null,
+
+    // For autocomplete and /help, in registration order
+    list: () => [...new Set(byName.values())].map(({ name, aliases = [], usage, description, minRole = 'member', args = [] }) => ({
+      name,
+      aliases,
+      usage,
+      description,
+      minRole,
+      args: args.map(arg => ({ name: arg.name, type: arg.type, optional: Boolean(arg.optional) }))
+    })),
+
+    register: add,
+
+    // Parse and run one command line. Acknowledged as { command, result }.
+    run: async (ctx, line) => {
+      const [, name, input] = /^\/(\S+)\s*([\s\S]*)$/.exec(line.trim());
+      const command = registry.get(name);
+      if (!command) throw clientError(`Unknown command /${name}. Type /help to see the commands.`, 404);
+
+      const minRole = command.minRole || 'member';
+      if (minRole !== 'member' && await ctx.moderation.rankIn(ctx.room, ctx.actor) < Membership.ROLE_RANK[minRole]) {
+        throw clientError(`Only room ${minRole}s can use /${command.name}.`, 403);
+      }
+
+      const args = parseArgs(command, input);
+      logger.debug(`${ctx.actor.username} ran /${command.name} in ${ctx.room}`);
+      const result = await command.run({ ...ctx, commands: registry }, args);
+      return { command: command.name, result: result ?? null };
+    }
+  };
+  return registry;
+};
+
+module.exports = { createCommandRegistry, defaultCommands, isCommandLine, unescapeCommandLine };
@@ -0,0 +1,83 @@
+// server/commands/moderation.js
+const { validate, schemas } = require('../validation');
+const { findUser } = require('./args');
+
+// Command versions of the moderation events in ../sockets/moderation.js, acting on the current room.
+// Payloads go through the same schemas as the events, so both have the same limits.
+// `fixed` adds payload fields the command always sends, and `done` words a reply for actions that don't announce themselves.
+const moderationCommand = ({ name, event, action, minRole = 'moderator', usage, description, args = [], fixed = {}, done }) => ({
+  name,
+  usage,
+  description,
+  minRole,
+  args: [{ name: 'user', type: 'user' }, ...args],
+  run: async (ctx, { user, ...fields }) => {
+    const target = await findUser(user);
+    const payload = validate(schemas.socketEvents[event], { room: ctx.room, userId: target.id, ...fixed, ...fields });
+    const result = await ctx.moderation.actions[action](ctx.actor, payload);
+    if (done) ctx.reply(done(target.username, ctx.room));
+    return result;
+  }
+});
+
+const reason = { name: 'reason', type: 'text', optional: true };
+
+module.exports = [
+  moderationCommand({
+    name: 'kick',
+    event: 'kickUser',
+    action: 'kick',
+    usage: '/kick <user> [reason]',
+    description: 'Remove someone from the room. They can come back.',
+    args: [reason]
+  }),
+  moderationCommand({
+    name: 'ban',
+    event: 'banUser',
+    action: 'ban',
+    usage: '/ban <user> [duration] [reason]',
+    description: 'Remove someone and keep them out, for a while (e.g. 1d) or until unbanned.',
+    args: [{ name: 'minutes', type: 'duration', optional: true }, reason]
+  }),
+  moderationCommand({
+    name: 'unban',
+    event: 'unbanUser',
+    action: 'unban',
+    usage: '/unban <user>',
+    description: 'Let a banned user back into the room.',
+    done: (username, room) => `${username} may join ${room} again.`
+  }),
+  moderationCommand({
+    name: 'mute',
+    event: 'muteUser',
+    action: 'mute',
+    usage: '/mute <user> <duration> [reason]',
+    description: 'Stop someone posting for a while, e.g. "/mute bob 10m".',
+    args: [{ name: 'minutes', type: 'duration' }, reason]
+  }),
+  moderationCommand({
+    name: 'unmute',
+    event: 'unmuteUser',
+    action: 'unmute',
+    usage: '/unmute <user>',
+    description: 'Let a muted user post again.'
+  }),
+  moderationCommand({
+    name: 'mod',
+    event: 'setRoomRole',
+    action: 'setRole',
+    minRole: 'owner',
+    usage: '/mod <user>',
+    description: 'Make someone a moderator of the room.',
+    fixed: { role: 'moderator' }
+  }),
+  moderationCommand({
+    name: 'unmod',
+    event: 'setRoomRole',
+    action: 'setRole',
+    minRole: 'owner',
+    usage: '/unmod <user>',
+    description: 'Take away someone\'s moderator role.',
+    fixed: { role: 'member' }
+  })
+];
@@ -0,0 +1,145 @@
+// server/config/index.js
+const path = require('path');
+const { z } = require('zod');
+const { SOCKET_LIMITS, HTTP_LIMITS, readLimits } = require('../throttle');
+const { parseOrigins, createOriginMatcher } = require('./origins');
+
+const DEFAULT_DEV_ORIGIN = 'http://localhost:3000'; // The Vite dev server (see client/vite.config.js)
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const DEFAULT_UPLOAD_TYPES = 'image/png,image/jpeg,image/gif,image/webp,text/plain,application/pdf,application/json,application/zip';
+
+const positiveInt = (description) => z.coerce
+  .number({ invalid_type_error: `must be ${description}` })
+  .int(`must be ${description}`)
+  .positive(`must be ${description}`);
+
+// A VAPID key: URL-safe base64 that decodes to `bytes` bytes
+const vapidKey = (bytes) => z.string().refine(
+  value => /^[\w-]+$/.test(value) && Buffer.from(value, 'base64url').length === bytes,
+  `must be a ${bytes}-byte key in URL-safe base64`
+);
+
+const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Rate limit overrides are JSON merged onto the defaults in ../throttle, which also checks them
+const rateLimits = (envVar, defaults) => z.string().optional().transform((raw, ctx) => {
+  try {
+    return readLimits(envVar, defaults, { [envVar]: raw });
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+    return z.NEVER;
+  }
+});
+
+// Every environment variable the server reads. Empty values (e.g. "PORT=" copied from .env.example)
+// count as unset, so the defaults apply.
+const envSchema = z.object({
+  NODE_ENV: z.enum(['development', 'production', 'test'], {
+    errorMap: () => ({ message: 'must be "development", "production" or "test"' })
+  }).default('development'),
+  PORT: z.coerce.number({ invalid_type_error: 'must be a port number' }).int().min(1).max(65535, 'must be a port number').default(5000),
+  MONGO_URI: z.string({ required_error: 'is required, e.g. mongodb://localhost:27017/chat' })
+    .regex(/^mongodb(\+srv)?:\/\//, 'must start with mongodb:// or mongodb+srv://'),
+  JWT_SECRET: z.string({ required_error: 'is required to sign login tokens' }),
+  JWT_EXPIRES_IN: z.string().regex(/^\d+\s*(ms|s|m|h|d|w|y)?$/i, 'must be a duration such as 7d, 12h or 3600 (seconds)').default('7d'),
+  CLIENT_ORIGIN: z.string().optional(),
+  TRUST_PROXY: z.string().optional(),
+  PRESENCE_STORE: z.enum(['memory', 'mongo'], { errorMap: () => ({ message: 'must be "memory" or "mongo"' }) }).default('memory'),
+  SOCKET_ADAPTER: z.enum(['memory', 'mongo'], { errorMap: () => ({ message: 'must be "memory" or "mongo"' }) }).default('memory'),
+  STORAGE_DRIVER: z.enum(['local'], { errorMap: () => ({ message: 'must be "local"' }) }).default('local'),
+  UPLOAD_DIR: z.string().optional(),
+  UPLOAD_MAX_BYTES: positiveInt('a number of bytes').default(10 * 1024 * 1024), // 10 MB
+  UPLOAD_ALLOWED_TYPES: z.string().default(DEFAULT_UPLOAD_TYPES)
+    .transform(list)
+    .refine(types => types.length > 0, 'must list at least one MIME type')
+    .refine(types => types.every(type => /^[\w.+-]+\/[\w.+-]+$/.test(type)), 'must be a comma-separated list of MIME types such as image/png'),
+  SOCKET_RATE_LIMITS: rateLimits('SOCKET_RATE_LIMITS', SOCKET_LIMITS),
+  HTTP_RATE_LIMITS: rateLimits('HTTP_RATE_LIMITS', HTTP_LIMITS),
+  METRICS_TOKEN: z.string().optional(),
+  // Hosts outgoing webhooks may reach even at an internal address (see ../webhooks/destination.js)
+  WEBHOOK_ALLOWED_HOSTS: z.string().default('')
+    .transform(value => list(value).map(host => host.toLowerCase()))
+    .refine(hosts => hosts.every(host => /^[\w.:-]+$/.test(host)), 'must be a comma-separated list of host names such as hooks.internal'),
+  SHUTDOWN_TIMEOUT_MS: positiveInt('a number of milliseconds').default(10 * 1000),
+  // Web Push (see ../push). Generate a key pair with `npx web-push generate-vapid-keys`.
+  VAPID_PUBLIC_KEY: vapidKey(65).optional(),
+  VAPID_PRIVATE_KEY: vapidKey(32).optional(),
+  VAPID_SUBJECT: z.string().regex(/^(mailto:|https:\/\/)/, 'must be a mailto: or https:// URL where push services can reach you').optional()
+}).superRefine((env, ctx) => {
+  if (env.NODE_ENV === 'production' && !env.CLIENT_ORIGIN) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['CLIENT_ORIGIN'],
+      message: 'is required in production: the URL(s) the client is served from, e.g. https://chat.example.com'
+    });
+  }
+  const { invalid } = parseOrigins(env.CLIENT_ORIGIN || '');
+  if (invalid.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['CLIENT_ORIGIN'],
+      message: `${invalid.map(entry => `"${entry}"`).join(', ')} ${invalid.length === 1 ? 'is not an origin' : 'are not origins'} ` +
+        '(expected e.g. https://chat.example.com, https://*.example.com or *)'
+    });
+  }
+  // Web Push is off unless both keys are set; half a key pair is a mistake, not a choice
+  const vapidKeys = ['VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY'];
+  if (vapidKeys.some(name => env[name])) {
+    for (const name of [...vapidKeys, 'VAPID_SUBJECT'].filter(key => !env[key])) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [name], message: 'is required to send Web Push notifications' });
+    }
+  }
+});
+
+// Thrown by loadConfig(); `problems` lists one "NAME: what is wrong" line per bad variable
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Reads and checks the server settings, so a bad deployment fails at startup with every problem listed
+// rather than on the first request that needs the value. Throws a ConfigError.
+// createApp() (../app) takes the result; tests pass their own `env`.
+const loadConfig = (env = process.env) => {
+  const present = Object.fromEntries(Object.entries(env).filter(([, value]) => value !== ''));
+  const result = envSchema.safeParse(present);
+  if (!result.success) {
+    throw new ConfigError(result.error.issues.map((issue) => {
+      const name = issue.path.join('.');
+      return issue.message.startsWith(name) ? issue.message : `${name}: ${issue.message}`;
+    }));
+  }
+
+  const values = result.data;
+  const clientOrigins = parseOrigins(values.CLIENT_ORIGIN || (values.NODE_ENV === 'production' ? '' : DEFAULT_DEV_ORIGIN)).origins;
+  return {
+    nodeEnv: values.NODE_ENV,
+    port: values.PORT,
+    mongoUri: values.MONGO_URI,
+    jwtSecret: values.JWT_SECRET,
+    jwtExpiresIn: values.JWT_EXPIRES_IN,
+    clientOrigins,
+    // Number of proxy hops in front of the server, or an Express "trust proxy" value such as "loopback"
+    trustProxy: values.TRUST_PROXY ? (parseInt(values.TRUST_PROXY, 10) || values.TRUST_PROXY) : null,
+    presenceStore: values.PRESENCE_STORE,
+    socketAdapter: values.SOCKET_ADAPTER,
+    storageDriver: values.STORAGE_DRIVER,
+    uploadDir: values.UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+    uploadMaxBytes: values.UPLOAD_MAX_BYTES,
+    uploadAllowedTypes: values.UPLOAD_ALLOWED_TYPES,
+    socketRateLimits: values.SOCKET_RATE_LIMITS,
+    httpRateLimits: values.HTTP_RATE_LIMITS,
+    metricsToken: values.METRICS_TOKEN || null,
+    webhookAllowedHosts: values.WEBHOOK_ALLOWED_HOSTS,
+    shutdownTimeoutMs: values.SHUTDOWN_TIMEOUT_MS,
+    // null: Web Push is off (notifications still reach connected tabs)
+    push: values.VAPID_PUBLIC_KEY
+      ? { publicKey: values.VAPID_PUBLIC_KEY, privateKey: values.VAPID_PRIVATE_KEY, subject: values.VAPID_SUBJECT }
+      : null
+  };
+};
+
+module.exports = { loadConfig, ConfigError, createOriginMatcher };
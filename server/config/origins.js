@@ -0,0 +1,36 @@
+// server/config/origins.js
+
+// CLIENT_ORIGIN is a comma-separated allowlist of browser origins:
+//   https://chat.example.com       exactly that origin
+//   https://*.example.com          any subdomain of example.com (not example.com itself)
+//   http://localhost:3000          ports must match exactly
+//   *                              any origin (not recommended outside development)
+const ORIGIN_PATTERN = /^https?:\/\/(\*\.)?[a-z\d-]+(\.[a-z\d-]+)*(:\d{1,5})?$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split and normalise an allowlist. Returns { origins, invalid } (entries that aren't origins).
+const parseOrigins = (value) => {
+  const entries = value.split(',')
+    .map(entry => entry.trim().toLowerCase().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return {
+    origins: entries,
+    invalid: entries.filter(entry => entry !== '*' && !ORIGIN_PATTERN.test(entry))
+  };
+};
+
+// Returns origin => boolean for a parsed allowlist
+const createOriginMatcher = (origins) => {
+  if (origins.includes('*')) return () => true;
+  const exact = new Set(origins.filter(origin => !origin.includes('*')));
+  const wildcards = origins
+    .filter(origin => origin.includes('*'))
+    .map(origin => new RegExp(`^${escapeRegExp(origin).replace('\\*\\.', '([a-z\\d-]+\\.)+')}$`));
+  return (origin) => {
+    const normalised = String(origin).toLowerCase();
+    return exact.has(normalised) || wildcards.some(pattern => pattern.test(normalised));
+  };
+};
+
+module.exports = { parseOrigins, createOriginMatcher };
@@ -0,0 +1,6 @@
+// server/lifecycle/index.js
+const { connectWithRetry, logConnectionEvents } = require('./mongo');
+const { createShutdown, createInFlightTracker } = require('./shutdown');
+
+// Starting up (MongoDB connection with retries) and shutting down without dropping users
+module.exports = { connectWithRetry, logConnectionEvents, createShutdown, createInFlightTracker };
@@ -0,0 +1,38 @@
+// server/lifecycle/mongo.js
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const INITIAL_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connect to MongoDB, retrying with exponential backoff (1s, 2s, 4s... then every 30s) until it works.
+// Gives up only when `shouldStop()` turns true, i.e. the server is shutting down meanwhile.
+// Once connected, the driver reconnects on its own after an outage; /readyz reports when it is down.
+const connectWithRetry = async (uri, {
+  options = {},
+  shouldStop = () => false,
+  initialDelayMs = INITIAL_RETRY_DELAY_MS,
+  maxDelayMs = MAX_RETRY_DELAY_MS
+} = {}) => {
+  for (let attempt = 1, delay = initialDelayMs; ; attempt += 1, delay = Math.min(delay * 2, maxDelayMs)) {
+    try {
+      return await mongoose.connect(uri, options);
+    } catch (error) {
+      if (shouldStop()) throw error;
+      logger.error(`MongoDB connection attempt ${attempt} failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s.`);
+      await sleep(delay);
+      if (shouldStop()) throw error;
+    }
+  }
+};
+
+// Log connection drops and recoveries after the first connect
+const logConnectionEvents = (connection = mongoose.connection) => {
+  connection.on('disconnected', () => logger.warn('MongoDB disconnected. The driver keeps trying to reconnect.'));
+  connection.on('reconnected', () => logger.info('MongoDB reconnected.'));
+  connection.on('error', (error) => logger.error(`MongoDB connection error: ${error.message}`));
+};
+
+module.exports = { connectWithRetry, logConnectionEvents };
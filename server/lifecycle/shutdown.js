@@ -0,0 +1,101 @@
+// server/lifecycle/shutdown.js
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000; // SHUTDOWN_TIMEOUT_MS in ../config
+// How long clients wait before reconnecting, so they don't all hit the remaining instances at once
+const RECONNECT_SPREAD_MS = 2000;
+
+// Work still running that shutdown should wait for: socket event handlers, and the presence
+// cleanup after a disconnect. track() returns the promise it was given.
+// Once stopAccepting() is called, `accepting` is false and ../sockets/handler turns new events away;
+// work that is already running (and cleanup it starts) is still tracked.
+const createInFlightTracker = () => {
+  const pending = new Set();
+  let accepting = true;
+  return {
+    get accepting() {
+      return accepting;
+    },
+    stopAccepting() {
+      accepting = false;
+    },
+    track(promise) {
+      pending.add(promise);
+      promise.then(() => pending.delete(promise), () => pending.delete(promise));
+      return promise;
+    },
+    get size() {
+      return pending.size;
+    },
+    // Resolves once nothing is running, including work started while waiting
+    async drain() {
+      while (pending.size) await Promise.allSettled([...pending]);
+    }
+  };
+};
+
+const closeServer = (server) => new Promise(resolve => server.close(() => resolve()));
+const closeIo = (io) => new Promise(resolve => io.close(() => resolve()));
+
+// Shut down without dropping users mid-message. In order:
+// 1. Stop accepting: /readyz turns 503, the HTTP server stops listening, new sockets are turned away and
+//    socket events from the connected ones are answered with "Server unavailable".
+// 2. Tell this instance's clients to reconnect; the load balancer sends them to another instance.
+// 3. Let event handlers in progress finish their writes, then disconnect the sockets that remain and
+//    wait for their presence cleanup.
+// 4. Close Socket.IO and the HTTP server, then `closers` (background jobs, stores), then MongoDB.
+// If that takes longer than `timeoutMs`, the process exits anyway with code 1.
+const createShutdown = ({
+  server,
+  io,
+  inFlight,
+  closers = [],
+  connection = mongoose.connection,
+  timeoutMs = SHUTDOWN_TIMEOUT_MS,
+  exit = (code) => process.exit(code)
+}) => {
+  let stopping = null;
+
+  const run = async (reason, exitCode) => {
+    logger.info(`Shutting down (${reason}), waiting up to ${timeoutMs} ms for open work.`);
+    inFlight.stopAccepting();
+    const httpClosed = closeServer(server);
+
+    io.local.emit('serverShutdown', { reconnectInMs: RECONNECT_SPREAD_MS });
+    await inFlight.drain();
+    io.local.disconnectSockets(true);
+    await inFlight.drain();
+
+    await closeIo(io);
+    await httpClosed;
+    for (const close of closers) await close();
+    // A connection attempt still in progress can't be cancelled (close() would wait for it to time out)
+    // and has nothing to flush, so only an established connection is closed
+    if (connection.readyState === 1) await connection.close();
+    logger.info('Shutdown complete.');
+    exit(exitCode);
+  };
+
+  // Safe to call more than once (e.g. SIGINT after SIGTERM): later calls wait for the first
+  const shutdown = (reason, exitCode = 0) => {
+    if (stopping) return stopping;
+    const timer = setTimeout(() => {
+      logger.error(`Shutdown did not finish within ${timeoutMs} ms, exiting anyway.`);
+      exit(1);
+    }, timeoutMs);
+    timer.unref();
+
+    stopping = run(reason, exitCode)
+      .catch((error) => {
+        logger.error(`Shutdown failed: ${error.message}`, { stack: error.stack });
+        exit(1);
+      })
+      .finally(() => clearTimeout(timer)); // Finished in time: `exit` may not have ended the process (tests)
+    return stopping;
+  };
+
+  return { shutdown, isShuttingDown: () => stopping !== null };
+};
+
+module.exports = { createShutdown, createInFlightTracker };
@@ -0,0 +1,97 @@
+// server/metrics/index.js
+const client = require('prom-client');
+const logger = require('../utils/logger');
+
+// Socket handlers mostly take milliseconds; anything past a few seconds is a problem either way
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Prometheus metrics for GET /metrics. Each instance has its own registry and is scraped on its own.
+// Rates are left to Prometheus: messages per second is rate(chat_messages_total[1m]).
+// The socket and room gauges stay empty until observe() hands over the Socket.IO server and presence store.
+const createMetrics = () => {
+  let io = null;
+  let presence = null;
+  const register = new client.Registry();
+  const registers = [register];
+  client.collectDefaultMetrics({ register, prefix: 'chat_' }); // CPU, memory, event loop lag, GC
+
+  new client.Gauge({
+    name: 'chat_connected_sockets',
+    help: 'Socket.IO connections to this instance.',
+    registers,
+    collect() {
+      if (io) this.set(io.engine.clientsCount);
+    }
+  });
+
+  new client.Gauge({
+    name: 'chat_active_rooms',
+    help: 'Rooms with at least one occupant. With a shared presence store this covers every instance.',
+    registers,
+    async collect() {
+      if (!presence) return;
+      try {
+        this.set(Object.keys(await presence.roomCounts()).length);
+      } catch (error) {
+        logger.debug(`Could not read room occupancy for metrics: ${error.message}`); // Keeps the last value
+      }
+    }
+  });
+
+  const messages = new client.Counter({
+    name: 'chat_messages_total',
+    help: 'Messages stored, by kind (room, private, group or webhook).',
+    labelNames: ['kind'],
+    registers
+  });
+
+  const handlerDuration = new client.Histogram({
+    name: 'chat_socket_handler_duration_seconds',
+    help: 'Time taken to handle a socket event, by event and outcome (ok, rejected, throttled or error).',
+    labelNames: ['event', 'outcome'],
+    buckets: LATENCY_BUCKETS,
+    registers
+  });
+
+  const mongoErrors = new client.Counter({
+    name: 'chat_mongo_errors_total',
+    help: 'MongoDB connection errors, disconnects and failed commands.',
+    labelNames: ['kind'],
+    registers
+  });
+
+  const trackedClients = new WeakSet();
+
+  return {
+    contentType: register.contentType,
+    render: () => register.metrics(),
+
+    // Read connected sockets from `io` and active rooms from `presence` (see ../presence) from now on
+    observe: (sources) => {
+      ({ io, presence } = sources);
+    },
+
+    countMessage: (kind) => messages.inc({ kind }),
+
+    // Start timing a socket event. Call the returned function with the outcome once it is handled.
+    startHandlerTimer: (event) => {
+      const end = handlerDuration.startTimer({ event });
+      return (outcome) => end({ outcome });
+    },
+
+    // Count errors on a Mongoose connection. Failed commands are only reported by the driver when the
+    // connection was opened with `monitorCommands: true`.
+    trackMongo: (connection) => {
+      connection.on('error', () => mongoErrors.inc({ kind: 'connection' }));
+      connection.on('disconnected', () => mongoErrors.inc({ kind: 'disconnected' }));
+      connection.on('connected', () => {
+        const mongoClient = connection.getClient();
+        if (trackedClients.has(mongoClient)) return;
+        trackedClients.add(mongoClient);
+        mongoClient.on('commandFailed', () => mongoErrors.inc({ kind: 'command' }));
+      });
+    }
+  };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,63 @@
+// server/middleware/auth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Login tokens, signed with `secret` (JWT_SECRET) and valid for `expiresIn` (JWT_EXPIRES_IN, e.g. '7d').
+// createApp() (../app) builds one from its config and hands requireAuth to the routes and socketAuth
+// to ../sockets; tests build their own with a test secret.
+const createAuth = ({ secret, expiresIn = '7d' }) => {
+  // Issue a signed token for a user. Only the user ID is trusted from the token;
+  // the username is always re-read from the database when the token is verified.
+  const signToken = (user) => jwt.sign(
+    { sub: user.id, username: user.username },
+    secret,
+    { expiresIn }
+  );
+
+  // Verify a token and resolve the user it belongs to, or null if it is invalid.
+  const resolveUser = async (token) => {
+    if (!token) return null;
+    try {
+      const payload = jwt.verify(token, secret);
+      const user = await User.findById(payload.sub);
+      return user ? { id: user.id, username: user.username, role: user.role } : null;
+    } catch (error) {
+      logger.warn(`Rejected token: ${error.message}`);
+      return null;
+    }
+  };
+
+  // Express middleware: requires an "Authorization: Bearer <token>" header.
+  const requireAuth = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    const user = scheme === 'Bearer' ? await resolveUser(token) : null;
+
+    if (!user) {
+      const error = new Error('Not authorized');
+      error.status = 401;
+      return next(error);
+    }
+
+    req.user = user;
+    next();
+  };
+
+  // Socket.IO handshake middleware: clients pass the token as `auth: { token }`.
+  const socketAuth = async (socket, next) => {
+    const user = await resolveUser(socket.handshake.auth?.token);
+
+    if (!user) {
+      logger.warn(`Rejected unauthenticated socket connection: ${socket.id}`);
+      return next(new Error('Authentication required'));
+    }
+
+    socket.user = user;
+    next();
+  };
+
+  return { signToken, requireAuth, socketAuth };
+};
+
+module.exports = { createAuth };
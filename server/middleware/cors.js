@@ -0,0 +1,38 @@
+// server/middleware/cors.js
+const cors = require('cors');
+const { createOriginMatcher } = require('../config');
+
+// Browser access is limited to the CLIENT_ORIGIN allowlist (see ../config/origins) for both the REST API
+// and Socket.IO. Requests without an Origin header (curl, server-to-server calls, health probes) aren't
+// cross-origin requests and pass through. Rejected origins are logged.
+const createCorsPolicy = ({ origins, logger }) => {
+  const matchesAllowlist = createOriginMatcher(origins);
+
+  const isAllowed = (origin, what) => {
+    if (!origin || matchesAllowlist(origin)) return true;
+    logger.warn(`Rejected ${what} from origin ${origin} (not in CLIENT_ORIGIN)`);
+    return false;
+  };
+
+  return {
+    // Express middleware. A rejected origin gets no CORS headers, so the browser blocks the response.
+    http: cors({
+      origin: (origin, callback) => callback(null, isAllowed(origin, 'HTTP request')),
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      credentials: true
+    }),
+
+    // Options for the Socket.IO server. Browsers don't apply CORS to WebSocket upgrades, so the
+    // handshake is checked with `allowRequest` as well; that is also where rejections are logged.
+    socketIo: {
+      cors: {
+        origin: (origin, callback) => callback(null, !origin || matchesAllowlist(origin)),
+        methods: ['GET', 'POST'],
+        credentials: true
+      },
+      allowRequest: (req, callback) => callback(null, isAllowed(req.headers.origin, 'Socket.IO connection'))
+    }
+  };
+};
+
+module.exports = { createCorsPolicy };
@@ -0,0 +1,35 @@
+// server/models/Attachment.js
+const mongoose = require('mongoose');
+
+// An uploaded file. It is created on upload and linked to a message once it is sent.
+const attachmentSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Storage adapter key
+  originalName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  uploadedBy: { type: String, required: true }, // Account ID of the uploader
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+attachmentSchema.index({ key: 1 }, { unique: true });
+
+attachmentSchema.virtual('url').get(function () {
+  return `/api/uploads/${this.key}`;
+});
+
+// The snapshot embedded in a message
+attachmentSchema.methods.toMessageAttachment = function () {
+  return {
+    attachmentId: this._id,
+    url: this.url,
+    name: this.originalName,
+    mimeType: this.mimeType,
+    size: this.size
+  };
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,37 @@
+// server/models/AuditLog.js
+const mongoose = require('mongoose');
+
+const ACTIONS = ['kick', 'ban', 'unban', 'mute', 'unmute', 'setRole', 'deleteMessage', 'pin', 'unpin', 'setTopic', 'createWebhook', 'deleteWebhook'];
+
+// One entry per moderation action, kept for accountability. Entries are never updated or removed.
+const auditLogSchema = new mongoose.Schema({
+  room: { type: String, required: true },
+  action: { type: String, enum: ACTIONS, required: true },
+  actorId: { type: String, required: true }, // Account ID of the moderator
+  actorName: { type: String, required: true },
+  targetUserId: { type: String, default: null },
+  targetUsername: { type: String, default: null },
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  reason: { type: String, default: '' },
+  details: { type: mongoose.Schema.Types.Mixed, default: null }, // Action-specific, e.g. { until }, { role }, { topic } or { webhookId }
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ room: 1, createdAt: -1 });
+
+// Record an action by `actor` ({ id, username }) against a user (`target`: { userId, username }) and/or a message
+auditLogSchema.statics.record = function ({ room, action, actor, target, messageId, reason, details }) {
+  return this.create({
+    room,
+    action,
+    actorId: actor.id,
+    actorName: actor.username,
+    targetUserId: target?.userId ?? null,
+    targetUsername: target?.username ?? null,
+    messageId: messageId ?? null,
+    reason: reason || '',
+    details: details ?? null
+  });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,38 @@
+// server/models/ConversationMute.js
+const mongoose = require('mongoose');
+
+// A conversation the user has muted: a room name, a DM key ("dm:<id>:<id>") or a group key ("group:<id>").
+// Muted conversations send the user no notifications at all, in the browser or by Web Push.
+// Not to be confused with a moderator muting a user in a room (Membership.mutedUntil).
+const conversationMuteSchema = new mongoose.Schema({
+  userId: { type: String, required: true }, // Account ID
+  conversation: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+conversationMuteSchema.index({ userId: 1, conversation: 1 }, { unique: true });
+conversationMuteSchema.index({ conversation: 1 });
+
+// The conversations `userId` has muted
+conversationMuteSchema.statics.conversationsOf = function (userId) {
+  return this.distinct('conversation', { userId });
+};
+
+// Which of `userIds` have muted `conversation`, as a Set
+conversationMuteSchema.statics.mutedBy = async function (conversation, userIds) {
+  return new Set(await this.distinct('userId', { conversation, userId: { $in: userIds } }));
+};
+
+// Mute or unmute `conversation` for `userId`; doing either twice is a no-op
+conversationMuteSchema.statics.setMuted = async function (userId, conversation, muted) {
+  if (!muted) {
+    await this.deleteOne({ userId, conversation });
+    return;
+  }
+  await this.updateOne({ userId, conversation }, { $setOnInsert: { createdAt: new Date() } }, { upsert: true });
+};
+
+module.exports = mongoose.model('ConversationMute', conversationMuteSchema);
@@ -0,0 +1,53 @@
+// server/models/Group.js
+const mongoose = require('mongoose');
+
+const MAX_MEMBERS = 50;
+const KEY_PREFIX = 'group:';
+
+// Someone in the group, with the name they had when last seen (kept current by /nick)
+const groupMemberSchema = new mongoose.Schema({
+  userId: { type: String, required: true }, // Account ID
+  username: { type: String, required: true },
+  addedAt: { type: Date, default: Date.now } // Unread counts start here
+}, { _id: false });
+
+// A private group conversation: several people talking outside any room. Its messages are private
+// messages whose `room` is the group's conversation key ("group:<id>"), and only current members can
+// read or post them. The owner (the creator, until they leave) renames the group and adds and removes members.
+const groupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 64 },
+  ownerId: { type: String, required: true }, // Account ID
+  members: { type: [groupMemberSchema], default: [] },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+groupSchema.index({ 'members.userId': 1 });
+
+groupSchema.statics.MAX_MEMBERS = MAX_MEMBERS;
+
+// Group conversation keys, as used for message rooms, read cursors and the Socket.IO room of the group
+groupSchema.statics.conversationKey = (groupId) => `${KEY_PREFIX}${groupId}`;
+
+// The group ID in a conversation key, or null for rooms and DMs
+groupSchema.statics.idFromConversation = (conversation) => (typeof conversation === 'string' && conversation.startsWith(KEY_PREFIX)
+  ? conversation.slice(KEY_PREFIX.length)
+  : null);
+
+groupSchema.virtual('conversation').get(function () {
+  return `${KEY_PREFIX}${this.id}`;
+});
+
+// Conversation keys of every group `userId` is in
+groupSchema.statics.conversationsOf = async function (userId) {
+  const groups = await this.find({ 'members.userId': userId }, { _id: 1 });
+  return groups.map(group => group.conversation);
+};
+
+groupSchema.methods.hasMember = function (userId) {
+  return this.members.some(member => member.userId === userId);
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,54 @@
+// server/models/Membership.js
+const mongoose = require('mongoose');
+
+// Higher ranks can moderate lower ones. Site moderators (User.role) outrank every room role.
+const ROLE_RANK = { member: 1, moderator: 2, owner: 3 };
+const SITE_MODERATOR_RANK = 4;
+
+// A user's standing in one room. Created the first time they join; the room's creator is its owner.
+// Bans and mutes are kept here so they outlive the user's connection, and so is the user's room list:
+// the rooms with `joinedAt` set are rejoined by each new session until the user leaves them.
+const membershipSchema = new mongoose.Schema({
+  room: { type: String, required: true },
+  userId: { type: String, required: true }, // Account ID
+  username: { type: String, required: true },
+  role: { type: String, enum: Object.keys(ROLE_RANK), default: 'member' },
+  mutedUntil: { type: Date, default: null },
+  bannedAt: { type: Date, default: null },
+  bannedUntil: { type: Date, default: null }, // null with `bannedAt` set: banned until lifted
+  joinedAt: { type: Date, default: null }, // On the user's room list since; null once they leave or are removed
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+membershipSchema.index({ room: 1, userId: 1 }, { unique: true });
+membershipSchema.index({ userId: 1, joinedAt: 1 });
+
+membershipSchema.statics.ROLE_RANK = ROLE_RANK;
+
+// Rank of a user in a room, from their membership (may be null) and their account-wide role
+membershipSchema.statics.rankOf = (membership, accountRole) => (accountRole === 'moderator'
+  ? SITE_MODERATOR_RANK
+  : ROLE_RANK[membership?.role] || 0);
+
+// Load a user's membership, creating it on their first join
+membershipSchema.statics.ensure = function (roomDoc, user) {
+  const isCreator = String(roomDoc.createdBy) === user.id;
+  return this.findOneAndUpdate(
+    { room: roomDoc.name, userId: user.id },
+    { $set: { username: user.username }, $setOnInsert: { role: isCreator ? 'owner' : 'member' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+membershipSchema.methods.isBanned = function (now = new Date()) {
+  return Boolean(this.bannedAt) && (!this.bannedUntil || this.bannedUntil > now);
+};
+
+membershipSchema.methods.isMuted = function (now = new Date()) {
+  return Boolean(this.mutedUntil) && this.mutedUntil > now;
+};
+
+module.exports = mongoose.model('Membership', membershipSchema);
@@ -0,0 +1,204 @@
+// server/models/Message.js
+const mongoose = require('mongoose');
+const Group = require('./Group');
+const Room = require('./Room');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Previous versions of an edited message, oldest first
+const revisionSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  editedAt: { type: Date, required: true }
+}, { _id: false });
+
+// Someone who reacted with a particular emoji
+const reactorSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  username: { type: String, required: true }
+}, { _id: false });
+
+// Snapshot of an uploaded file (see models/Attachment.js)
+const messageAttachmentSchema = new mongoose.Schema({
+  attachmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment', required: true },
+  url: { type: String, required: true },
+  name: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true }
+}, { _id: false });
+
+const MAX_DISTINCT_REACTIONS = 20;
+
+const messageSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  // Deleted messages keep their document as a tombstone but lose their text.
+  // A message made only of attachments may also have empty text.
+  text: { type: String, required: function () { return !this.deletedAt && !this.attachments?.length; } },
+  room: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  readBy: [{ type: String }], // Account IDs of users who have read the message
+  // DMs and group messages (see models/Group.js); `room` is then the conversation key, not a room name
+  isPrivate: { type: Boolean, default: false },
+  senderId: { type: String }, // Account ID of the author
+  recipientId: { type: String }, // Account ID of the DM recipient (DMs only, not group messages)
+  revisions: { type: [revisionSchema], default: [] },
+  editedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: String, default: null }, // Account ID of whoever deleted it (author or moderator)
+  // Replies: 'thread' replies live in the parent's side thread and are hidden from the main timeline;
+  // 'quote' replies appear in the timeline with a snapshot of the quoted message.
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  replyMode: { type: String, enum: ['thread', 'quote', null], default: null },
+  quote: {
+    username: { type: String },
+    text: { type: String }
+  },
+  replyCount: { type: Number, default: 0 }, // Number of thread replies (parents only)
+  reactions: { type: Map, of: [reactorSchema], default: () => new Map() }, // emoji -> who reacted
+  attachments: { type: [messageAttachmentSchema], default: [] },
+  // ID generated by the sending client, so a message retried after a dropped connection is stored once
+  clientId: { type: String },
+  isAction: { type: Boolean, default: false }, // Sent with "/me": shown as "* alice waves"
+  // Posted through an incoming webhook (models/Webhook.js) as its bot, rather than by a user
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', default: null }
+}, {
+  toJSON: { virtuals: true },
+  // Maps must be flattened to plain objects or they serialize as {} over Socket.IO
+  toObject: { virtuals: true, flattenMaps: true }
+});
+
+// Covers both "all messages in a room" and the newest-first history pages
+messageSchema.index({ room: 1, isPrivate: 1, _id: -1 });
+messageSchema.index({ senderId: 1, recipientId: 1, isPrivate: 1 });
+messageSchema.index({ parentId: 1, _id: 1 });
+messageSchema.index({ text: 'text' }); // Full-text search (MongoDB allows one text index per collection)
+messageSchema.index({ senderId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+// Client-generated IDs (UUIDs in practice) are opaque, but bounded so they can't bloat the index
+messageSchema.statics.isValidClientId = (clientId) => typeof clientId === 'string' && /^[\w-]{1,64}$/.test(clientId);
+
+// Filter for messages that belong in the main timeline (everything except thread replies)
+messageSchema.statics.TIMELINE_FILTER = { replyMode: { $ne: 'thread' } };
+
+// The private messages a user may read: DMs they sent or received, and messages in the groups they
+// are in now (`groupConversations`, see Group.conversationsOf). Their own posts in groups they left are not included.
+const privateConditions = (userId, groupConversations) => [
+  { isPrivate: true, senderId: userId, recipientId: { $ne: null } },
+  { isPrivate: true, recipientId: userId },
+  { isPrivate: true, room: { $in: groupConversations } }
+];
+
+messageSchema.statics.privateTo = (userId, groupConversations = []) => ({ $or: privateConditions(userId, groupConversations) });
+
+// Filter for messages a user may read: room messages in `rooms` (the rooms they may read, see
+// Room.readableBy), plus the private ones above
+messageSchema.statics.visibleTo = (userId, { rooms = [], groupConversations = [] } = {}) => ({
+  $or: [{ isPrivate: false, room: { $in: rooms } }, ...privateConditions(userId, groupConversations)]
+});
+
+// Whether `userId` may read this message (the single-message version of visibleTo())
+messageSchema.methods.isVisibleTo = async function (userId) {
+  if (!this.isPrivate) return Room.isReadableBy(this.room, userId);
+  const groupId = Group.idFromConversation(this.room);
+  if (groupId) return Boolean(await Group.exists({ _id: groupId, 'members.userId': userId }));
+  return this.senderId === userId || this.recipientId === userId;
+};
+
+// Replace the text, keeping the previous version in the revision history
+messageSchema.methods.applyEdit = function (text) {
+  this.revisions.push({ text: this.text, editedAt: this.editedAt || this.timestamp });
+  this.text = text;
+  this.editedAt = new Date();
+};
+
+// Soft-delete: the document stays so replies and receipts still resolve, but the content is removed
+messageSchema.methods.softDelete = function (deletedBy) {
+  this.text = '';
+  this.revisions = [];
+  this.attachments = [];
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+};
+
+// What else changes once `message` is soft-deleted: replies quoting it lose the quoted text, and a thread
+// reply stops counting towards its parent's `replyCount`. Resolves with the messages that changed, to broadcast.
+messageSchema.statics.releaseReferences = async function (message) {
+  const quoteIds = await this.distinct('_id', { parentId: message._id, replyMode: 'quote', 'quote.text': { $ne: '' } });
+  if (quoteIds.length) await this.updateMany({ _id: { $in: quoteIds } }, { $set: { 'quote.text': '' } });
+  const changed = quoteIds.length ? await this.find({ _id: { $in: quoteIds } }) : [];
+
+  if (message.replyMode === 'thread') {
+    const parent = await this.findOneAndUpdate(
+      { _id: message.parentId, replyCount: { $gt: 0 } },
+      { $inc: { replyCount: -1 } },
+      { new: true }
+    );
+    if (parent) changed.push(parent);
+  }
+  return changed;
+};
+
+// A reaction must be a single emoji (ZWJ sequences and skin tones included).
+// This also keeps "." and "$", which are not allowed in map keys, out of `reactions`.
+const EMOJI_PATTERN = /^\p{Extended_Pictographic}(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\uFE0F|\u200D)*$/u;
+messageSchema.statics.isValidReaction = (emoji) => typeof emoji === 'string' && emoji.length <= 16 && EMOJI_PATTERN.test(emoji);
+
+// Add or remove the user's reaction. Returns false if nothing changed.
+messageSchema.methods.setReaction = function (emoji, { userId, username }, add) {
+  const reactors = this.reactions.get(emoji) || [];
+  const hasReacted = reactors.some(reactor => reactor.userId === userId);
+
+  if (add) {
+    if (hasReacted) return false;
+    if (!this.reactions.has(emoji) && this.reactions.size >= MAX_DISTINCT_REACTIONS) {
+      const error = new Error(`A message can have at most ${MAX_DISTINCT_REACTIONS} different reactions.`);
+      error.status = 400;
+      throw error;
+    }
+    this.reactions.set(emoji, [...reactors, { userId, username }]);
+    return true;
+  }
+
+  if (!hasReacted) return false;
+  const remaining = reactors.filter(reactor => reactor.userId !== userId);
+  if (remaining.length) {
+    this.reactions.set(emoji, remaining);
+  } else {
+    this.reactions.delete(emoji);
+  }
+  return true;
+};
+
+// Clamp a requested page size to something sane
+const normalizeLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// Fetch one page of messages matching `filter`, newest first.
+// `before` is the cursor returned by the previous page (a message ID); omit it for the latest page.
+// ObjectIds grow over time, so ordering by _id is ordering by creation.
+messageSchema.statics.findPage = async function (filter, { before, limit } = {}) {
+  if (before && !mongoose.isValidObjectId(before)) {
+    const error = new Error('Invalid cursor.');
+    error.status = 400;
+    throw error;
+  }
+
+  const pageSize = normalizeLimit(limit);
+  const query = before ? { ...filter, _id: { $lt: before } } : filter;
+
+  // Fetch one extra document to find out whether there is another page
+  const docs = await this.find(query).sort({ _id: -1 }).limit(pageSize + 1);
+  const hasMore = docs.length > pageSize;
+  const messages = docs.slice(0, pageSize).map(doc => doc.toObject());
+
+  return {
+    messages,
+    nextCursor: hasMore ? messages[messages.length - 1].id : null,
+    hasMore
+  };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,37 @@
+// server/models/PushSubscription.js
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription (see ../push). The push service names it by `endpoint`, so a browser
+// has one subscription however many times it subscribes; whoever subscribed it last gets its notifications.
+// Subscriptions the push service reports as gone are deleted when a send fails.
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: { type: String, required: true }, // Account ID
+  endpoint: { type: String, required: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ userId: 1 });
+
+// Store `subscription` ({ endpoint, keys }) for `userId`, taking it over from any previous owner
+pushSubscriptionSchema.statics.register = function (userId, { endpoint, keys }) {
+  return this.findOneAndUpdate(
+    { endpoint },
+    { $set: { userId, keys }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+// The shape web-push expects
+pushSubscriptionSchema.methods.toWebPush = function () {
+  return { endpoint: this.endpoint, keys: { p256dh: this.keys.p256dh, auth: this.keys.auth } };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,43 @@
+// server/models/ReadCursor.js
+const mongoose = require('mongoose');
+
+const MAX_UNREAD_COUNT = 100; // Counting stops here; clients show "99+"
+
+// How far a user has read in one conversation: a room name, or a DM key ("dm:<id>:<id>").
+// Everything up to `lastReadAt` counts as read. Cursors only move forward, so a stale tab or a
+// batch that arrives late can't mark messages unread again.
+const readCursorSchema = new mongoose.Schema({
+  userId: { type: String, required: true }, // Account ID
+  conversation: { type: String, required: true },
+  lastReadMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+  lastReadAt: { type: Date, required: true }, // Timestamp of that message
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+readCursorSchema.index({ userId: 1, conversation: 1 }, { unique: true });
+
+readCursorSchema.statics.MAX_UNREAD_COUNT = MAX_UNREAD_COUNT;
+
+// Move the user's cursor up to `message` (a Message). Resolves with { previousReadAt } (null for a first
+// cursor) when it moved, or null when the cursor was already at or past the message.
+readCursorSchema.statics.advance = async function (userId, conversation, message) {
+  const position = { lastReadMessageId: message._id, lastReadAt: message.timestamp, updatedAt: new Date() };
+  const previous = await this.findOneAndUpdate(
+    { userId, conversation, lastReadAt: { $lt: message.timestamp } },
+    { $set: position }
+  );
+  if (previous) return { previousReadAt: previous.lastReadAt };
+
+  try {
+    await this.create({ userId, conversation, ...position });
+    return { previousReadAt: null };
+  } catch (error) {
+    if (error.code === 11000) return null; // A cursor exists and is already further along
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ReadCursor', readCursorSchema);
@@ -0,0 +1,66 @@
+// server/models/Room.js
+const mongoose = require('mongoose');
+const Membership = require('./Membership');
+
+const roomSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 32 },
+  topic: { type: String, trim: true, maxlength: 200, default: '' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  // Public rooms appear in the directory; private rooms can only be joined by exact name
+  visibility: { type: String, enum: ['public', 'private'], default: 'public' },
+  archivedAt: { type: Date, default: null }, // Archived rooms are hidden and cannot be joined
+  // Messages moderators pinned to the room header, oldest pin first
+  pinnedMessageIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Message' }], default: [] }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+roomSchema.index({ name: 1 }, { unique: true });
+
+roomSchema.statics.MAX_PINNED_MESSAGES = 10;
+
+// Why `membership` (the user's, or null) can't read this room's history, or null if they can.
+// Public rooms are open to everyone, private rooms to their members; banned users read neither.
+// Archived rooms keep their history readable.
+roomSchema.methods.accessProblem = function (membership) {
+  if (membership?.isBanned()) return { message: `You are banned from ${this.name}.`, status: 403 };
+  if (this.visibility === 'private' && !membership) return { message: `You are not a member of ${this.name}.`, status: 403 };
+  return null;
+};
+
+// Load room `name` for reading its history as `userId`. Throws a 404 for unknown rooms and a 403 when
+// the user may not read it (see accessProblem()).
+roomSchema.statics.findReadable = async function (name, userId) {
+  const [room, membership] = await Promise.all([this.findOne({ name }), Membership.findOne({ room: name, userId })]);
+  const problem = room ? room.accessProblem(membership) : { message: `The ${name} room does not exist.`, status: 404 };
+  if (problem) {
+    const error = new Error(problem.message);
+    error.status = problem.status;
+    throw error;
+  }
+  return room;
+};
+
+// Whether `userId` may read room `name` (the non-throwing version of findReadable())
+roomSchema.statics.isReadableBy = async function (name, userId) {
+  const [room, membership] = await Promise.all([this.findOne({ name }), Membership.findOne({ room: name, userId })]);
+  return Boolean(room) && !room.accessProblem(membership);
+};
+
+// Names of every room `userId` may read: public rooms and the private rooms they are a member of, minus bans
+roomSchema.statics.readableBy = async function (userId) {
+  const memberships = await Membership.find({ userId });
+  const banned = memberships.filter(membership => membership.isBanned()).map(membership => membership.room);
+  return this.distinct('name', {
+    $or: [{ visibility: 'public' }, { name: { $in: memberships.map(membership => membership.room) } }],
+    name: { $nin: banned }
+  });
+};
+
+roomSchema.virtual('isArchived').get(function () {
+  return Boolean(this.archivedAt);
+});
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,41 @@
+// server/models/User.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, trim: true, minlength: 3, maxlength: 32 },
+  passwordHash: { type: String, required: true },
+  // Moderators may edit or delete any message
+  role: { type: String, enum: ['member', 'moderator'], default: 'member' },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    virtuals: true,
+    // Never leak the password hash to clients
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Usernames are unique regardless of letter case ("Alice" and "alice" are the same account)
+userSchema.index({ username: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.statics.findByUsername = function (username) {
+  return this.findOne({ username }).collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,58 @@
+// server/models/Webhook.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// A room's link to another tool. Two kinds:
+// - incoming: anyone holding the secret URL token can post messages to the room as the bot `name`
+//   (CI and deploy notifications). Only a hash of the token is stored; the token is shown once.
+// - outgoing: new room messages matching `filter` are POSTed as signed JSON to `url` (see ../webhooks).
+const webhookSchema = new mongoose.Schema({
+  room: { type: String, required: true },
+  kind: { type: String, enum: ['incoming', 'outgoing'], required: true },
+  name: { type: String, required: true, trim: true, maxlength: 32 }, // Bot name (incoming) or label (outgoing)
+  tokenHash: { type: String, default: null }, // Incoming only
+  url: { type: String, default: null }, // Outgoing only
+  secret: { type: String, default: null }, // Outgoing only: HMAC key the receiver verifies signatures with
+  // Outgoing only: which messages are sent. Empty fields match everything.
+  filter: {
+    contains: { type: String, default: '' }, // Case-insensitive text match
+    username: { type: String, default: '' } // Author
+  },
+  createdBy: { type: String, required: true }, // Account ID
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null }
+}, {
+  toJSON: {
+    virtuals: true,
+    // Tokens and secrets are only returned once, when the webhook is created
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.secret;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+webhookSchema.index({ room: 1, kind: 1 });
+
+// A fresh random token (incoming URL) or signing secret (outgoing)
+webhookSchema.statics.generateSecret = () => crypto.randomBytes(24).toString('base64url');
+webhookSchema.statics.hashToken = sha256;
+
+webhookSchema.methods.matchesToken = function (token) {
+  if (!this.tokenHash || typeof token !== 'string') return false;
+  return crypto.timingSafeEqual(Buffer.from(sha256(token), 'hex'), Buffer.from(this.tokenHash, 'hex'));
+};
+
+// Whether an outgoing webhook wants `message`
+webhookSchema.methods.matches = function (message) {
+  const { contains, username } = this.filter || {};
+  if (username && message.username.toLowerCase() !== username.toLowerCase()) return false;
+  if (contains && !(message.text || '').toLowerCase().includes(contains.toLowerCase())) return false;
+  return true;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,33 @@
+// server/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 30;
+
+// One try at POSTing a delivery
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  status: { type: Number, default: null }, // HTTP status, null if no response arrived
+  error: { type: String, default: '' },
+  durationMs: { type: Number, required: true }
+}, { _id: false });
+
+// One event sent (or being sent) to an outgoing webhook, with every attempt made: the delivery log.
+// `pending` deliveries are retried at `nextAttemptAt` by any instance (see ../webhooks/dispatcher.js).
+// Entries are removed after RETENTION_DAYS.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true }, // e.g. "message.created"
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The JSON body, minus delivery fields
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 }
+}, {
+  toJSON: { virtuals: true }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,26 @@
+// server/presence/index.js
+const crypto = require('crypto');
+const createMemoryPresenceStore = require('./memoryStore');
+const createMongoPresenceStore = require('./mongoStore');
+
+// Presence stores track which user is connected on which socket and in which rooms: one entry per
+// socket and room, since a socket can be in several rooms at once.
+// Every store implements the same async interface:
+//   set(socketId, { userId, username, room })  listSocket(socketId) -> entries
+//   remove(socketId, room) -> removed entries (every room of the socket when `room` is left out)
+//   listRoom(room) -> entries   roomCounts() -> { [room]: count }   close()
+// Use "memory" for a single instance and "mongo" when running several replicas.
+const drivers = {
+  memory: () => createMemoryPresenceStore(),
+  mongo: ({ nodeId }) => createMongoPresenceStore({ nodeId })
+};
+
+const createPresenceStore = (driver, options = {}) => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown presence store "${driver}". Available stores: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory({ nodeId: options.nodeId || crypto.randomUUID() });
+};
+
+module.exports = { createPresenceStore };
@@ -0,0 +1,50 @@
+// server/presence/memoryStore.js
+
+// Presence kept in a Map in this process. Fine for a single server instance.
+const createMemoryPresenceStore = () => {
+  const sockets = new Map(); // socket ID -> Map(room -> { id, userId, username, room })
+
+  const allEntries = function* () {
+    for (const rooms of sockets.values()) yield* rooms.values();
+  };
+
+  return {
+    name: 'memory',
+
+    async set(socketId, user) {
+      if (!sockets.has(socketId)) sockets.set(socketId, new Map());
+      sockets.get(socketId).set(user.room, { ...user, id: socketId });
+    },
+
+    async listSocket(socketId) {
+      return Array.from(sockets.get(socketId)?.values() || []);
+    },
+
+    async remove(socketId, room) {
+      const rooms = sockets.get(socketId);
+      if (!rooms) return [];
+      const removed = room === undefined ? Array.from(rooms.values()) : [rooms.get(room)].filter(Boolean);
+      removed.forEach(entry => rooms.delete(entry.room));
+      if (!rooms.size) sockets.delete(socketId);
+      return removed;
+    },
+
+    async listRoom(room) {
+      return Array.from(allEntries()).filter(user => user.room === room);
+    },
+
+    async roomCounts() {
+      const counts = {};
+      for (const user of allEntries()) {
+        counts[user.room] = (counts[user.room] || 0) + 1;
+      }
+      return counts;
+    },
+
+    async close() {
+      sockets.clear();
+    }
+  };
+};
+
+module.exports = createMemoryPresenceStore;
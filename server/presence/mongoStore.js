@@ -0,0 +1,77 @@
+// server/presence/mongoStore.js
+const mongoose = require('mongoose');
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_AFTER_SECONDS = 90; // Entries from a node that stopped heart-beating expire after this
+
+const presenceSchema = new mongoose.Schema({
+  socketId: { type: String, required: true },
+  userId: { type: String, required: true },
+  username: { type: String, required: true },
+  room: { type: String, required: true },
+  nodeId: { type: String, required: true }, // The server instance holding the socket
+  updatedAt: { type: Date, default: Date.now }
+});
+
+presenceSchema.index({ socketId: 1, room: 1 }, { unique: true }); // A socket can be in several rooms
+presenceSchema.index({ room: 1 });
+presenceSchema.index({ nodeId: 1 });
+// MongoDB removes entries left behind by crashed nodes
+presenceSchema.index({ updatedAt: 1 }, { expireAfterSeconds: STALE_AFTER_SECONDS });
+
+const Presence = mongoose.models.Presence || mongoose.model('Presence', presenceSchema);
+
+const toUser = (doc) => (doc ? { id: doc.socketId, userId: doc.userId, username: doc.username, room: doc.room } : null);
+
+// Presence shared by every server instance through MongoDB. Each node refreshes its own entries
+// on a heartbeat; if a node dies, its entries expire through the TTL index instead of lingering forever.
+const createMongoPresenceStore = ({ nodeId }) => {
+  const heartbeat = setInterval(() => {
+    Presence.updateMany({ nodeId }, { updatedAt: new Date() }).catch(() => {});
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+  // Entries used to be unique per socket; drop that index where an older version created it
+  Presence.syncIndexes().catch(() => {});
+
+  return {
+    name: 'mongo',
+
+    async set(socketId, user) {
+      await Presence.updateOne(
+        { socketId, room: user.room },
+        { socketId, userId: user.userId, username: user.username, room: user.room, nodeId, updatedAt: new Date() },
+        { upsert: true }
+      );
+    },
+
+    async listSocket(socketId) {
+      const docs = await Presence.find({ socketId }).lean();
+      return docs.map(toUser);
+    },
+
+    async remove(socketId, room) {
+      const filter = room === undefined ? { socketId } : { socketId, room };
+      const docs = await Presence.find(filter).lean();
+      if (docs.length) await Presence.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+      return docs.map(toUser);
+    },
+
+    async listRoom(room) {
+      const docs = await Presence.find({ room }).sort({ _id: 1 }).lean();
+      return docs.map(toUser);
+    },
+
+    async roomCounts() {
+      const groups = await Presence.aggregate([{ $group: { _id: '$room', count: { $sum: 1 } } }]);
+      return Object.fromEntries(groups.map(group => [group._id, group.count]));
+    },
+
+    // Stop heart-beating and drop this node's entries (its sockets are going away with it)
+    async close() {
+      clearInterval(heartbeat);
+      await Presence.deleteMany({ nodeId });
+    }
+  };
+};
+
+module.exports = createMongoPresenceStore;
@@ -0,0 +1,45 @@
+// server/push/index.js
+const webPush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const logger = require('../utils/logger');
+
+const TTL_SECONDS = 24 * 60 * 60; // Push services drop notifications the browser hasn't collected by then
+const GONE_STATUSES = [404, 410]; // The subscription expired or the user revoked it
+
+// Sends Web Push notifications to the browsers users subscribed (models/PushSubscription.js), so they hear
+// about DMs and mentions while no tab is open. `vapid` is config.push (see ../config): { publicKey, privateKey,
+// subject }, or null to turn Web Push off, in which case every send is a no-op.
+// `sendNotification` can be swapped out (tests); it defaults to web-push's.
+const createPushSender = (vapid, { sendNotification = webPush.sendNotification } = {}) => {
+  const vapidDetails = vapid && { subject: vapid.subject, publicKey: vapid.publicKey, privateKey: vapid.privateKey };
+
+  // Send `payload` (JSON for the service worker, see client/public/sw.js) to every browser of `userIds`.
+  // Resolves once every attempt is done; failures are logged, never thrown.
+  const send = async (userIds, payload) => {
+    if (!vapid || !userIds.length) return;
+    const subscriptions = await PushSubscription.find({ userId: { $in: userIds } });
+    const body = JSON.stringify(payload);
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await sendNotification(subscription.toWebPush(), body, { vapidDetails, TTL: TTL_SECONDS });
+      } catch (error) {
+        if (GONE_STATUSES.includes(error.statusCode)) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+          logger.info(`Push subscription ${subscription.id} of user ${subscription.userId} is gone; removed it`);
+        } else {
+          logger.warn(`Push to user ${subscription.userId} failed${error.statusCode ? ` (${error.statusCode})` : ''}: ${error.message}`);
+        }
+      }
+    }));
+  };
+
+  return {
+    isEnabled: Boolean(vapid),
+    // What browsers need to subscribe (PushManager.subscribe's applicationServerKey)
+    publicKey: vapid?.publicKey || null,
+    send
+  };
+};
+
+module.exports = { createPushSender };
@@ -0,0 +1,50 @@
+// server/routes/auth.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { validateRequest, schemas } = require('../validation');
+
+const badRequest = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// `signToken` issues login tokens (see ../middleware/auth).
+const createAuthRouter = ({ signToken }) => {
+  const router = express.Router();
+
+  // Register a new account and return a token straight away
+  router.post('/register', validateRequest(schemas.http.register), asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    if (await User.findByUsername(username)) {
+      throw badRequest('That username is already taken.', 409);
+    }
+
+    const user = new User({ username });
+    await user.setPassword(password);
+    await user.save();
+
+    logger.info(`New user registered: ${user.username} (${user.id})`);
+    res.status(201).json({ token: signToken(user), user });
+  }));
+
+  // Log in with an existing account
+  router.post('/login', validateRequest(schemas.http.login), asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const user = await User.findByUsername(username);
+    if (!user || !(await user.verifyPassword(password))) {
+      throw badRequest('Invalid username or password.', 401);
+    }
+
+    logger.info(`User logged in: ${user.username} (${user.id})`);
+    res.json({ token: signToken(user), user });
+  }));
+
+  return router;
+};
+
+module.exports = createAuthRouter;
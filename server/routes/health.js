@@ -0,0 +1,46 @@
+// server/routes/health.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+
+const MONGO_STATES = { 0: 'disconnected', 1: 'connected', 2: 'connecting', 3: 'disconnecting' };
+
+// Probes for the hosting platform, and the Prometheus scrape endpoint.
+//   GET /healthz  liveness: the process is up and serving requests. Never checks dependencies,
+//                 so a database outage doesn't get every instance restarted.
+//   GET /readyz   readiness: 503 until startup is done and while MongoDB is unreachable or the server
+//                 is shutting down, so traffic only goes to instances that can serve it.
+//                 `getState()` returns 'starting', 'running' or 'stopping'.
+//   GET /metrics  Prometheus text format (see ../metrics). With `metricsToken` (METRICS_TOKEN) set,
+//                 scrapers must send it as "Authorization: Bearer <token>".
+const createHealthRouter = ({
+  metrics,
+  connection = mongoose.connection,
+  getState = () => 'running',
+  metricsToken = null
+}) => {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  router.get('/readyz', (req, res) => {
+    const state = getState();
+    const mongo = MONGO_STATES[connection.readyState] || 'unknown';
+    const isReady = state === 'running' && connection.readyState === 1;
+    res.status(isReady ? 200 : 503).json({ status: isReady ? 'ready' : 'not ready', state, mongo });
+  });
+
+  router.get('/metrics', asyncHandler(async (req, res) => {
+    if (metricsToken && req.headers.authorization !== `Bearer ${metricsToken}`) {
+      res.status(401).set('WWW-Authenticate', 'Bearer').end();
+      return;
+    }
+    res.set('Content-Type', metrics.contentType).send(await metrics.render());
+  }));
+
+  return router;
+};
+
+module.exports = createHealthRouter;
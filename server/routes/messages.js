@@ -0,0 +1,76 @@
+// server/routes/messages.js
+const express = require('express');
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Message = require('../models/Message');
+const { validateRequest, schemas } = require('../validation');
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Private messages are only visible to their two participants, or to the group's current members, and room
+// messages to those who may read the room (see Room.findReadable).
+// Anything else is reported as "not found" so the existence of other people's conversations is not revealed.
+const findVisibleMessage = async (messageId, userId) => {
+  const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+  if (!message || !await message.isVisibleTo(userId)) {
+    throw httpError('Message not found.', 404);
+  }
+  return message;
+};
+
+// `requireAuth` is the login check from ../middleware/auth.
+const createMessageRouter = ({ requireAuth }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // GET /api/messages/:id/thread
+  // Returns the thread's top-level message and all of its replies, oldest first.
+  // Asking for a reply's thread returns the whole thread it belongs to.
+  router.get('/:id/thread', validateRequest(schemas.http.messageParams), asyncHandler(async (req, res) => {
+    let parent = await findVisibleMessage(req.params.id, req.user.id);
+    if (parent.replyMode === 'thread') {
+      parent = await findVisibleMessage(parent.parentId, req.user.id);
+    }
+
+    const replies = await Message.find({ parentId: parent._id, replyMode: 'thread' }).sort({ _id: 1 });
+    res.json({
+      parent: parent.toObject(),
+      replies: replies.map(reply => reply.toObject())
+    });
+  }));
+
+  // GET /api/messages/:id/context?before=20&after=20
+  // The message plus its neighbours in the same timeline, oldest first — used to jump to a search hit.
+  // Thread replies are shown in the context of their top-level message.
+  router.get('/:id/context', validateRequest(schemas.http.messageContext), asyncHandler(async (req, res) => {
+    const target = await findVisibleMessage(req.params.id, req.user.id);
+    const anchor = target.replyMode === 'thread' ? await findVisibleMessage(target.parentId, req.user.id) : target;
+
+    const { before: beforeCount = 20, after: afterCount = 20 } = req.query;
+    const timeline = { room: anchor.room, isPrivate: anchor.isPrivate, ...Message.TIMELINE_FILTER };
+
+    // Fetch one extra on each side to know whether there is more history beyond the window
+    const [older, newer] = await Promise.all([
+      Message.find({ ...timeline, _id: { $lt: anchor._id } }).sort({ _id: -1 }).limit(beforeCount + 1),
+      Message.find({ ...timeline, _id: { $gt: anchor._id } }).sort({ _id: 1 }).limit(afterCount + 1)
+    ]);
+
+    const messages = [...older.slice(0, beforeCount).reverse(), anchor, ...newer.slice(0, afterCount)];
+
+    res.json({
+      targetId: target.id,
+      anchorId: anchor.id,
+      messages: messages.map(message => message.toObject()),
+      hasOlder: older.length > beforeCount,
+      hasNewer: newer.length > afterCount
+    });
+  }));
+
+  return router;
+};
+
+module.exports = createMessageRouter;
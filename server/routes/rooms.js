@@ -0,0 +1,113 @@
+// server/routes/rooms.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const Membership = require('../models/Membership');
+const logger = require('../utils/logger');
+const { validateRequest, schemas } = require('../validation');
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Attach live occupant counts (from the presence store, see ../presence) to a room document
+const withOccupants = (room, occupancy) => ({ ...room.toJSON(), occupants: occupancy[room.name] || 0 });
+
+// Load a room by name and make sure the current user may change it: its owners and site moderators,
+// the same rule as owner-only moderation in ../sockets/moderation
+const findOwnedRoom = async (req) => {
+  const room = await Room.findOne({ name: req.params.room });
+  if (!room) throw httpError('Room not found.', 404);
+  const membership = await Membership.findOne({ room: room.name, userId: req.user.id });
+  if (Membership.rankOf(membership, req.user.role) < Membership.ROLE_RANK.owner) {
+    throw httpError(`Only the owner of ${room.name} can change this room.`, 403);
+  }
+  return room;
+};
+
+// `io` is used to push catalog changes to connected clients; `getOccupancy` resolves to { [room]: count }.
+// `requireAuth` is the login check from ../middleware/auth.
+// `roomCatalogUpdated` carries no payload so private room names are never broadcast; clients refetch the list.
+const createRoomRouter = ({ io, getOccupancy, requireAuth }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // GET /api/rooms
+  // Lists public rooms plus the caller's own private rooms, with live occupant counts.
+  router.get('/', asyncHandler(async (req, res) => {
+    const rooms = await Room.find({
+      archivedAt: null,
+      $or: [{ visibility: 'public' }, { createdBy: req.user.id }]
+    }).sort({ name: 1 });
+
+    const occupancy = await getOccupancy();
+    res.json({ rooms: rooms.map(room => withOccupants(room, occupancy)) });
+  }));
+
+  // POST /api/rooms
+  router.post('/', validateRequest(schemas.http.createRoom), asyncHandler(async (req, res) => {
+    const { name, topic, visibility } = req.body;
+    if (await Room.exists({ name })) throw httpError('A room with that name already exists.', 409);
+
+    const room = await Room.create({ name, topic, visibility, createdBy: req.user.id });
+    await Membership.ensure(room, req.user); // The creator owns the room
+    logger.info(`Room created: ${room.name} by ${req.user.username}`);
+
+    io.emit('roomCatalogUpdated');
+    res.status(201).json({ room: withOccupants(room, await getOccupancy()) });
+  }));
+
+  // PATCH /api/rooms/:room
+  // Update the topic and/or visibility. Only the room's owners and site moderators may do this.
+  router.patch('/:room', validateRequest(schemas.http.updateRoom), asyncHandler(async (req, res) => {
+    const room = await findOwnedRoom(req);
+    if (room.archivedAt) throw httpError('Archived rooms cannot be changed.', 409);
+
+    const { topic, visibility } = req.body;
+    if (topic !== undefined) room.topic = topic;
+    if (visibility !== undefined) room.visibility = visibility;
+
+    await room.save();
+    logger.info(`Room updated: ${room.name} by ${req.user.username}`);
+
+    io.emit('roomCatalogUpdated');
+    res.json({ room: withOccupants(room, await getOccupancy()) });
+  }));
+
+  // DELETE /api/rooms/:room
+  // Archives rather than deletes, so the message history is kept.
+  router.delete('/:room', validateRequest(schemas.http.roomParams), asyncHandler(async (req, res) => {
+    const room = await findOwnedRoom(req);
+
+    if (!room.archivedAt) {
+      room.archivedAt = new Date();
+      await room.save();
+      logger.info(`Room archived: ${room.name} by ${req.user.username}`);
+
+      io.to(room.name).emit('roomArchived', { room: room.name });
+      io.emit('roomCatalogUpdated');
+    }
+
+    res.json({ room: withOccupants(room, await getOccupancy()) });
+  }));
+
+  // GET /api/rooms/:room/messages?before=<cursor>&limit=N
+  // Returns a page of public room history, newest first, plus the cursor for the next (older) page.
+  // 403 for private rooms the caller is not a member of and rooms they are banned from; 404 for unknown rooms.
+  router.get('/:room/messages', validateRequest(schemas.http.roomMessages), asyncHandler(async (req, res) => {
+    await Room.findReadable(req.params.room, req.user.id);
+    const { before, limit } = req.query;
+    const page = await Message.findPage(
+      { room: req.params.room, isPrivate: false, ...Message.TIMELINE_FILTER },
+      { before, limit }
+    );
+    res.json(page);
+  }));
+
+  return router;
+};
+
+module.exports = createRoomRouter;
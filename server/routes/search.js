@@ -0,0 +1,77 @@
+// server/routes/search.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const Room = require('../models/Room');
+const { validateRequest, schemas } = require('../validation');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words to highlight: everything in the query except negated terms ("-word") and operators
+const highlightTerms = (q) => q
+  .split(/\s+/)
+  .map(term => term.replace(/^"|"$/g, ''))
+  .filter(term => term && !term.startsWith('-'));
+
+// [start, end) character ranges of the query terms in `text`, in order, for the client to mark up.
+// MongoDB matches on word stems, so each term matches as a word prefix ("deploy" highlights "deployed").
+const findHighlights = (text, terms) => {
+  if (!text || !terms.length) return [];
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const ranges = [];
+  for (const match of text.matchAll(pattern)) {
+    // Extend to the end of the word
+    const wordEnd = text.slice(match.index).search(/\W|$/);
+    ranges.push([match.index, match.index + Math.max(wordEnd, match[0].length)]);
+  }
+  return ranges;
+};
+
+// `requireAuth` is the login check from ../middleware/auth.
+const createSearchRouter = ({ requireAuth }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // GET /api/search?q=<terms>&room=&author=&from=&to=&hasAttachment=true&limit=
+  // Ranked full-text search over every message the caller is allowed to read: rooms they may read
+  // (public rooms and private rooms they are a member of, unless banned), their DMs and their groups.
+  router.get('/', validateRequest(schemas.http.search), asyncHandler(async (req, res) => {
+    const { q, room, author, from: fromDate, to: toDate, hasAttachment, limit = 20 } = req.query;
+
+    const filter = {
+      $text: { $search: q },
+      deletedAt: null,
+      ...Message.visibleTo(req.user.id, {
+        rooms: await Room.readableBy(req.user.id),
+        groupConversations: await Group.conversationsOf(req.user.id)
+      })
+    };
+
+    if (room) filter.room = room;
+    if (author) filter.username = author;
+    if (fromDate || toDate) {
+      filter.timestamp = {};
+      if (fromDate) filter.timestamp.$gte = fromDate;
+      if (toDate) filter.timestamp.$lte = toDate;
+    }
+    if (hasAttachment === 'true') filter['attachments.0'] = { $exists: true };
+
+    const messages = await Message.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .limit(limit);
+
+    const terms = highlightTerms(q);
+    res.json({
+      results: messages.map(message => ({
+        message: message.toObject(),
+        score: message.get('score'),
+        highlights: findHighlights(message.text, terms)
+      }))
+    });
+  }));
+
+  return router;
+};
+
+module.exports = createSearchRouter;
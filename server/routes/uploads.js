@@ -0,0 +1,117 @@
+// server/routes/uploads.js
+const express = require('express');
+const multer = require('multer');
+const asyncHandler = require('express-async-handler');
+const Attachment = require('../models/Attachment');
+const logger = require('../utils/logger');
+
+// Leading bytes of the image formats we render inline. A file claiming to be an image has to match,
+// so HTML or scripts can't be smuggled in under an image MIME type.
+const IMAGE_SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]] // "RIFF"
+};
+
+const matchesSignature = (buffer, mimeType) => {
+  const signatures = IMAGE_SIGNATURES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(signature => signature.every((byte, i) => buffer[i] === byte));
+};
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Run multer and turn its errors into HTTP errors for the shared error handler
+const createFileReceiver = ({ maxBytes, allowedTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(httpError(`Files of type ${file.mimetype} are not allowed.`, 415));
+      }
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(err.code === 'LIMIT_FILE_SIZE'
+          ? httpError(`Files must be smaller than ${Math.round(maxBytes / 1024 / 1024)} MB.`, 413)
+          : httpError(err.message, 400));
+      }
+      next(err);
+    });
+  };
+};
+
+// `storage` is any adapter from ../storage (local disk by default).
+// `maxBytes` and `allowedTypes` come from UPLOAD_MAX_BYTES and UPLOAD_ALLOWED_TYPES (see ../config).
+// `requireAuth` is the login check from ../middleware/auth.
+const createUploadRouter = ({ storage, maxBytes, allowedTypes, requireAuth }) => {
+  const router = express.Router();
+  const receiveFile = createFileReceiver({ maxBytes, allowedTypes });
+
+  // POST /api/uploads (multipart/form-data, field "file")
+  // Stores the file and returns an attachment that can be sent with the next message.
+  router.post('/', requireAuth, receiveFile, asyncHandler(async (req, res) => {
+    const { file } = req;
+    if (!file) throw httpError('No file was uploaded.', 400);
+    if (!matchesSignature(file.buffer, file.mimetype)) {
+      throw httpError('The file contents do not match its type.', 415);
+    }
+
+    const { key, size } = await storage.save({
+      buffer: file.buffer,
+      originalName: file.originalname,
+      mimeType: file.mimetype
+    });
+
+    const attachment = await Attachment.create({
+      key,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size,
+      uploadedBy: req.user.id
+    });
+
+    logger.info(`File uploaded by ${req.user.username}: ${file.originalname} (${file.mimetype}, ${size} bytes)`);
+    res.status(201).json({ attachment });
+  }));
+
+  // GET /api/uploads/:key
+  // Keys are random UUIDs, so the URL itself is the capability (img tags can't send auth headers).
+  // A file that can't be read (removed since the check, or a disk error) is a 404 or 500 when nothing has
+  // been sent yet; after that the response can only be cut off.
+  router.get('/:key', asyncHandler(async (req, res, next) => {
+    const attachment = await Attachment.findOne({ key: req.params.key });
+    if (!attachment || !(await storage.exists(attachment.key))) throw httpError('File not found.', 404);
+
+    const disposition = IMAGE_SIGNATURES[attachment.mimeType] ? 'inline' : 'attachment';
+    const fileHeaders = {
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+      'Cross-Origin-Resource-Policy': 'cross-origin', // The client is served from a different origin
+      'Cache-Control': 'private, max-age=31536000, immutable'
+    };
+    const stream = storage.createReadStream(attachment.key);
+    stream.on('error', (error) => {
+      if (res.headersSent) return next(error);
+      Object.keys(fileHeaders).forEach(name => res.removeHeader(name));
+      next(error.code === 'ENOENT' ? httpError('File not found.', 404) : error);
+    });
+    res.set(fileHeaders);
+    stream.pipe(res);
+  }));
+
+  return router;
+};
+
+module.exports = createUploadRouter;
@@ -0,0 +1,130 @@
+// server/routes/webhooks.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const Membership = require('../models/Membership');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { validateRequest, schemas } = require('../validation');
+const { createDestinationCheck } = require('../webhooks');
+
+const MAX_WEBHOOKS_PER_ROOM = 10;
+const DELIVERY_LOG_SIZE = 50;
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Webhooks are managed by the room's owner, and by site moderators
+const assertRoomOwner = async (room, user) => {
+  const membership = await Membership.findOne({ room, userId: user.id });
+  if (Membership.rankOf(membership, user.role) < Membership.ROLE_RANK.owner) {
+    throw httpError(`Only the owner of ${room} can manage its webhooks.`, 403);
+  }
+};
+
+const findManagedWebhook = async (req) => {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) throw httpError('Webhook not found.', 404);
+  await assertRoomOwner(webhook.room, req.user);
+  return webhook;
+};
+
+// Incoming webhooks post to rooms over plain HTTP; outgoing ones are sent by ../webhooks.
+// `io` delivers messages posted through incoming webhooks to the room's clients; `metrics` counts them.
+// `requireAuth` (../middleware/auth) guards everything but incoming webhooks.
+// `destinations` (../webhooks) refuses outgoing webhook URLs that point at internal addresses.
+const createWebhookRouter = ({ io, requireAuth, destinations = createDestinationCheck(), metrics = null }) => {
+  const router = express.Router();
+
+  // POST /api/webhooks/incoming/:id/:token  { text }
+  // Posts `text` to the webhook's room as its bot. The token in the URL is the credential: no login.
+  router.post('/incoming/:id/:token', validateRequest(schemas.http.incomingWebhook), asyncHandler(async (req, res) => {
+    const webhook = await Webhook.findOne({ _id: req.params.id, kind: 'incoming' });
+    if (!webhook || !webhook.matchesToken(req.params.token)) throw httpError('Webhook not found.', 404);
+
+    const room = await Room.findOne({ name: webhook.room });
+    if (!room || room.archivedAt) throw httpError(`The ${webhook.room} room has been archived.`, 410);
+
+    const message = await Message.create({
+      username: webhook.name,
+      text: req.body.text,
+      room: webhook.room,
+      isPrivate: false,
+      webhookId: webhook._id
+    });
+    webhook.lastUsedAt = new Date();
+    await webhook.save();
+
+    io.to(webhook.room).emit('message', message.toObject());
+    metrics?.countMessage('webhook');
+    logger.info(`Webhook ${webhook.name} posted to ${webhook.room}`);
+    res.status(201).json({ message: message.toObject() });
+  }));
+
+  router.use(requireAuth);
+
+  // GET /api/webhooks/rooms/:room
+  // The room's webhooks, without their tokens or secrets.
+  router.get('/rooms/:room', validateRequest(schemas.http.roomParams), asyncHandler(async (req, res) => {
+    await assertRoomOwner(req.params.room, req.user);
+    const webhooks = await Webhook.find({ room: req.params.room }).sort({ createdAt: 1 });
+    res.json({ webhooks });
+  }));
+
+  // POST /api/webhooks/rooms/:room  { kind, name, url?, filter? }
+  // Responds with the webhook and its credential, which is not shown again:
+  // the URL to post to for incoming webhooks, the signing secret for outgoing ones.
+  router.post('/rooms/:room', validateRequest(schemas.http.createWebhook), asyncHandler(async (req, res) => {
+    const { room } = req.params;
+    const { kind, name, url, filter } = req.body;
+    await assertRoomOwner(room, req.user);
+
+    const roomDoc = await Room.findOne({ name: room });
+    if (!roomDoc || roomDoc.archivedAt) throw httpError('Room not found.', 404);
+    if (kind === 'outgoing' && !url) throw httpError('Outgoing webhooks need a URL to send messages to.', 400);
+    if (kind === 'outgoing') await destinations.check(url);
+    if (await Webhook.countDocuments({ room }) >= MAX_WEBHOOKS_PER_ROOM) {
+      throw httpError(`A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks.`, 409);
+    }
+
+    const credential = Webhook.generateSecret();
+    const webhook = await Webhook.create(kind === 'incoming'
+      ? { room, kind, name, tokenHash: Webhook.hashToken(credential), createdBy: req.user.id }
+      : { room, kind, name, url, secret: credential, filter, createdBy: req.user.id });
+    await AuditLog.record({ room, action: 'createWebhook', actor: req.user, details: { webhookId: webhook.id, kind, name } });
+    logger.info(`${kind} webhook ${name} added to ${room} by ${req.user.username}`);
+
+    res.status(201).json(kind === 'incoming'
+      ? { webhook, url: `${req.protocol}://${req.get('host')}${req.baseUrl}/incoming/${webhook.id}/${credential}` }
+      : { webhook, secret: credential });
+  }));
+
+  // DELETE /api/webhooks/:id
+  // Pending deliveries of an outgoing webhook are dropped with it.
+  router.delete('/:id', validateRequest(schemas.http.webhookParams), asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+    await webhook.deleteOne();
+    await WebhookDelivery.updateMany({ webhookId: webhook._id, status: 'pending' }, { status: 'failed' });
+    await AuditLog.record({ room: webhook.room, action: 'deleteWebhook', actor: req.user, details: { webhookId: webhook.id, kind: webhook.kind, name: webhook.name } });
+    logger.info(`Webhook ${webhook.name} removed from ${webhook.room} by ${req.user.username}`);
+    res.json({ webhook });
+  }));
+
+  // GET /api/webhooks/:id/deliveries
+  // The delivery log of an outgoing webhook: its latest deliveries, newest first, with every attempt.
+  router.get('/:id/deliveries', validateRequest(schemas.http.webhookParams), asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+    const deliveries = await WebhookDelivery.find({ webhookId: webhook._id }).sort({ createdAt: -1 }).limit(DELIVERY_LOG_SIZE);
+    res.json({ deliveries });
+  }));
+
+  return router;
+};
+
+module.exports = createWebhookRouter;
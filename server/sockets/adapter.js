@@ -0,0 +1,29 @@
+// server/sockets/adapter.js
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const logger = require('../utils/logger');
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+const ADAPTER_COLLECTION_BYTES = 1e6;
+
+// Broadcasts (io.to(room).emit(...)) only reach sockets on the local process by default.
+// With `driver` "mongo" (SOCKET_ADAPTER=mongo) every instance relays its broadcasts through a capped MongoDB
+// collection, so a message sent on one replica reaches sockets connected to the others.
+// The adapter reads the collection through a change stream, so MongoDB must run as a replica set.
+const attachSocketAdapter = async (io, driver) => {
+  if (driver === 'memory') return;
+  if (driver !== 'mongo') {
+    throw new Error(`Unknown socket adapter "${driver}". Available adapters: memory, mongo`);
+  }
+
+  const { db } = mongoose.connection;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: ADAPTER_COLLECTION_BYTES });
+  } catch (error) {
+    if (error.codeName !== 'NamespaceExists') throw error; // Another instance created it first
+  }
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  logger.info(`Socket.IO MongoDB adapter attached (collection: ${ADAPTER_COLLECTION}).`);
+};
+
+module.exports = { attachSocketAdapter };
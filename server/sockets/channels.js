@@ -0,0 +1,19 @@
+// server/sockets/channels.js
+const mongoose = require('mongoose');
+
+// System notices are sent as messages from the ChatBot identity
+const botMessage = (text, room) => ({
+  username: 'ChatBot',
+  text,
+  room,
+  timestamp: new Date().toISOString(),
+  id: new mongoose.Types.ObjectId().toHexString()
+});
+
+// Every socket of a user joins this room, so DMs reach all of their tabs and survive reconnects
+const userChannel = (userId) => `user:${userId}`;
+
+// Private conversations are keyed by the two account IDs, never by socket IDs
+const privateRoomKey = (userIdA, userIdB) => `dm:${[userIdA, userIdB].sort().join(':')}`;
+
+module.exports = { botMessage, userChannel, privateRoomKey };
@@ -0,0 +1,157 @@
+// server/sockets/groups.js
+const Group = require('../models/Group');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { clientError } = require('./handler');
+const { userChannel } = require('./channels');
+
+// Private group conversations (models/Group.js): creating, renaming, and who is in them.
+// Every socket of a member is in the group's Socket.IO room (its conversation key), so group messages and
+// their updates are broadcast there like room messages. Each instance puts its own sockets in on connect
+// (joinAll()); membership changes move a member's sockets on every instance through their user channel.
+// Members get `groupUpdated` with the whole group after each change; whoever leaves or is removed gets `groupLeft`.
+const createGroups = ({ io }) => {
+  // A group the user is in. Other people's groups are reported as missing, like other people's DMs.
+  const findGroup = async (groupId, user) => {
+    const group = await Group.findById(groupId);
+    if (!group || !group.hasMember(user.id)) throw clientError('That group does not exist.', 404);
+    return group;
+  };
+
+  const findOwnedGroup = async (groupId, user) => {
+    const group = await findGroup(groupId, user);
+    if (group.ownerId !== user.id) throw clientError(`Only the owner of ${group.name} can do that.`, 403);
+    return group;
+  };
+
+  // Group member entries for the accounts `userIds`; throws if any of them doesn't exist
+  const loadMembers = async (userIds) => {
+    const ids = [...new Set(userIds)];
+    const users = await User.find({ _id: { $in: ids } });
+    if (users.length !== ids.length) throw clientError('One or more of those users do not exist.', 404);
+    return users.map(user => ({ userId: user.id, username: user.username, addedAt: new Date() }));
+  };
+
+  const assertSize = (count) => {
+    if (count > Group.MAX_MEMBERS) throw clientError(`A group can have at most ${Group.MAX_MEMBERS} members.`);
+  };
+
+  const publish = (group) => {
+    io.to(group.members.map(member => userChannel(member.userId))).emit('groupUpdated', group.toJSON());
+  };
+
+  const admit = (group, members) => {
+    io.in(members.map(member => userChannel(member.userId))).socketsJoin(group.conversation);
+  };
+
+  const dismiss = (group, userId) => {
+    io.in(userChannel(userId)).socketsLeave(group.conversation);
+    io.to(userChannel(userId)).emit('groupLeft', { groupId: group.id, conversation: group.conversation });
+  };
+
+  const actions = {
+    // A group is for three or more people; two talk in a DM
+    async create(actor, { name, memberIds }) {
+      const members = await loadMembers(memberIds.filter(id => id !== actor.id));
+      if (members.length < 2) {
+        throw clientError('A group needs at least two other members. Send a private message instead.');
+      }
+      assertSize(members.length + 1);
+
+      const group = await Group.create({
+        name,
+        ownerId: actor.id,
+        members: [{ userId: actor.id, username: actor.username }, ...members]
+      });
+      admit(group, group.members);
+      publish(group);
+      logger.info(`${actor.username} created group ${group.name} (${group.id}) with ${members.map(member => member.username).join(', ')}`);
+      return group.toJSON();
+    },
+
+    async rename(actor, { groupId, name }) {
+      const group = await findOwnedGroup(groupId, actor);
+      if (group.name === name) return group.toJSON();
+
+      const previous = group.name;
+      group.name = name;
+      await group.save();
+      publish(group);
+      logger.info(`${actor.username} renamed group ${previous} to ${name} (${group.id})`);
+      return group.toJSON();
+    },
+
+    // People already in the group are skipped
+    async addMembers(actor, { groupId, memberIds }) {
+      const group = await findOwnedGroup(groupId, actor);
+      const members = (await loadMembers(memberIds)).filter(member => !group.hasMember(member.userId));
+      if (!members.length) return group.toJSON();
+      assertSize(group.members.length + members.length);
+
+      group.members.push(...members);
+      await group.save();
+      admit(group, members);
+      publish(group);
+      logger.info(`${actor.username} added ${members.map(member => member.username).join(', ')} to group ${group.name} (${group.id})`);
+      return group.toJSON();
+    },
+
+    // The removed member loses access to the group's history as well
+    async removeMember(actor, { groupId, userId }) {
+      const group = await findOwnedGroup(groupId, actor);
+      if (userId === actor.id) throw clientError('Leave the group instead of removing yourself.');
+      const removed = group.members.find(member => member.userId === userId);
+      if (!removed) throw clientError(`That user is not in ${group.name}.`, 404);
+
+      group.members = group.members.filter(member => member.userId !== userId);
+      await group.save();
+      dismiss(group, userId);
+      publish(group);
+      logger.info(`${actor.username} removed ${removed.username} from group ${group.name} (${group.id})`);
+      return group.toJSON();
+    },
+
+    // When the owner leaves, the longest-standing member takes over
+    async leave(actor, { groupId }) {
+      const group = await findGroup(groupId, actor);
+      group.members = group.members.filter(member => member.userId !== actor.id);
+      if (group.ownerId === actor.id && group.members.length) {
+        group.ownerId = group.members[0].userId;
+      }
+      await group.save();
+      dismiss(group, actor.id);
+      publish(group);
+      logger.info(`${actor.username} left group ${group.name} (${group.id})`);
+    },
+
+    // The user's groups, oldest first
+    async list(actor) {
+      const groups = await Group.find({ 'members.userId': actor.id }).sort({ createdAt: 1 });
+      return groups.map(group => group.toJSON());
+    }
+  };
+
+  // Put a newly connected socket in the Socket.IO rooms of its user's groups
+  const joinAll = async (socket) => {
+    socket.join(await Group.conversationsOf(socket.user.id));
+  };
+
+  // Group events for one socket, acknowledged with the action's result
+  const register = (socket, handle) => {
+    const events = {
+      createGroup: 'create',
+      renameGroup: 'rename',
+      addGroupMembers: 'addMembers',
+      removeGroupMember: 'removeMember',
+      leaveGroup: 'leave',
+      listGroups: 'list'
+    };
+    for (const [event, action] of Object.entries(events)) {
+      socket.on(event, handle(event, payload => actions[action](socket.user, payload)));
+    }
+  };
+
+  return { findGroup, joinAll, actions, register };
+};
+
+module.exports = createGroups;
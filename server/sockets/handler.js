@@ -0,0 +1,63 @@
+// server/sockets/handler.js
+const logger = require('../utils/logger');
+const { validateSocketPayload } = require('../validation');
+
+// An error the client caused (bad payload, missing permission...). Its message is shown to the user as-is.
+const clientError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Wraps a socket event handler so it always reports back to the caller.
+// With a `limiter` (see ../throttle), each event first spends from the user's allowance for it and is
+// rejected with a 429 once that runs out. The payload is then checked against the event's schema (../validation/schemas), and the handler
+// receives the cleaned payload. It returns the result `data`, or throws.
+// When the client passed an acknowledgement callback it receives `{ ok: true, data }` or
+// `{ ok: false, error }`, plus `details: [{ path, message }]` for payloads that failed validation.
+// Clients that did not pass one get errors as a ChatBot notice (`notify`), like before acks existed.
+// Unexpected errors are logged with their stack and reported with a generic message.
+// With `metrics` (see ../metrics), how long each event took is recorded along with its outcome.
+// With `inFlight` (see ../lifecycle), running handlers are tracked so a shutdown can wait for them,
+// and events that arrive once the shutdown has started are refused with "Server unavailable".
+const createSocketHandler = (socket, notify, { limiter, metrics, inFlight } = {}) => (event, handler) => {
+  const run = async (args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    if (inFlight && !inFlight.accepting) {
+      logger.debug(`Socket event ${event} refused during shutdown for ${socket.user?.username || 'unknown user'} (${socket.id})`);
+      if (ack) ack({ ok: false, error: 'Server unavailable' });
+      else notify('Server unavailable');
+      return;
+    }
+    const recordOutcome = metrics?.startHandlerTimer(event);
+    try {
+      limiter?.consume(event, socket.user.id);
+      const [payload, ...rest] = args;
+      const data = await handler(validateSocketPayload(event, payload), ...rest);
+      recordOutcome?.('ok');
+      if (ack) ack({ ok: true, data: data === undefined ? null : data });
+    } catch (error) {
+      const isClientError = error.status && error.status < 500;
+      recordOutcome?.(error.status === 429 ? 'throttled' : isClientError ? 'rejected' : 'error');
+      const who = `${socket.user?.username || 'unknown user'} (${socket.id})`;
+      if (error.status === 429) {
+        logger.debug(`Socket event ${event} throttled for ${who}`); // A flood would otherwise flood the logs too
+      } else if (isClientError) {
+        logger.warn(`Socket event ${event} rejected for ${who}: ${error.message}`);
+      } else {
+        logger.error(`Socket event ${event} failed for ${who}: ${error.message}`, { stack: error.stack });
+      }
+
+      const message = isClientError ? error.message : 'Something went wrong. Please try again.';
+      if (ack) {
+        const details = isClientError && error.details ? { details: error.details } : {};
+        ack({ ok: false, error: message, ...details });
+      } else {
+        notify(message);
+      }
+    }
+  };
+  return (...args) => (inFlight ? inFlight.track(run(args)) : run(args));
+};
+
+module.exports = { clientError, createSocketHandler };
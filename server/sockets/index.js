@@ -0,0 +1,641 @@
+// server/sockets/index.js
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const Membership = require('../models/Membership');
+const Group = require('../models/Group');
+const Attachment = require('../models/Attachment');
+const logger = require('../utils/logger');
+const { clientError, createSocketHandler } = require('./handler');
+const { createEventLimiter, createSpamGuard } = require('../throttle');
+const { botMessage, userChannel, privateRoomKey } = require('./channels');
+const createModeration = require('./moderation');
+const createReadState = require('./readState');
+const createGroups = require('./groups');
+const createNotifications = require('./notifications');
+const { createPushSender } = require('../push');
+const { createCommandRegistry, isCommandLine, unescapeCommandLine } = require('../commands');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const MAX_SYNC_MESSAGES = 200; // Longer gaps fall back to reloading the room
+const PRIVATE_HISTORY_LIMIT = 100; // DM and group messages sent with a full join; older ones are left out
+
+// Wires JWT authentication (`socketAuth`, see ../middleware/auth) and every chat event onto a Socket.IO server.
+// A socket can be in several rooms at once; the user's room list is kept on their memberships so the
+// next session can rejoin it (`listJoinedRooms`). `presence` (see ../presence) records which user is
+// in which room; with a shared store every instance sees the same occupants. The socket's own rooms
+// are also kept on `socket.data.rooms`, since only the instance holding the socket needs them
+// (typing, sending) and it saves a round trip.
+// `limiter` and `spamGuard` (see ../throttle) cap how often each user may send every event.
+// Room roles, bans, mutes and pins are handled by ./moderation, read cursors and unread counts by ./readState,
+// private group conversations by ./groups, DM and mention notifications and per-conversation mutes by
+// ./notifications, and slash commands by `commands` (../commands). `push` (../push) sends notifications
+// to users who aren't connected. New room messages are passed to `webhooks` (../webhooks), when given, for outgoing webhooks.
+// `metrics` (../metrics), when given, counts messages and times every event handler.
+// `inFlight` (../lifecycle), when given, tracks running handlers and disconnect cleanup for graceful shutdown.
+const registerSocketHandlers = (io, {
+  socketAuth,
+  presence,
+  limiter = createEventLimiter(),
+  spamGuard = createSpamGuard(),
+  commands = createCommandRegistry(),
+  push = createPushSender(null),
+  webhooks = null,
+  metrics = null,
+  inFlight = null
+}) => {
+  // Reject any socket that does not present a valid JWT during the handshake
+  io.use(socketAuth);
+
+  // Push live occupant counts to every connected client (used by the room directory)
+  const broadcastOccupancy = async () => io.emit('roomOccupancy', await presence.roomCounts());
+
+  const moderation = createModeration({ io, presence, broadcastOccupancy });
+  const readState = createReadState({ io });
+  const groups = createGroups({ io });
+  const notifications = createNotifications({ io, push });
+
+  // Not awaited: looking up mentions and reaching push services must not hold up the sender's ack
+  const notify = (message, context) => {
+    notifications.messageCreated(message, context)
+      .catch(error => logger.error(`Could not send notifications for message ${message.id}: ${error.message}`));
+  };
+
+  // Where updates to a message are broadcast: its room or group (both Socket.IO rooms), or both DM participants' channels
+  const conversationTarget = (message) => (message.isPrivate && message.recipientId
+    ? io.to(userChannel(message.senderId)).to(userChannel(message.recipientId))
+    : io.to(message.room));
+
+  io.on('connection', (socket) => {
+    logger.info(`New connection: ${socket.id} (${socket.user.username})`);
+    socket.join(userChannel(socket.user.id));
+    socket.data.rooms = {}; // room -> this socket's presence entry { id, userId, username, room }
+    // Not awaited: every handler below must be registered before the client's first event arrives
+    presence.roomCounts()
+      .then(counts => socket.emit('roomOccupancy', counts))
+      .catch(error => logger.warn(`Could not read room occupancy: ${error.message}`));
+    groups.joinAll(socket)
+      .catch(error => logger.warn(`Could not join ${socket.user.username}'s groups: ${error.message}`));
+
+    // The rooms this socket is in, as presence entries. A moderator on any instance can remove the socket
+    // from a room (see ./moderation), which takes it out of the Socket.IO room: forget the room here as well then.
+    const joinedRooms = () => {
+      for (const room of Object.keys(socket.data.rooms)) {
+        if (!socket.rooms.has(room)) delete socket.data.rooms[room];
+      }
+      return Object.values(socket.data.rooms);
+    };
+
+    // The joined room an event is for: `room` when the client names it, otherwise the only room the
+    // socket is in (clients that show one room at a time may leave it out). null when there is none.
+    const findJoinedRoom = (room) => {
+      const entries = joinedRooms();
+      if (room === undefined) return entries.length === 1 ? entries[0] : null;
+      return entries.find(entry => entry.room === room) || null;
+    };
+
+    // Like findJoinedRoom(), for events that cannot go ahead without the room
+    const requireJoinedRoom = (room) => {
+      if (!joinedRooms().length) throw clientError('You are not recognized. Please rejoin the chat.');
+      const entry = findJoinedRoom(room);
+      if (entry) return entry;
+      throw clientError(room === undefined ? 'You are in several rooms. Say which room this is for.' : `You are no longer in ${room}.`);
+    };
+
+    // ChatBot notices that belong to no particular room go to the room joined last
+    const noticeRoom = () => joinedRooms().map(entry => entry.room).pop();
+
+    // Every event below acknowledges with { ok, error, data } when the client passes a callback.
+    // Without one, errors are reported as a ChatBot notice (see noticeRoom()).
+    // Events over the user's rate limit are rejected the same way.
+    const handle = createSocketHandler(socket, (errorMessage) => {
+      socket.emit('message', botMessage(`Error: ${errorMessage}`, noticeRoom()));
+    }, { limiter, metrics, inFlight });
+
+    // Join Room
+    // Adds the room to the socket's rooms (it stays in the others) and to the user's room list.
+    // The username always comes from the verified token, never from the client payload.
+    // `resume: true` is sent when a client re-joins after a reconnect or restores its room list in a new
+    // session: it skips the history (the client fetches what it needs with `syncMessages`/`loadMessages`).
+    // The greetings only go out the first time the room goes on the list. The ack fires once the join is done.
+    socket.on('joinRoom', handle('joinRoom', async ({ room, resume }) => {
+      const { username } = socket.user;
+
+      // Rooms come from the catalog. Unknown names are created on the fly as public rooms
+      // (so typing a new name still works), but archived rooms cannot be joined.
+      let roomDoc = await Room.findOne({ name: room });
+      if (roomDoc?.archivedAt) {
+        throw clientError(`The ${room} room has been archived.`);
+      }
+      if (!roomDoc) {
+        roomDoc = await Room.create({ name: room, createdBy: socket.user.id });
+        logger.info(`Room ${room} created on join by ${username}`);
+        io.emit('roomCatalogUpdated');
+      }
+      const membership = await moderation.admit(roomDoc, socket.user); // Throws for banned users
+      const isNewOnList = !membership.joinedAt;
+      if (isNewOnList) {
+        membership.joinedAt = new Date();
+        await membership.save();
+      }
+
+      const user = { id: socket.id, userId: socket.user.id, username, room };
+      socket.data.rooms[room] = user;
+      await presence.set(socket.id, user);
+      socket.join(room);
+
+      logger.info(`${username} (${socket.id}) ${resume ? 're-joined' : 'joined'} room: ${room}`);
+
+      if (resume) {
+        socket.emit('roomInfo', await moderation.roomInfo(roomDoc));
+        io.to(room).emit('roomUsers', await moderation.listRoomUsers(room), room);
+        await broadcastOccupancy();
+        return { room };
+      }
+
+      // Fetch only the most recent page of room messages (non-private); older pages are loaded on demand
+      const page = await Message.findPage({ room, isPrivate: false, ...Message.TIMELINE_FILTER });
+
+      // The latest of this user's DMs, in either direction, and of their groups' messages
+      const privatePage = await Message.findPage(
+        Message.privateTo(user.userId, await Group.conversationsOf(user.userId)),
+        { limit: PRIVATE_HISTORY_LIMIT }
+      );
+
+      if (isNewOnList) {
+        // Emit a welcome message directly to the joining user, and notify the room
+        socket.emit('message', botMessage(`Welcome to the ${room} chat room, ${username}!`, room));
+        socket.to(room).emit('message', botMessage(`${username} has joined the chat.`, room));
+      }
+      socket.emit('roomInfo', await moderation.roomInfo(roomDoc));
+
+      // Send the updated list of users in the room to everyone in that room
+      io.to(room).emit('roomUsers', await moderation.listRoomUsers(room), room);
+      await broadcastOccupancy();
+
+      // Send the latest page of room history to the newly joined user (newest first)
+      socket.emit('roomMessages', { room, ...page });
+      socket.emit('privateMessages', privatePage.messages.reverse()); // Oldest first
+      return { room };
+    }));
+
+    // The user's room list, in the order the rooms were joined: what a new session joins again.
+    // Rooms archived or banned from since are left out.
+    socket.on('listJoinedRooms', handle('listJoinedRooms', async () => {
+      const memberships = await Membership.find({ userId: socket.user.id, joinedAt: { $ne: null } }).sort({ joinedAt: 1 });
+      const open = new Set(await Room.distinct('name', { name: { $in: memberships.map(membership => membership.room) }, archivedAt: null }));
+      return memberships.filter(membership => open.has(membership.room) && !membership.isBanned()).map(membership => membership.room);
+    }));
+
+    // Work out the reply fields for a new message. The parent must be a live message in the same conversation.
+    // Returns { fields, parent }; throws if the parent is invalid.
+    const resolveReply = async ({ parentId, replyMode }, roomKey) => {
+      if (!parentId) return { fields: {} };
+      if (!['thread', 'quote'].includes(replyMode)) throw clientError('Unknown reply type.');
+
+      const parent = mongoose.isValidObjectId(parentId) ? await Message.findById(parentId) : null;
+      if (!parent || parent.deletedAt || parent.room !== roomKey) {
+        throw clientError('The message you replied to is not available.');
+      }
+
+      // Replies always hang off the top-level message, so threads stay one level deep
+      const threadRootId = parent.replyMode === 'thread' ? parent.parentId : parent._id;
+      const fields = replyMode === 'thread'
+        ? { parentId: threadRootId, replyMode }
+        : { parentId: parent._id, replyMode, quote: { username: parent.username, text: parent.text } };
+      return { fields, parent };
+    };
+
+    // Look up the uploads to send with a message. Only the sender's own, not-yet-sent uploads can be used.
+    // Returns { attachments, ids } (message snapshots and upload IDs); throws if any upload can't be used.
+    const resolveAttachments = async (attachmentIds = []) => {
+      if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return { attachments: [], ids: [] };
+      if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE || !attachmentIds.every(id => mongoose.isValidObjectId(id))) {
+        throw clientError(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files to a message.`);
+      }
+
+      const uploads = await Attachment.find({ _id: { $in: attachmentIds }, uploadedBy: socket.user.id, messageId: null });
+      if (uploads.length !== new Set(attachmentIds.map(String)).size) {
+        throw clientError('One or more attachments are no longer available. Please upload them again.');
+      }
+      return { attachments: uploads.map(upload => upload.toMessageAttachment()), ids: uploads.map(upload => upload._id) };
+    };
+
+    // Link uploads to the message they were sent with, so they can't be reused
+    const claimAttachments = (ids, message) => (ids.length
+      ? Attachment.updateMany({ _id: { $in: ids } }, { messageId: message._id })
+      : null);
+
+    // Sends are idempotent on the client-supplied `clientId`: a retry of a message that was already
+    // stored gets the stored message back instead of creating a second one.
+    const findRetriedMessage = async (clientId) => {
+      if (clientId === undefined) return null;
+      const existing = await Message.findOne({ senderId: socket.user.id, clientId });
+      if (existing) logger.info(`Duplicate send ${clientId} from ${socket.user.username} ignored`);
+      return existing;
+    };
+
+    // Save a new message. Returns the message that ended up stored: this one, or the one saved by a
+    // concurrent retry with the same client ID (the unique index rejects the second insert).
+    const saveOnce = async (message) => {
+      try {
+        await message.save();
+        return message;
+      } catch (error) {
+        if (error.code !== 11000 || !message.clientId) throw error;
+        const existing = await findRetriedMessage(message.clientId);
+        if (!existing) throw error;
+        return existing;
+      }
+    };
+
+    // Users who repeat the same message or post link after link are muted for a while.
+    // The mute is announced as a ChatBot notice; the rejected send itself fails with the same message.
+    // Only messages that get stored count towards a mute: they are recorded with recordSent() below.
+    const checkSpam = (text) => {
+      const verdict = spamGuard.check(socket.user.id, text);
+      if (!verdict) return;
+      if (verdict.justMuted) {
+        logger.warn(`${socket.user.username} muted until ${verdict.mutedUntil.toISOString()}: ${verdict.message}`);
+        socket.emit('message', botMessage(verdict.message, noticeRoom()));
+      }
+      throw clientError(verdict.message, 429);
+    };
+    const recordSent = text => spamGuard.record(socket.user.id, text);
+
+    // Bump the parent's reply count after a thread reply and let the conversation know
+    const recordThreadReply = async (reply) => {
+      if (reply.replyMode !== 'thread') return;
+      const parent = await Message.findByIdAndUpdate(reply.parentId, { $inc: { replyCount: 1 } }, { new: true });
+      if (parent) conversationTarget(parent).emit('messageUpdated', parent.toObject());
+    };
+
+    // Store a new message in the user's room and broadcast it. Returns the stored message.
+    // `isAction` marks "/me" messages, which are shown as "* alice waves".
+    const postRoomMessage = async (user, { text, parentId, replyMode, attachmentIds, clientId, isAction = false }) => {
+      const retried = await findRetriedMessage(clientId);
+      if (retried) return retried.toObject();
+      checkSpam(text);
+      await moderation.assertNotMuted(user.room, socket.user);
+
+      const reply = await resolveReply({ parentId, replyMode }, user.room);
+      const files = await resolveAttachments(attachmentIds);
+      if (!text && !files.attachments.length) {
+        throw clientError('A message cannot be empty.');
+      }
+
+      const message = new Message({
+        id: new mongoose.Types.ObjectId().toHexString(),
+        username: user.username,
+        text,
+        room: user.room,
+        readBy: [user.userId],
+        isPrivate: false,
+        senderId: user.userId,
+        attachments: files.attachments,
+        clientId,
+        isAction,
+        ...reply.fields
+      });
+
+      const stored = await saveOnce(message);
+      if (stored !== message) return stored.toObject();
+      recordSent(text);
+      await claimAttachments(files.ids, message);
+      io.to(user.room).emit('message', message.toObject());
+      metrics?.countMessage('room');
+      await recordThreadReply(message);
+      notify(message.toObject());
+      // Not awaited: a slow webhook receiver must not hold up the sender's ack
+      webhooks?.messageCreated(message.toObject())
+        .catch(error => logger.error(`Could not queue webhooks for message ${message.id}: ${error.message}`));
+      logger.info(`Message from ${user.username} in ${user.room}: ${text}`);
+      return message.toObject();
+    };
+
+    // Store a DM from `sender` ({ userId, username }) to `recipient` (a User) and deliver it. Returns the stored message.
+    const postPrivateMessage = async (sender, recipient, { text, parentId, replyMode, attachmentIds, clientId }) => {
+      const retried = await findRetriedMessage(clientId);
+      if (retried) return retried.toObject();
+      checkSpam(text);
+
+      const roomKey = privateRoomKey(sender.userId, recipient.id);
+      const reply = await resolveReply({ parentId, replyMode }, roomKey);
+      const files = await resolveAttachments(attachmentIds);
+      if (!text && !files.attachments.length) {
+        throw clientError('A message cannot be empty.');
+      }
+
+      const privateMsg = new Message({
+        id: new mongoose.Types.ObjectId().toHexString(),
+        username: sender.username,
+        text,
+        room: roomKey,
+        isPrivate: true,
+        senderId: sender.userId,
+        recipientId: recipient.id,
+        timestamp: new Date(),
+        readBy: [sender.userId],
+        attachments: files.attachments,
+        clientId,
+        ...reply.fields
+      });
+
+      const stored = await saveOnce(privateMsg);
+      if (stored !== privateMsg) return stored.toObject();
+      recordSent(text);
+      await claimAttachments(files.ids, privateMsg);
+      // Deliver to every connected tab of the recipient, and echo to all of the sender's tabs
+      io.to(userChannel(recipient.id)).to(userChannel(sender.userId)).emit('message', privateMsg.toObject());
+      metrics?.countMessage('private');
+      await recordThreadReply(privateMsg);
+      notify(privateMsg.toObject());
+      logger.info(`Private message from ${sender.username} to ${recipient.username}: ${text}`);
+      return privateMsg.toObject();
+    };
+
+    // Store a message from the socket's user in `group` (a Group they are in) and deliver it to every
+    // member's tabs. Returns the stored message.
+    const postGroupMessage = async (group, { text, parentId, replyMode, attachmentIds, clientId }) => {
+      const retried = await findRetriedMessage(clientId);
+      if (retried) return retried.toObject();
+      checkSpam(text);
+
+      const reply = await resolveReply({ parentId, replyMode }, group.conversation);
+      const files = await resolveAttachments(attachmentIds);
+      if (!text && !files.attachments.length) {
+        throw clientError('A message cannot be empty.');
+      }
+
+      const groupMsg = new Message({
+        id: new mongoose.Types.ObjectId().toHexString(),
+        username: socket.user.username,
+        text,
+        room: group.conversation,
+        isPrivate: true,
+        senderId: socket.user.id,
+        readBy: [socket.user.id],
+        attachments: files.attachments,
+        clientId,
+        ...reply.fields
+      });
+
+      const stored = await saveOnce(groupMsg);
+      if (stored !== groupMsg) return stored.toObject();
+      recordSent(text);
+      await claimAttachments(files.ids, groupMsg);
+      io.to(group.conversation).emit('message', groupMsg.toObject());
+      metrics?.countMessage('group');
+      await recordThreadReply(groupMsg);
+      notify(groupMsg.toObject(), { group });
+      logger.info(`Group message from ${socket.user.username} in ${group.name} (${group.id}): ${text}`);
+      return groupMsg.toObject();
+    };
+
+    // Everything a slash command may need (see ../commands). `user` is the socket's entry for the room
+    // the command was typed in; `joinedRooms` lists all of them.
+    const commandContext = (user) => ({
+      io,
+      socket,
+      presence,
+      moderation,
+      actor: socket.user,
+      user,
+      joinedRooms,
+      room: user.room,
+      reply: (text) => socket.emit('message', botMessage(text, user.room)),
+      announce: (text) => io.to(user.room).emit('message', botMessage(text, user.room)),
+      postRoomMessage: (fields) => postRoomMessage(user, fields),
+      postPrivateMessage: (recipient, fields) => postPrivateMessage(user, recipient, fields)
+    });
+
+    // Public Message
+    // Accepts plain text, or { text, parentId, replyMode, attachmentIds } to reply in a thread,
+    // quote a message, or send uploaded files. `room` says which of the socket's rooms it is for (it may
+    // be left out while the socket is in one room); queued clients also send `clientId`, so retries are stored once.
+    // Text starting with "/" is run as a command instead of being posted ("//" posts a literal "/").
+    // Acknowledges with the stored message, or { command } for commands.
+    socket.on('chatMessage', handle('chatMessage', async ({ text, parentId, replyMode, attachmentIds, clientId, room }) => {
+      const user = requireJoinedRoom(room);
+      if (isCommandLine(text)) {
+        return commands.run(commandContext(user), text);
+      }
+      return postRoomMessage(user, { text: unescapeCommandLine(text), parentId, replyMode, attachmentIds, clientId });
+    }));
+
+    // Slash commands and their arguments, for autocomplete in the message box.
+    // Each carries its `minRole`; the server checks it again when the command runs.
+    socket.on('listCommands', handle('listCommands', async () => commands.list()));
+
+    // Load Older Messages (socket equivalent of GET /api/rooms/:room/messages)
+    // Only for rooms the user may read (see Room.findReadable): not private rooms they aren't in, nor rooms they are banned from.
+    socket.on('loadMessages', handle('loadMessages', async ({ room, before, limit }) => {
+      await Room.findReadable(room, socket.user.id);
+      const page = await Message.findPage({ room, isPrivate: false, ...Message.TIMELINE_FILTER }, { before, limit });
+      return { room, ...page };
+    }));
+
+    // Missed Messages
+    // Everything in `room`, the user's DMs and their groups that was sent, edited or deleted after `since` (oldest first).
+    // `hasMore` means the gap was too long to catch up on and the client should reload the room instead.
+    // Refused for rooms the user may no longer read, e.g. after a ban (see Room.findReadable).
+    socket.on('syncMessages', handle('syncMessages', async ({ room, since }) => {
+      await Room.findReadable(room, socket.user.id);
+      const messages = await Message.find({
+        $and: [
+          { $or: [{ room, isPrivate: false }, Message.privateTo(socket.user.id, await Group.conversationsOf(socket.user.id))] },
+          { $or: [{ timestamp: { $gt: since } }, { editedAt: { $gt: since } }, { deletedAt: { $gt: since } }] }
+        ]
+      }).sort({ timestamp: 1 }).limit(MAX_SYNC_MESSAGES + 1);
+      return {
+        room,
+        messages: messages.slice(0, MAX_SYNC_MESSAGES).map(msg => msg.toObject()),
+        hasMore: messages.length > MAX_SYNC_MESSAGES
+      };
+    }));
+
+    // Typing, optionally with { room } (see findJoinedRoom()). The room is passed on after the username.
+    // Over the rate limit, typing updates are dropped silently: a notice for each would be its own flood
+    socket.on('typing', (payload) => {
+      const user = findJoinedRoom(payload?.room);
+      if (user && limiter.allows('typing', socket.user.id)) {
+        socket.to(user.room).emit('typing', user.username, user.room);
+      }
+    });
+
+    // Stop Typing
+    socket.on('stopTyping', (payload) => {
+      const user = findJoinedRoom(payload?.room);
+      if (user && limiter.allows('stopTyping', socket.user.id)) {
+        socket.to(user.room).emit('stopTyping', user.username, user.room);
+      }
+    });
+
+    // Load a message the current user is allowed to edit or delete: their own, or any message for site
+    // moderators. Room owners and moderators may also delete (not edit) other people's messages in their room.
+    // Already-deleted messages are only returned when `allowDeleted` is set (so repeated deletes succeed).
+    const findModifiableMessage = async (messageId, action, { allowDeleted = false } = {}) => {
+      const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+      if (!message || (message.deletedAt && !allowDeleted)) {
+        throw clientError('That message no longer exists.', 404);
+      }
+      const isAllowed = message.senderId === socket.user.id || socket.user.role === 'moderator' ||
+        (action === 'delete' && await moderation.canDeleteMessage(socket.user, message));
+      if (!isAllowed) {
+        throw clientError(`You can only ${action} your own messages.`, 403);
+      }
+      return message;
+    };
+
+    // Edit Message
+    // Acknowledges with the updated message. Re-sending the same text is a no-op.
+    socket.on('editMessage', handle('editMessage', async ({ messageId, text }) => {
+      const message = await findModifiableMessage(messageId, 'edit');
+      if (message.text === text) return message.toObject();
+
+      message.applyEdit(text);
+      await message.save();
+      conversationTarget(message).emit('messageUpdated', message.toObject());
+      logger.info(`Message ${messageId} edited by ${socket.user.username}`);
+      return message.toObject();
+    }));
+
+    // Delete Message (soft delete, leaves a tombstone in place)
+    // Quotes of the message lose its text and a thread's reply count goes down; both are broadcast too.
+    // Acknowledges with the tombstone. Deleting an already deleted message is a no-op.
+    socket.on('deleteMessage', handle('deleteMessage', async ({ messageId }) => {
+      const message = await findModifiableMessage(messageId, 'delete', { allowDeleted: true });
+      if (message.deletedAt) return message.toObject();
+
+      message.softDelete(socket.user.id);
+      await message.save();
+      if (message.senderId !== socket.user.id) await moderation.recordMessageDeletion(socket.user, message);
+      conversationTarget(message).emit('messageUpdated', message.toObject());
+      for (const updated of await Message.releaseReferences(message)) {
+        conversationTarget(updated).emit('messageUpdated', updated.toObject());
+      }
+      logger.info(`Message ${messageId} deleted by ${socket.user.username}`);
+      return message.toObject();
+    }));
+
+    // React to Message
+    // { messageId, emoji, action: 'add' | 'remove' } for any room or private message the user can see.
+    // Adding a reaction twice, or removing one that isn't there, is a no-op. Acknowledges with the message.
+    socket.on('reactToMessage', handle('reactToMessage', async ({ messageId, emoji, action }) => {
+      const user = { userId: socket.user.id, username: socket.user.username };
+      const message = await Message.findById(messageId);
+      const canSee = message && !message.deletedAt && (message.isPrivate
+        ? await message.isVisibleTo(user.userId)
+        : Boolean(findJoinedRoom(message.room)));
+      if (!canSee) {
+        throw clientError('That message is not available.', 404);
+      }
+
+      if (!message.setReaction(emoji, user, action === 'add')) return message.toObject();
+
+      await message.save();
+      conversationTarget(message).emit('messageUpdated', message.toObject());
+      logger.info(`${user.username} ${action === 'add' ? 'added' : 'removed'} reaction ${emoji} on message ${messageId}`);
+      return message.toObject();
+    }));
+
+    // Private Message
+    // `recipientId` is the recipient's account ID, so they can be offline and still receive it on their next join
+    // `parentId`/`replyMode`/`clientId` work the same way as for room messages. Acknowledges with the stored message.
+    // DMs don't belong to a room, so they can be sent without joining one.
+    socket.on('privateMessage', handle('privateMessage', async ({ recipientId, message: msgText, parentId, replyMode, attachmentIds, clientId }) => {
+      const sender = { userId: socket.user.id, username: socket.user.username };
+      const recipient = await User.findById(recipientId);
+
+      if (!recipient) {
+        throw clientError('Invalid sender or recipient for private message.');
+      }
+      return postPrivateMessage(sender, recipient, { text: msgText, parentId, replyMode, attachmentIds, clientId });
+    }));
+
+    // Group Message
+    // { groupId, message } plus the same reply, attachment and `clientId` fields as a DM, for a group the
+    // user is in. Acknowledges with the stored message.
+    socket.on('groupMessage', handle('groupMessage', async ({ groupId, message: msgText, parentId, replyMode, attachmentIds, clientId }) => {
+      const group = await groups.findGroup(groupId, socket.user);
+      return postGroupMessage(group, { text: msgText, parentId, replyMode, attachmentIds, clientId });
+    }));
+
+    // Kick, ban, mute, roles and pins
+    moderation.register(socket, handle);
+
+    // Creating private groups, renaming them and changing who is in them
+    groups.register(socket, handle);
+
+    // Read cursors, unread counts and read receipts
+    readState.register(socket, handle);
+
+    // Muting conversations and subscribing browsers to push notifications
+    notifications.register(socket, handle);
+
+    // Tell the remaining occupants of `room` (on any node) that `username` left
+    const announceDeparture = async (room, username) => {
+      const currentRoomUsers = await moderation.listRoomUsers(room);
+      if (currentRoomUsers.length > 0) {
+        io.to(room).emit('message', botMessage(`${username} has left the chat.`, room));
+        io.to(room).emit('roomUsers', currentRoomUsers, room);
+      } else {
+        logger.info(`Room ${room} is now empty after ${username} left.`);
+      }
+    };
+
+    // Removes the socket from `rooms` (its presence entries) and announces it in each
+    const leaveRooms = async (rooms, reason) => {
+      for (const user of rooms) {
+        delete socket.data.rooms[user.room];
+        socket.leave(user.room);
+        await presence.remove(socket.id, user.room);
+        logger.info(`${user.username} (${socket.id}) ${reason} room: ${user.room}`);
+        await announceDeparture(user.room, user.username);
+      }
+      if (rooms.length) await broadcastOccupancy();
+      return rooms.length > 0;
+    };
+
+    // Leave Room
+    // Takes `room` off the user's room list and out of all of their tabs; the other tabs get `roomLeft`.
+    // Without `room`, leaves the only room this socket is in.
+    socket.on('leaveRoom', handle('leaveRoom', async ({ room }) => {
+      const rooms = joinedRooms(); // Nothing to announce if a moderator already removed us
+      if (room === undefined && rooms.length > 1) throw clientError('You are in several rooms. Say which one to leave.');
+      const leaving = room ?? rooms[0]?.room;
+      if (!leaving) return;
+
+      await Membership.updateOne({ room: leaving, userId: socket.user.id }, { joinedAt: null });
+      const otherTabs = (await presence.listRoom(leaving)).filter(entry => entry.userId === socket.user.id && entry.id !== socket.id);
+      await Promise.all(otherTabs.map(entry => presence.remove(entry.id, leaving)));
+      io.in(userChannel(socket.user.id)).except(socket.id).socketsLeave(leaving);
+      socket.to(userChannel(socket.user.id)).emit('roomLeft', { room: leaving });
+
+      const left = await leaveRooms(rooms.filter(entry => entry.room === leaving), 'explicitly left');
+      if (!left && otherTabs.length) {
+        logger.info(`${socket.user.username} (${socket.id}) explicitly left room: ${leaving}`);
+        await announceDeparture(leaving, socket.user.username);
+        await broadcastOccupancy();
+      }
+    }));
+
+    // Socket.IO empties socket.rooms before 'disconnect' fires, so check for a moderator's removal now
+    socket.on('disconnecting', () => {
+      joinedRooms();
+    });
+
+    // Disconnect
+    socket.on('disconnect', () => {
+      const cleanup = leaveRooms(Object.values(socket.data.rooms), 'disconnected from')
+        .then(wasInRoom => {
+          if (!wasInRoom) logger.info(`User disconnected: ${socket.id} (not in a room)`);
+        })
+        .catch(error => logger.error(`Presence cleanup failed for ${socket.id}: ${error.message}`));
+      inFlight?.track(cleanup);
+    });
+  });
+};
+
+module.exports = { registerSocketHandlers, botMessage, userChannel, privateRoomKey };
@@ -0,0 +1,264 @@
+// server/sockets/moderation.js
+const Membership = require('../models/Membership');
+const AuditLog = require('../models/AuditLog');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { clientError } = require('./handler');
+const { botMessage, userChannel } = require('./channels');
+
+const { ROLE_RANK } = Membership;
+
+// "45 minutes", "3 hours", "2 days"
+const describeDuration = (ms) => {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  if (minutes < 120) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} hours`;
+  return `${Math.round(minutes / (24 * 60))} days`;
+};
+
+// Room roles and moderation: owners, moderators and members, bans, mutes, kicks and pinned messages.
+// Every action is written to the audit log (models/AuditLog.js).
+// Kicked and banned users are removed from presence and from the Socket.IO room by whichever instance
+// handles the moderator's request; the adapter relays the removal to instances holding their sockets.
+const createModeration = ({ io, presence, broadcastOccupancy }) => {
+  // Room occupants with their role, for the user list
+  const listRoomUsers = async (room) => {
+    const users = await presence.listRoom(room);
+    if (!users.length) return users;
+    const memberships = await Membership.find({ room, userId: { $in: users.map(user => user.userId) } });
+    const byUser = new Map(memberships.map(membership => [membership.userId, membership]));
+    return users.map(user => ({
+      ...user,
+      role: byUser.get(user.userId)?.role || 'member',
+      mutedUntil: byUser.get(user.userId)?.isMuted() ? byUser.get(user.userId).mutedUntil : null
+    }));
+  };
+
+  const refreshRoom = async (room) => {
+    io.to(room).emit('roomUsers', await listRoomUsers(room), room);
+    await broadcastOccupancy();
+  };
+
+  // The room's catalog entry plus its pinned messages (deleted ones drop out), for the room header
+  const roomInfo = async (roomDoc) => {
+    const pinned = await Message.find({ _id: { $in: roomDoc.pinnedMessageIds }, deletedAt: null });
+    const byId = new Map(pinned.map(message => [String(message._id), message]));
+    return {
+      ...roomDoc.toJSON(),
+      pinnedMessages: roomDoc.pinnedMessageIds.map(id => byId.get(String(id))).filter(Boolean).map(message => message.toObject())
+    };
+  };
+
+  const rankIn = async (room, user) => Membership.rankOf(await Membership.findOne({ room, userId: user.id }), user.role);
+
+  // Record a user joining a room (their first join makes them a member) and turn away banned users
+  const admit = async (roomDoc, user) => {
+    const membership = await Membership.ensure(roomDoc, user);
+    if (membership.isBanned()) {
+      const remaining = membership.bannedUntil ? ` for another ${describeDuration(membership.bannedUntil - Date.now())}` : '';
+      throw clientError(`You are banned from ${roomDoc.name}${remaining}.`, 403);
+    }
+    return membership;
+  };
+
+  const assertNotMuted = async (room, user) => {
+    const membership = await Membership.findOne({ room, userId: user.id });
+    if (membership?.isMuted()) {
+      throw clientError(`You are muted in ${room} for another ${describeDuration(membership.mutedUntil - Date.now())}.`, 403);
+    }
+  };
+
+  // Room owners and moderators may delete any message in their room; site moderators any message at all
+  const canDeleteMessage = async (user, message) => {
+    if (user.role === 'moderator') return true;
+    return !message.isPrivate && await rankIn(message.room, user) >= ROLE_RANK.moderator;
+  };
+
+  const recordMessageDeletion = (actor, message) => AuditLog.record({
+    room: message.room,
+    action: 'deleteMessage',
+    actor,
+    target: { userId: message.senderId, username: message.username },
+    messageId: message._id
+  });
+
+  // Load what an action against `targetUserId` needs, and check the actor may take it: they need at
+  // least `minRank` in the room and must outrank the target. Returns { roomDoc, membership, target }.
+  const authorize = async (actor, room, targetUserId, minRank = ROLE_RANK.moderator) => {
+    const roomDoc = await Room.findOne({ name: room });
+    if (!roomDoc || roomDoc.archivedAt) throw clientError(`The ${room} room does not exist.`, 404);
+
+    const actorRank = await rankIn(room, actor);
+    if (actorRank < minRank) {
+      throw clientError(minRank >= ROLE_RANK.owner ? `Only the owner of ${room} can do that.` : `You are not a moderator of ${room}.`, 403);
+    }
+
+    const targetUser = await User.findById(targetUserId);
+    if (!targetUser) throw clientError('That user does not exist.', 404);
+    if (targetUser.id === actor.id) throw clientError('You cannot do that to yourself.');
+
+    const membership = await Membership.ensure(roomDoc, targetUser);
+    if (Membership.rankOf(membership, targetUser.role) >= actorRank) {
+      throw clientError(`You cannot moderate ${targetUser.username}.`, 403);
+    }
+    return { roomDoc, membership, target: { userId: targetUser.id, username: targetUser.username } };
+  };
+
+  // Take every socket of the target out of the room, on any instance, and tell their clients why.
+  // The room also comes off their room list, so their next session does not rejoin it.
+  const removeFromRoom = async (room, target, notice) => {
+    await Membership.updateOne({ room, userId: target.userId }, { joinedAt: null });
+    const entries = (await presence.listRoom(room)).filter(entry => entry.userId === target.userId);
+    await Promise.all(entries.map(entry => presence.remove(entry.id, room)));
+    io.in(userChannel(target.userId)).socketsLeave(room);
+    io.to(userChannel(target.userId)).emit('removedFromRoom', { room, ...notice });
+  };
+
+  const announce = (room, text) => io.to(room).emit('message', botMessage(text, room));
+
+  // Moderation actions taken by `actor` (socket.user: { id, username, role }). Each returns the affected
+  // membership, or the room info for pins. Used by the socket events below and by the moderation commands.
+  const actions = {
+    kick: async (actor, { room, userId, reason }) => {
+      const { membership, target } = await authorize(actor, room, userId);
+      await removeFromRoom(room, target, { action: 'kick', by: actor.username, reason });
+      await AuditLog.record({ room, action: 'kick', actor, target, reason });
+
+      announce(room, `${target.username} was removed from the room by ${actor.username}.`);
+      await refreshRoom(room);
+      logger.info(`${actor.username} kicked ${target.username} from ${room}`);
+      return membership.toJSON();
+    },
+
+    // Without `minutes` the ban lasts until it is lifted
+    ban: async (actor, { room, userId, minutes, reason }) => {
+      const { membership, target } = await authorize(actor, room, userId);
+      membership.bannedAt = new Date();
+      membership.bannedUntil = minutes ? new Date(Date.now() + minutes * 60000) : null;
+      await membership.save();
+      await removeFromRoom(room, target, { action: 'ban', by: actor.username, reason, until: membership.bannedUntil });
+      await AuditLog.record({ room, action: 'ban', actor, target, reason, details: { until: membership.bannedUntil } });
+
+      const duration = minutes ? ` for ${describeDuration(minutes * 60000)}` : '';
+      announce(room, `${target.username} was banned from the room by ${actor.username}${duration}.`);
+      await refreshRoom(room);
+      logger.info(`${actor.username} banned ${target.username} from ${room}${duration}`);
+      return membership.toJSON();
+    },
+
+    unban: async (actor, { room, userId }) => {
+      const { membership, target } = await authorize(actor, room, userId);
+      if (!membership.bannedAt) return membership.toJSON();
+
+      membership.bannedAt = null;
+      membership.bannedUntil = null;
+      await membership.save();
+      await AuditLog.record({ room, action: 'unban', actor, target });
+      logger.info(`${actor.username} lifted the ban on ${target.username} in ${room}`);
+      return membership.toJSON();
+    },
+
+    mute: async (actor, { room, userId, minutes, reason }) => {
+      const { membership, target } = await authorize(actor, room, userId);
+      membership.mutedUntil = new Date(Date.now() + minutes * 60000);
+      await membership.save();
+      await AuditLog.record({ room, action: 'mute', actor, target, reason, details: { until: membership.mutedUntil } });
+
+      announce(room, `${target.username} was muted by ${actor.username} for ${describeDuration(minutes * 60000)}.`);
+      await refreshRoom(room);
+      logger.info(`${actor.username} muted ${target.username} in ${room} for ${minutes} minutes`);
+      return membership.toJSON();
+    },
+
+    unmute: async (actor, { room, userId }) => {
+      const { membership, target } = await authorize(actor, room, userId);
+      if (!membership.isMuted()) return membership.toJSON();
+
+      membership.mutedUntil = null;
+      await membership.save();
+      await AuditLog.record({ room, action: 'unmute', actor, target });
+
+      announce(room, `${target.username} was unmuted by ${actor.username}.`);
+      await refreshRoom(room);
+      logger.info(`${actor.username} unmuted ${target.username} in ${room}`);
+      return membership.toJSON();
+    },
+
+    // Owners appoint and remove moderators. Ownership itself cannot be handed over this way.
+    setRole: async (actor, { room, userId, role }) => {
+      const { membership, target } = await authorize(actor, room, userId, ROLE_RANK.owner);
+      if (membership.role === role) return membership.toJSON();
+
+      membership.role = role;
+      await membership.save();
+      await AuditLog.record({ room, action: 'setRole', actor, target, details: { role } });
+
+      announce(room, role === 'moderator'
+        ? `${target.username} is now a moderator of ${room}.`
+        : `${target.username} is no longer a moderator of ${room}.`);
+      await refreshRoom(room);
+      logger.info(`${actor.username} made ${target.username} a ${role} of ${room}`);
+      return membership.toJSON();
+    },
+
+    // Pin a room message to the room header, or unpin it. Everyone in the room gets the new roomInfo.
+    pin: async (actor, { messageId, action }) => {
+      const message = await Message.findById(messageId);
+      if (!message || message.deletedAt || message.isPrivate) {
+        throw clientError('That message is not available.', 404);
+      }
+      if (await rankIn(message.room, actor) < ROLE_RANK.moderator) {
+        throw clientError(`You are not a moderator of ${message.room}.`, 403);
+      }
+
+      const roomDoc = await Room.findOne({ name: message.room });
+      if (!roomDoc) throw clientError('That message is not available.', 404);
+      const isPinned = roomDoc.pinnedMessageIds.some(id => id.equals(message._id));
+      if ((action === 'pin') === isPinned) return roomInfo(roomDoc);
+      if (action === 'pin' && roomDoc.pinnedMessageIds.length >= Room.MAX_PINNED_MESSAGES) {
+        throw clientError(`A room can have at most ${Room.MAX_PINNED_MESSAGES} pinned messages.`, 409);
+      }
+
+      if (action === 'pin') {
+        roomDoc.pinnedMessageIds.push(message._id);
+      } else {
+        roomDoc.pinnedMessageIds.pull(message._id);
+      }
+      await roomDoc.save();
+      await AuditLog.record({
+        room: roomDoc.name,
+        action,
+        actor,
+        target: { userId: message.senderId, username: message.username },
+        messageId: message._id
+      });
+
+      const info = await roomInfo(roomDoc);
+      io.to(roomDoc.name).emit('roomInfo', info);
+      logger.info(`${actor.username} ${action === 'pin' ? 'pinned' : 'unpinned'} message ${messageId} in ${roomDoc.name}`);
+      return info;
+    }
+  };
+
+  // Moderation events for one socket, acknowledged with the action's result
+  const register = (socket, handle) => {
+    const events = {
+      kickUser: 'kick',
+      banUser: 'ban',
+      unbanUser: 'unban',
+      muteUser: 'mute',
+      unmuteUser: 'unmute',
+      setRoomRole: 'setRole',
+      pinMessage: 'pin'
+    };
+    for (const [event, action] of Object.entries(events)) {
+      socket.on(event, handle(event, payload => actions[action](socket.user, payload)));
+    }
+  };
+
+  return { listRoomUsers, roomInfo, rankIn, admit, assertNotMuted, canDeleteMessage, recordMessageDeletion, actions, register };
+};
+
+module.exports = createModeration;
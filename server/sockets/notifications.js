@@ -0,0 +1,136 @@
+// server/sockets/notifications.js
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const ConversationMute = require('../models/ConversationMute');
+const PushSubscription = require('../models/PushSubscription');
+const logger = require('../utils/logger');
+const { clientError } = require('./handler');
+const { userChannel } = require('./channels');
+
+const MAX_MENTIONS = 20; // Per message; the rest of a long list of @names goes unnoticed
+const MAX_BODY_LENGTH = 140;
+
+// "@bob" anywhere but inside a word or an e-mail address. Usernames are letters, digits, "_", "." and "-"
+// (see ../validation/schemas), but a trailing "." or "-" is punctuation: "thanks @bob."
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_.-])@([\p{L}\p{N}_.-]+)/gu;
+
+const mentionedUsernames = (text) => {
+  const found = [...(text || '').matchAll(MENTION_PATTERN)].map(match => match[1].replace(/[.-]+$/, '')).filter(Boolean);
+  return [...new Set(found)].slice(0, MAX_MENTIONS);
+};
+
+const preview = (message) => {
+  const text = message.text ? `${message.isAction ? `* ${message.username} ` : ''}${message.text}` : 'Sent an attachment';
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 1)}…` : text;
+};
+
+// Notifications about DMs, and about @mentions in rooms and groups.
+// Recipients with a connected tab get a `notification` event on their user channel; the client shows it
+// as a desktop notification while the tab is hidden. Everyone else gets it by Web Push through `push`
+// (../push), when the server has VAPID keys. Conversations the recipient muted (models/ConversationMute.js)
+// send them nothing either way.
+// A notification is { kind: 'dm' | 'mention', conversation, messageId, senderId, username, title, body }, plus
+// `groupId` for mentions in a group.
+const createNotifications = ({ io, push }) => {
+  // Account IDs of the users `message` mentions who can read it: room members (on their room list,
+  // not banned) or members of `group`. The sender never notifies themselves.
+  const mentionedReaders = async (message, group) => {
+    const usernames = mentionedUsernames(message.text);
+    if (!usernames.length) return [];
+    const users = await User.find({ username: { $in: usernames } }).collation({ locale: 'en', strength: 2 });
+    const ids = users.map(user => user.id).filter(id => id !== message.senderId);
+    if (group) return ids.filter(id => group.hasMember(id));
+    if (message.isPrivate) return [];
+
+    const memberships = await Membership.find({ room: message.room, userId: { $in: ids }, joinedAt: { $ne: null } });
+    return memberships.filter(membership => !membership.isBanned()).map(membership => membership.userId);
+  };
+
+  // The recipients in `userIds` with at least one connected socket, on any instance
+  const connectedUsers = async (userIds) => {
+    const sockets = await io.in(userIds.map(userChannel)).fetchSockets();
+    return new Set(userIds.filter(id => sockets.some(socket => socket.rooms.has(userChannel(id)))));
+  };
+
+  const deliver = async (userIds, notification) => {
+    const muted = await ConversationMute.mutedBy(notification.conversation, userIds);
+    const recipients = userIds.filter(id => !muted.has(id));
+    if (!recipients.length) return;
+
+    const connected = await connectedUsers(recipients);
+    for (const id of connected) {
+      io.to(userChannel(id)).emit('notification', notification);
+    }
+    await push.send(recipients.filter(id => !connected.has(id)), notification);
+  };
+
+  // Notify whoever should hear about a new message (a stored Message, as an object). `group` is the Group a
+  // group message was sent in. Resolves once everyone is notified; callers don't wait for it.
+  const messageCreated = async (message, { group = null } = {}) => {
+    const common = {
+      conversation: message.room,
+      messageId: String(message.id),
+      senderId: message.senderId,
+      username: message.username,
+      body: preview(message)
+    };
+    const mentioned = await mentionedReaders(message, group);
+
+    if (message.recipientId) {
+      await deliver([message.recipientId], { ...common, kind: 'dm', title: message.username });
+    }
+    const others = mentioned.filter(id => id !== message.recipientId);
+    if (others.length) {
+      await deliver(others, {
+        ...common,
+        kind: 'mention',
+        title: `${message.username} mentioned you in ${group ? group.name : message.room}`,
+        ...(group ? { groupId: group.id } : {})
+      });
+    }
+  };
+
+  const actions = {
+    // The key browsers subscribe with (null while Web Push is off) and the conversations the user muted
+    async settings(actor) {
+      return { pushPublicKey: push.publicKey, muted: await ConversationMute.conversationsOf(actor.id) };
+    },
+
+    // The user's other tabs get `conversationMuted` so their toggles stay in step
+    async mute(actor, { conversation, muted }, socket) {
+      await ConversationMute.setMuted(actor.id, conversation, muted);
+      socket.to(userChannel(actor.id)).emit('conversationMuted', { conversation, muted });
+      logger.info(`${actor.username} ${muted ? 'muted' : 'unmuted'} notifications for ${conversation}`);
+      return { conversation, muted };
+    },
+
+    // `subscription` is the browser's PushSubscription as JSON: { endpoint, keys: { p256dh, auth } }
+    async subscribe(actor, subscription) {
+      if (!push.isEnabled) throw clientError('Push notifications are not enabled on this server.');
+      await PushSubscription.register(actor.id, subscription);
+      logger.info(`${actor.username} subscribed a browser to push notifications`);
+    },
+
+    // Called on logout, so the next person on the browser doesn't get the previous user's notifications
+    async unsubscribe(actor, { endpoint }) {
+      await PushSubscription.deleteOne({ endpoint, userId: actor.id });
+    }
+  };
+
+  // Notification events for one socket, acknowledged with the action's result
+  const register = (socket, handle) => {
+    const events = {
+      notificationSettings: 'settings',
+      muteConversation: 'mute',
+      subscribePush: 'subscribe',
+      unsubscribePush: 'unsubscribe'
+    };
+    for (const [event, action] of Object.entries(events)) {
+      socket.on(event, handle(event, payload => actions[action](socket.user, payload, socket)));
+    }
+  };
+
+  return { messageCreated, actions, register };
+};
+
+module.exports = createNotifications;
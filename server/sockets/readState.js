@@ -0,0 +1,107 @@
+// server/sockets/readState.js
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Membership = require('../models/Membership');
+const Room = require('../models/Room');
+const Group = require('../models/Group');
+const ReadCursor = require('../models/ReadCursor');
+const logger = require('../utils/logger');
+const { userChannel } = require('./channels');
+
+// DM keys name both participants: "dm:<id>:<id>" (see ./channels)
+const dmParticipants = (conversation) => (conversation.startsWith('dm:') ? conversation.slice(3).split(':') : null);
+
+// Read cursors (models/ReadCursor.js) and the unread counts worked out from them.
+// Clients report the newest message they have seen in each conversation, a batch at a time (`markRead`).
+// The reader's other tabs get `readCursor` with the new unread count; the conversation gets `messagesRead`
+// so senders can show read receipts, which are also stored in each message's `readBy`.
+const createReadState = ({ io }) => {
+  // Messages that count as unread for `userId` after `since` (null: all of them). Own messages,
+  // deleted messages and thread replies don't count.
+  const countUnread = (userId, conversation, since) => Message.countDocuments({
+    room: conversation,
+    senderId: { $ne: userId },
+    deletedAt: null,
+    ...Message.TIMELINE_FILTER,
+    ...(since ? { timestamp: { $gt: since } } : {})
+  }, { limit: ReadCursor.MAX_UNREAD_COUNT });
+
+  // Every room on the user's room list, every DM they are part of and every group they are in:
+  // { [conversation]: { unread, lastReadAt } }. Rooms and groups without a cursor count from when the user joined.
+  const unreadCounts = async (userId) => {
+    const [memberships, dmKeys, groups, cursors] = await Promise.all([
+      Membership.find({ userId, joinedAt: { $ne: null } }),
+      Message.distinct('room', Message.privateTo(userId)),
+      Group.find({ 'members.userId': userId }),
+      ReadCursor.find({ userId })
+    ]);
+    const cursorFor = new Map(cursors.map(cursor => [cursor.conversation, cursor]));
+    const conversations = new Map([
+      ...memberships.filter(membership => !membership.isBanned()).map(membership => [membership.room, membership.joinedAt]),
+      ...dmKeys.map(key => [key, null]),
+      ...groups.map(group => [group.conversation, group.members.find(member => member.userId === userId).addedAt])
+    ]);
+
+    const entries = await Promise.all([...conversations].map(async ([conversation, joinedAt]) => {
+      const lastReadAt = cursorFor.get(conversation)?.lastReadAt || joinedAt;
+      return [conversation, { unread: await countUnread(userId, conversation, lastReadAt), lastReadAt }];
+    }));
+    return Object.fromEntries(entries);
+  };
+
+  // Move `user`'s cursors forward. `cursors` is [{ room, messageId }]: the newest message seen per
+  // conversation. Unknown messages and conversations the user can't see (DMs of others, groups they
+  // aren't in, rooms they are banned from or aren't a member of when private) are skipped.
+  // Resolves with [{ room, unread, lastReadAt }] for the cursors that moved.
+  const markRead = async (user, cursors) => {
+    const ids = cursors.map(cursor => cursor.messageId).filter(id => mongoose.isValidObjectId(id));
+    const messages = new Map((await Message.find({ _id: { $in: ids } })).map(message => [message.id, message]));
+    const groups = cursors.some(cursor => Group.idFromConversation(cursor.room))
+      ? new Set(await Group.conversationsOf(user.id))
+      : new Set();
+    const moved = [];
+
+    for (const { room, messageId } of cursors) {
+      const message = messages.get(messageId);
+      const participants = dmParticipants(room);
+      if (!message || message.room !== room || (participants && !participants.includes(user.id))) continue;
+      if (Group.idFromConversation(room) && !groups.has(room)) continue;
+      if (!message.isPrivate && !(await Room.isReadableBy(room, user.id))) continue;
+
+      const advanced = await ReadCursor.advance(user.id, room, message);
+      if (!advanced) continue;
+
+      // Receipts for the messages read since the previous cursor (for a first cursor, just this one)
+      const readRange = advanced.previousReadAt ? { $gt: advanced.previousReadAt } : { $gte: message.timestamp };
+      await Message.updateMany(
+        { room, senderId: { $ne: user.id }, readBy: { $ne: user.id }, timestamp: { ...readRange, $lte: message.timestamp } },
+        { $addToSet: { readBy: user.id } }
+      );
+      // Group members' sockets are in the group's Socket.IO room, like room occupants
+      const receipts = participants ? io.to(participants.map(userChannel)) : io.to(room);
+      receipts.emit('messagesRead', { room, userId: user.id, readAt: message.timestamp });
+
+      const state = { room, unread: await countUnread(user.id, room, message.timestamp), lastReadAt: message.timestamp };
+      io.to(userChannel(user.id)).emit('readCursor', state);
+      moved.push(state);
+    }
+
+    if (moved.length) logger.info(`${user.username} read up to date in ${moved.map(state => state.room).join(', ')}`);
+    return moved;
+  };
+
+  // Read-state events for one socket
+  const register = (socket, handle) => {
+    socket.on('markRead', handle('markRead', ({ cursors }) => markRead(socket.user, cursors)));
+    socket.on('unreadCounts', handle('unreadCounts', () => unreadCounts(socket.user.id)));
+
+    // Older clients report each message on its own
+    socket.on('messageRead', handle('messageRead', async ({ messageId, roomId }) => {
+      await markRead(socket.user, [{ room: roomId, messageId }]);
+    }));
+  };
+
+  return { unreadCounts, markRead, register };
+};
+
+module.exports = createReadState;
@@ -0,0 +1,23 @@
+// server/storage/index.js
+const createLocalDiskStorage = require('./localDisk');
+
+// Storage adapters all expose the same interface:
+//   save({ buffer, originalName, mimeType }) -> Promise<{ key, size }>
+//   exists(key) -> Promise<boolean>
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise<void>
+// Add a new backend (S3, GCS, ...) by registering a factory here and selecting it with STORAGE_DRIVER.
+// `options.directory` is where the local driver keeps files (UPLOAD_DIR).
+const drivers = {
+  local: ({ directory }) => createLocalDiskStorage({ directory })
+};
+
+const createStorage = (driver, options = {}) => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,54 @@
+// server/storage/localDisk.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keys are random names we generate ourselves, so anything else is rejected outright.
+// This keeps user-supplied keys from escaping the upload directory.
+const KEY_PATTERN = /^[a-f0-9-]{36}(\.[a-z0-9]{1,10})?$/;
+
+// Stores uploads as plain files in a local directory. Works offline and in tests.
+const createLocalDiskStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+  fs.mkdirSync(root, { recursive: true });
+
+  const resolveKey = (key) => {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) return null;
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+
+    async save({ buffer, originalName }) {
+      const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 11);
+      const key = `${crypto.randomUUID()}${ext.length > 1 ? ext : ''}`;
+      await fs.promises.writeFile(path.join(root, key), buffer, { flag: 'wx' });
+      return { key, size: buffer.length };
+    },
+
+    async exists(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) return false;
+      try {
+        await fs.promises.access(filePath);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) throw new Error('Invalid storage key.');
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      const filePath = resolveKey(key);
+      if (filePath) await fs.promises.rm(filePath, { force: true });
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
@@ -0,0 +1,531 @@
+// server/tests/app.test.js
+// Builds the whole server with createApp() against an in-memory MongoDB and drives it with real
+// socket.io-client connections: joining and leaving rooms (several at once), room, private and group messages, read cursors
+// and receipts, notifications, disconnects and who may read which room, plus the HTTP side (health checks, registration).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Message = require('../models/Message');
+const Membership = require('../models/Membership');
+const Room = require('../models/Room');
+const ReadCursor = require('../models/ReadCursor');
+const { createAuth } = require('../middleware/auth');
+const { loadConfig } = require('../config');
+const { createApp } = require('../app');
+const { waitFor, collect, createUser, connect: connectSocket } = require('./helpers');
+
+const JWT_SECRET = 'test-secret';
+const { signToken } = createAuth({ secret: JWT_SECRET });
+
+const names = users => users.map(user => user.username).sort();
+
+const authHeader = user => ({ Authorization: `Bearer ${signToken(user)}` });
+
+describe('chat server built with createApp()', () => {
+  let mongo;
+  let chat;
+  let url;
+  let alice;
+  let bob;
+  let carol;
+  let uploadDir;
+  const clients = [];
+
+  const connect = (user, options = {}) => connectSocket(url, { auth: user ? { token: signToken(user) } : {}, clients, ...options });
+
+  // Joins `room` and waits for the ack, so the server has finished the join before the test goes on
+  const join = async (socket, room) => {
+    const response = await socket.emitWithAck('joinRoom', { room });
+    expect(response).toEqual({ ok: true, data: { room } });
+    return response;
+  };
+
+  beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+    [alice, bob, carol] = await Promise.all([createUser('alice'), createUser('bob'), createUser('carol')]);
+
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-uploads-'));
+    chat = createApp({
+      db: mongoose.connection,
+      config: loadConfig({ ...process.env, NODE_ENV: 'test', MONGO_URI: mongo.getUri(), JWT_SECRET, UPLOAD_DIR: uploadDir }),
+      exit: () => {}
+    });
+    await new Promise(resolve => chat.server.listen(0, resolve));
+    url = `http://localhost:${chat.server.address().port}`;
+    await chat.start();
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(socket => socket.disconnect());
+  });
+
+  afterAll(async () => {
+    if (chat) await chat.shutdown('tests finished');
+    await mongoose.disconnect();
+    if (mongo) await mongo.stop();
+    if (uploadDir) fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('HTTP', () => {
+    test('/healthz and /readyz report a running server connected to MongoDB', async () => {
+      const health = await fetch(`${url}/healthz`);
+      const ready = await fetch(`${url}/readyz`);
+
+      expect(health.status).toBe(200);
+      expect(ready.status).toBe(200);
+      expect(await ready.json()).toEqual({ status: 'ready', state: 'running', mongo: 'connected' });
+    });
+
+    test('registering returns a token that the socket handshake accepts', async () => {
+      const response = await fetch(`${url}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'dave', password: 'password123' })
+      });
+      const { token, user } = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(user.username).toBe('dave');
+      const socket = await connect(null, { auth: { token } });
+      expect(socket.connected).toBe(true);
+    });
+
+    test('uploaded files can be downloaded, and a file that cannot be read is an error rather than a crash', async () => {
+      const upload = async (name, contents) => {
+        const form = new FormData();
+        form.append('file', new Blob([contents], { type: 'text/plain' }), name);
+        const response = await fetch(`${url}/api/uploads`, { method: 'POST', headers: authHeader(alice), body: form });
+        expect(response.status).toBe(201);
+        return (await response.json()).attachment;
+      };
+
+      const notes = await upload('notes.txt', 'Remember the milk');
+      const download = await fetch(`${url}/api/uploads/${notes.key}`);
+      expect(download.status).toBe(200);
+      expect(download.headers.get('content-disposition')).toBe("attachment; filename*=UTF-8''notes.txt");
+      expect(await download.text()).toBe('Remember the milk');
+
+      // Still there as far as the storage check goes, but reading it fails
+      const broken = await upload('broken.txt', 'Soon unreadable');
+      fs.rmSync(path.join(uploadDir, broken.key));
+      fs.mkdirSync(path.join(uploadDir, broken.key));
+      const failed = await fetch(`${url}/api/uploads/${broken.key}`);
+      expect(failed.status).toBe(500);
+      expect(failed.headers.get('content-type')).toMatch(/^application\/json/);
+      expect((await fetch(`${url}/healthz`)).status).toBe(200);
+
+      expect((await fetch(`${url}/api/uploads/00000000-0000-0000-0000-000000000000.txt`)).status).toBe(404);
+    });
+
+    test('rooms can be changed by their owners, not by every member', async () => {
+      const request = (user, method, body) => fetch(`${url}/api/rooms${method === 'POST' ? '' : '/Ownership'}`, {
+        method,
+        headers: { ...authHeader(user), 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      expect((await request(alice, 'POST', { name: 'Ownership' })).status).toBe(201);
+      await join(await connect(bob), 'Ownership');
+
+      const refused = await request(bob, 'PATCH', { topic: 'Taken over' });
+      expect(refused.status).toBe(403);
+      expect(await refused.json()).toEqual(expect.objectContaining({ message: 'Only the owner of Ownership can change this room.' }));
+
+      expect((await request(alice, 'PATCH', { topic: 'Plans' })).status).toBe(200);
+      await Membership.updateOne({ room: 'Ownership', userId: bob.id }, { role: 'owner' });
+      const changed = await request(bob, 'PATCH', { visibility: 'private' });
+      expect(changed.status).toBe(200);
+      expect((await changed.json()).room).toEqual(expect.objectContaining({ topic: 'Plans', visibility: 'private' }));
+    });
+
+    test('unknown routes answer 404 through the error handler', async () => {
+      const response = await fetch(`${url}/api/nothing-here`);
+
+      expect(response.status).toBe(404);
+      expect(await response.json()).toEqual(expect.objectContaining({ message: 'Not Found' }));
+    });
+  });
+
+  describe('sockets', () => {
+    test('a handshake without a valid token is rejected', async () => {
+      await expect(connect(null)).rejects.toThrow();
+      await expect(connect(null, { auth: { token: 'not-a-token' } })).rejects.toThrow();
+    });
+
+    test('joining a room sends the greeting, history and occupants, and tells the others', async () => {
+      const aliceSocket = await connect(alice);
+      await join(aliceSocket, 'General');
+
+      const bobSocket = await connect(bob);
+      const aliceSeesBob = waitFor(aliceSocket, 'message', msg => msg.text === 'bob has joined the chat.');
+      const welcome = waitFor(bobSocket, 'message', msg => msg.text.startsWith('Welcome to the General'));
+      const history = waitFor(bobSocket, 'roomMessages');
+      const occupants = waitFor(bobSocket, 'roomUsers', users => users.length === 2);
+      await join(bobSocket, 'General');
+
+      expect((await welcome).room).toBe('General');
+      expect((await history).room).toBe('General');
+      expect(names(await occupants)).toEqual(['alice', 'bob']);
+      await aliceSeesBob;
+    });
+
+    test('leaving a room updates the occupants and announces it', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Leaving');
+      await join(bobSocket, 'Leaving');
+
+      const announcement = waitFor(aliceSocket, 'message', msg => msg.text === 'bob has left the chat.');
+      const occupants = waitFor(aliceSocket, 'roomUsers', users => users.length === 1);
+      expect(await bobSocket.emitWithAck('leaveRoom')).toEqual({ ok: true, data: null });
+
+      await announcement;
+      expect(names(await occupants)).toEqual(['alice']);
+      expect(names(await chat.presence.listRoom('Leaving'))).toEqual(['alice']);
+    });
+
+    test('room messages are stored and broadcast to that room only', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      const carolSocket = await connect(carol);
+      await join(aliceSocket, 'Sports');
+      await join(bobSocket, 'Sports');
+      await join(carolSocket, 'Music');
+
+      const bobReceives = waitFor(bobSocket, 'message', msg => msg.username === 'alice');
+      const carolReceives = collect(carolSocket, 'message');
+      const response = await aliceSocket.emitWithAck('chatMessage', 'Kick-off at eight');
+      const message = await bobReceives;
+
+      expect(response).toEqual({ ok: true, data: expect.objectContaining({ text: 'Kick-off at eight', room: 'Sports' }) });
+      expect(message.id).toBe(response.data.id);
+      expect(await carolReceives).toEqual([]);
+      expect(await Message.countDocuments({ room: 'Sports', text: 'Kick-off at eight' })).toBe(1);
+    });
+
+    test('a socket can be in several rooms at once, and the room list outlives the session', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Lobby');
+      await join(aliceSocket, 'Lounge');
+      await join(bobSocket, 'Lobby');
+      await join(bobSocket, 'Lounge');
+
+      const inLobby = waitFor(aliceSocket, 'message', msg => msg.text === 'In the lobby');
+      const inLounge = waitFor(aliceSocket, 'message', msg => msg.text === 'In the lounge');
+      expect(await bobSocket.emitWithAck('chatMessage', 'Where does this go?')).toEqual({ ok: false, error: expect.stringMatching(/several rooms/) });
+      await bobSocket.emitWithAck('chatMessage', { text: 'In the lobby', room: 'Lobby' });
+      await bobSocket.emitWithAck('chatMessage', { text: 'In the lounge', room: 'Lounge' });
+      expect((await inLobby).room).toBe('Lobby');
+      expect((await inLounge).room).toBe('Lounge');
+      expect(names(await chat.presence.listRoom('Lobby'))).toEqual(['alice', 'bob']);
+
+      // Another session gets the list back; leaving there takes the room off the list and out of this tab
+      const aliceElsewhere = await connect(alice);
+      expect((await aliceElsewhere.emitWithAck('listJoinedRooms')).data).toEqual(expect.arrayContaining(['Lobby', 'Lounge']));
+      const roomLeft = waitFor(aliceSocket, 'roomLeft');
+      const bobSeesAliceLeave = waitFor(bobSocket, 'message', msg => msg.text === 'alice has left the chat.' && msg.room === 'Lounge');
+      await aliceElsewhere.emitWithAck('leaveRoom', { room: 'Lounge' });
+
+      expect(await roomLeft).toEqual({ room: 'Lounge' });
+      await bobSeesAliceLeave;
+      expect(names(await chat.presence.listRoom('Lounge'))).toEqual(['bob']);
+      const { data: rooms } = await aliceElsewhere.emitWithAck('listJoinedRooms');
+      expect(rooms).toContain('Lobby');
+      expect(rooms).not.toContain('Lounge');
+    });
+
+    test('sending before joining a room is rejected', async () => {
+      const aliceSocket = await connect(alice);
+      const response = await aliceSocket.emitWithAck('chatMessage', { text: 'Hello?' });
+
+      expect(response).toEqual({ ok: false, error: expect.stringMatching(/rejoin/) });
+    });
+
+    test('deleting a message blanks the quotes of it and takes a thread reply off the count', async () => {
+      const aliceSocket = await connect(alice);
+      await join(aliceSocket, 'Deletions');
+      const send = async (fields) => (await aliceSocket.emitWithAck('chatMessage', { room: 'Deletions', ...fields })).data;
+      const parent = await send({ text: 'Launch is on Friday' });
+      const quote = await send({ text: 'Confirmed?', parentId: parent.id, replyMode: 'quote' });
+      const reply = await send({ text: 'In the thread', parentId: parent.id, replyMode: 'thread' });
+      expect((await Message.findById(parent.id)).replyCount).toBe(1);
+
+      const parentUpdated = waitFor(aliceSocket, 'messageUpdated', msg => msg.id === parent.id && msg.replyCount === 0);
+      expect((await aliceSocket.emitWithAck('deleteMessage', { messageId: reply.id })).ok).toBe(true);
+      await parentUpdated;
+      expect((await Message.findById(parent.id)).replyCount).toBe(0);
+
+      const quoteUpdated = waitFor(aliceSocket, 'messageUpdated', msg => msg.id === quote.id);
+      expect((await aliceSocket.emitWithAck('deleteMessage', { messageId: parent.id })).ok).toBe(true);
+      expect((await quoteUpdated).quote).toEqual({ username: 'alice', text: '' });
+      expect((await Message.findById(quote.id)).quote.text).toBe('');
+    });
+
+    test('slash commands that need a room role are refused to members and run for owners', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Commands'); // Created by alice, who owns it
+      await join(bobSocket, 'Commands');
+
+      expect(await bobSocket.emitWithAck('chatMessage', { room: 'Commands', text: '/kick alice' }))
+        .toEqual({ ok: false, error: 'Only room moderators can use /kick.' });
+
+      const announced = waitFor(aliceSocket, 'message', msg => msg.text === 'bob was removed from the room by alice.');
+      const response = await aliceSocket.emitWithAck('chatMessage', { room: 'Commands', text: '/kick @bob "off topic"' });
+      expect(response).toEqual(expect.objectContaining({ ok: true, data: expect.objectContaining({ command: 'kick' }) }));
+      await announced;
+    });
+
+    test('private messages reach only the recipient and the sender', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      const carolSocket = await connect(carol);
+      await join(aliceSocket, 'General');
+      await join(carolSocket, 'General');
+
+      const bobReceives = waitFor(bobSocket, 'message', msg => msg.isPrivate);
+      const aliceEcho = waitFor(aliceSocket, 'message', msg => msg.isPrivate);
+      const carolReceives = collect(carolSocket, 'message');
+      const response = await aliceSocket.emitWithAck('privateMessage', { recipientId: bob.id, message: 'Psst, bob' });
+
+      expect(response.ok).toBe(true);
+      const message = await bobReceives;
+      expect(message).toEqual(expect.objectContaining({ text: 'Psst, bob', senderId: alice.id, recipientId: bob.id }));
+      expect((await aliceEcho).id).toBe(message.id);
+      expect((await carolReceives).filter(msg => msg.isPrivate)).toEqual([]);
+    });
+
+    test('reading a message records the reader and sends a receipt', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Receipts');
+      await join(bobSocket, 'Receipts');
+      const { data: sent } = await aliceSocket.emitWithAck('chatMessage', 'Did you see this?');
+
+      const receipt = waitFor(aliceSocket, 'messagesRead', event => event.room === 'Receipts');
+      bobSocket.emit('messageRead', { messageId: sent.id, roomId: 'Receipts' });
+
+      expect(await receipt).toEqual({ room: 'Receipts', userId: bob.id, readAt: sent.timestamp });
+      expect((await Message.findById(sent.id)).readBy).toEqual([alice.id, bob.id]);
+    });
+
+    test('read cursors give unread counts per room and DM, and only move forward', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      const carolSocket = await connect(carol);
+      await join(aliceSocket, 'Unread');
+      await join(bobSocket, 'Unread');
+      await join(carolSocket, 'Unread');
+      const { data: first } = await aliceSocket.emitWithAck('chatMessage', 'One');
+      const { data: second } = await aliceSocket.emitWithAck('chatMessage', 'Two');
+      const { data: dm } = await carolSocket.emitWithAck('privateMessage', { recipientId: bob.id, message: 'Three' });
+
+      const before = await bobSocket.emitWithAck('unreadCounts');
+      expect(before.data.Unread.unread).toBe(2);
+      expect(before.data[dm.room].unread).toBe(1);
+      expect((await aliceSocket.emitWithAck('unreadCounts')).data.Unread.unread).toBe(0); // Own messages don't count
+
+      const otherTab = await connect(bob);
+      const synced = waitFor(otherTab, 'readCursor', state => state.room === 'Unread');
+      const response = await bobSocket.emitWithAck('markRead', {
+        cursors: [{ room: 'Unread', messageId: second.id }, { room: dm.room, messageId: dm.id }]
+      });
+
+      expect(response.data).toEqual([
+        { room: 'Unread', unread: 0, lastReadAt: second.timestamp },
+        { room: dm.room, unread: 0, lastReadAt: dm.timestamp }
+      ]);
+      expect(await synced).toEqual({ room: 'Unread', unread: 0, lastReadAt: second.timestamp });
+
+      const stale = await bobSocket.emitWithAck('markRead', { cursors: [{ room: 'Unread', messageId: first.id }] });
+      expect(stale.data).toEqual([]);
+      const after = await bobSocket.emitWithAck('unreadCounts');
+      expect(after.data.Unread).toEqual({ unread: 0, lastReadAt: second.timestamp });
+    });
+
+    test('a DM cursor can only be moved by its participants', async () => {
+      const aliceSocket = await connect(alice);
+      const carolSocket = await connect(carol);
+      await join(aliceSocket, 'General');
+      const { data: dm } = await aliceSocket.emitWithAck('privateMessage', { recipientId: bob.id, message: 'Just for bob' });
+
+      const response = await carolSocket.emitWithAck('markRead', { cursors: [{ room: dm.room, messageId: dm.id }] });
+
+      expect(response.data).toEqual([]);
+      expect((await Message.findById(dm.id)).readBy).toEqual([alice.id]);
+    });
+
+    test('group messages reach only current members, and removed members lose the history', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      const carolSocket = await connect(carol);
+
+      const bobAdded = waitFor(bobSocket, 'groupUpdated');
+      const { data: group } = await aliceSocket.emitWithAck('createGroup', { name: 'Release crew', memberIds: [bob.id, carol.id] });
+      expect(group).toEqual(expect.objectContaining({ name: 'Release crew', ownerId: alice.id, conversation: `group:${group.id}` }));
+      expect((await bobAdded).id).toBe(group.id);
+
+      const bobReceives = waitFor(bobSocket, 'message', msg => msg.room === group.conversation);
+      const carolReceives = waitFor(carolSocket, 'message', msg => msg.room === group.conversation);
+      const { data: sent } = await aliceSocket.emitWithAck('groupMessage', { groupId: group.id, message: 'Ship it?' });
+      expect(sent).toEqual(expect.objectContaining({ isPrivate: true, room: group.conversation, text: 'Ship it?' }));
+      expect((await bobReceives).id).toBe(sent.id);
+      expect((await carolReceives).id).toBe(sent.id);
+
+      const carolRemoved = waitFor(carolSocket, 'groupLeft');
+      const { data: updated } = await aliceSocket.emitWithAck('removeGroupMember', { groupId: group.id, userId: carol.id });
+      expect(names(updated.members)).toEqual(['alice', 'bob']);
+      expect(await carolRemoved).toEqual({ groupId: group.id, conversation: group.conversation });
+
+      const carolGets = collect(carolSocket, 'message');
+      await aliceSocket.emitWithAck('groupMessage', { groupId: group.id, message: 'Just us now' });
+      expect(await carolGets).toEqual([]);
+      expect(await carolSocket.emitWithAck('groupMessage', { groupId: group.id, message: 'Hello?' }))
+        .toEqual({ ok: false, error: 'That group does not exist.' });
+      const thread = await fetch(`${url}/api/messages/${sent.id}/thread`, { headers: { Authorization: `Bearer ${signToken(carol)}` } });
+      expect(thread.status).toBe(404);
+      expect((await bobSocket.emitWithAck('unreadCounts')).data[group.conversation].unread).toBe(2);
+    });
+
+    test('DMs and mentions notify their recipients, except in conversations they muted', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      const carolSocket = await connect(carol);
+      await join(aliceSocket, 'Mentions');
+      await join(bobSocket, 'Mentions');
+
+      // carol is mentioned too, but isn't in the room
+      const bobMentioned = waitFor(bobSocket, 'notification');
+      const carolHears = collect(carolSocket, 'notification');
+      const { data: mention } = await aliceSocket.emitWithAck('chatMessage', { room: 'Mentions', text: 'Over to you @Bob (and @carol, and mail@alice.dev).' });
+      expect(await bobMentioned).toEqual({
+        kind: 'mention',
+        conversation: 'Mentions',
+        messageId: mention.id,
+        senderId: alice.id,
+        username: 'alice',
+        title: 'alice mentioned you in Mentions',
+        body: 'Over to you @Bob (and @carol, and mail@alice.dev).'
+      });
+      expect(await carolHears).toEqual([]);
+
+      const carolNotified = waitFor(carolSocket, 'notification');
+      const { data: dm } = await aliceSocket.emitWithAck('privateMessage', { recipientId: carol.id, message: 'Lunch?' });
+      expect(await carolNotified).toEqual(expect.objectContaining({ kind: 'dm', conversation: dm.room, title: 'alice', body: 'Lunch?' }));
+
+      expect(await bobSocket.emitWithAck('muteConversation', { conversation: 'Mentions', muted: true }))
+        .toEqual({ ok: true, data: { conversation: 'Mentions', muted: true } });
+      expect((await bobSocket.emitWithAck('notificationSettings')).data).toEqual({ pushPublicKey: null, muted: ['Mentions'] });
+      const bobHears = collect(bobSocket, 'notification');
+      await aliceSocket.emitWithAck('chatMessage', { room: 'Mentions', text: '@bob?' });
+      expect(await bobHears).toEqual([]);
+
+      // No VAPID keys in the test config, so browsers can't subscribe
+      expect(await bobSocket.emitWithAck('subscribePush', { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'BKey', auth: 'secret' } }))
+        .toEqual({ ok: false, error: 'Push notifications are not enabled on this server.' });
+    });
+
+    test('/metrics counts a room message once it is stored, and times its handler', async () => {
+      // The value of one sample in the Prometheus text format (0 before it is first recorded)
+      const scrape = async (sample) => {
+        const response = await fetch(`${url}/metrics`);
+        expect(response.status).toBe(200);
+        const line = (await response.text()).split('\n').find(text => text.startsWith(`${sample} `));
+        return line ? Number(line.slice(sample.length + 1)) : 0;
+      };
+      const roomMessages = 'chat_messages_total{kind="room"}';
+      const handled = 'chat_socket_handler_duration_seconds_count{event="chatMessage",outcome="ok"}';
+
+      const aliceSocket = await connect(alice);
+      await join(aliceSocket, 'Metrics');
+      const before = { messages: await scrape(roomMessages), handled: await scrape(handled) };
+
+      expect((await aliceSocket.emitWithAck('chatMessage', { room: 'Metrics', text: 'Counted' })).ok).toBe(true);
+      expect(await scrape(roomMessages)).toBe(before.messages + 1);
+      expect(await scrape(handled)).toBe(before.handled + 1);
+    });
+
+    test('disconnecting removes the user from the room and tells the others', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Disconnects');
+      await join(bobSocket, 'Disconnects');
+
+      const announcement = waitFor(aliceSocket, 'message', msg => msg.text === 'bob has left the chat.');
+      const occupants = waitFor(aliceSocket, 'roomUsers', users => users.length === 1);
+      bobSocket.disconnect();
+
+      await announcement;
+      expect(names(await occupants)).toEqual(['alice']);
+      expect((await chat.presence.roomCounts()).Disconnects).toBe(1);
+    });
+  });
+
+  describe('room access', () => {
+    test('search and message context leave out private rooms the caller is not a member of', async () => {
+      await Message.init(); // The text index must exist before searching
+      await Room.create({ name: 'Skunkworks', visibility: 'private', createdBy: alice._id });
+      const aliceSocket = await connect(alice);
+      await join(aliceSocket, 'Skunkworks');
+      const { data: secret } = await aliceSocket.emitWithAck('chatMessage', { room: 'Skunkworks', text: 'The hovercraft roadmap' });
+
+      const search = async (user) => (await (await fetch(`${url}/api/search?q=hovercraft`, { headers: authHeader(user) })).json()).results;
+      expect((await search(alice)).map(result => result.message.id)).toEqual([secret.id]);
+      expect(await search(bob)).toEqual([]);
+
+      const context = await fetch(`${url}/api/messages/${secret.id}/context`, { headers: authHeader(bob) });
+      expect(context.status).toBe(404);
+    });
+
+    test('the history of a private room is only for its members', async () => {
+      await Room.create({ name: 'Back office', visibility: 'private', createdBy: alice._id });
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Back office');
+      await aliceSocket.emitWithAck('chatMessage', { room: 'Back office', text: 'Members only' });
+
+      const history = user => fetch(`${url}/api/rooms/${encodeURIComponent('Back office')}/messages`, { headers: authHeader(user) });
+      expect((await (await history(alice)).json()).messages.map(msg => msg.text)).toEqual(['Members only']);
+      const refused = await history(bob);
+      expect(refused.status).toBe(403);
+      expect(await refused.json()).toEqual(expect.objectContaining({ message: 'You are not a member of Back office.' }));
+      expect(await bobSocket.emitWithAck('loadMessages', { room: 'Back office' }))
+        .toEqual({ ok: false, error: 'You are not a member of Back office.' });
+    });
+
+    test('a banned user can no longer load or sync the room history', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Banned history'); // Created by alice, who owns it
+      await join(bobSocket, 'Banned history');
+      expect((await aliceSocket.emitWithAck('banUser', { room: 'Banned history', userId: bob.id })).ok).toBe(true);
+      await aliceSocket.emitWithAck('chatMessage', { room: 'Banned history', text: 'Now that bob is gone' });
+
+      const refused = { ok: false, error: 'You are banned from Banned history.' };
+      expect(await bobSocket.emitWithAck('loadMessages', { room: 'Banned history' })).toEqual(refused);
+      expect(await bobSocket.emitWithAck('syncMessages', { room: 'Banned history', since: new Date(0).toISOString() })).toEqual(refused);
+      const history = await fetch(`${url}/api/rooms/${encodeURIComponent('Banned history')}/messages`, { headers: authHeader(bob) });
+      expect(history.status).toBe(403);
+    });
+
+    test('a banned user cannot mark the room read', async () => {
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+      await join(aliceSocket, 'Banned receipts');
+      await join(bobSocket, 'Banned receipts');
+      const { data: sent } = await aliceSocket.emitWithAck('chatMessage', { room: 'Banned receipts', text: 'Before the ban' });
+      expect((await aliceSocket.emitWithAck('banUser', { room: 'Banned receipts', userId: bob.id })).ok).toBe(true);
+
+      const receipts = collect(aliceSocket, 'messagesRead');
+      const response = await bobSocket.emitWithAck('markRead', { cursors: [{ room: 'Banned receipts', messageId: sent.id }] });
+
+      expect(response).toEqual({ ok: true, data: [] });
+      expect(await receipts).toEqual([]);
+      expect((await Message.findById(sent.id)).readBy).toEqual([alice.id]);
+      expect(await ReadCursor.exists({ userId: bob.id, conversation: 'Banned receipts' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// server/tests/commands.test.js
+// The slash command parser and registry, run with a stand-in for the context ../sockets builds.
+// Needs no database: nothing here reaches a command that queries MongoDB.
+// Commands that need a room role are also run over a real socket in app.test.js.
+const Membership = require('../models/Membership');
+const { parseArgs, parseDuration } = require('../commands/args');
+const { createCommandRegistry, isCommandLine, unescapeCommandLine } = require('../commands');
+
+const { ROLE_RANK } = Membership;
+
+// Resolves with the message and status of the clientError `promise` rejects with
+const failure = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return { message: error.message, status: error.status };
+  }
+  throw new Error('Expected a failure');
+};
+
+describe('command lines', () => {
+  test('"/" and a name start a command; "//" escapes a message starting with "/"', () => {
+    expect(['/me waves', '/help', '/W bob hi'].every(isCommandLine)).toBe(true);
+    expect(['//me waves', '/ me', '/', 'hello /me', '', null].some(isCommandLine)).toBe(false);
+    expect(unescapeCommandLine('//shrug')).toBe('/shrug');
+    expect(unescapeCommandLine('hello')).toBe('hello');
+  });
+
+  test('durations are minutes, hours, days or weeks', () => {
+    expect(['30', '10m', '2h', '1D', '1w'].map(parseDuration)).toEqual([30, 10, 120, 1440, 10080]);
+    expect(['0', '0h', '-5', '1y', 'soon', ''].map(parseDuration)).toEqual([null, null, null, null, null, null]);
+  });
+});
+
+describe('parseArgs', () => {
+  const ban = {
+    usage: '/ban <user> [duration] [reason]',
+    args: [{ name: 'user', type: 'user' }, { name: 'minutes', type: 'duration', optional: true }, { name: 'reason', type: 'text', optional: true }]
+  };
+  const nick = { usage: '/nick <name>', args: [{ name: 'name', type: 'word' }] };
+
+  const usageError = command => expect.objectContaining({ message: `Usage: ${command.usage}`, status: 400 });
+  const errorOf = (command, input) => {
+    try {
+      parseArgs(command, input);
+    } catch (error) {
+      return error;
+    }
+    throw new Error(`Expected "${input}" to be refused`);
+  };
+
+  test('words, users, durations and the text left over', () => {
+    expect(parseArgs(ban, '@bob 1d   keeps  spamming ')).toEqual({ user: 'bob', minutes: 1440, reason: 'keeps  spamming' });
+    expect(parseArgs(ban, 'bob')).toEqual({ user: 'bob' });
+  });
+
+  test('an optional duration is skipped when the next word is not one', () => {
+    expect(parseArgs(ban, 'bob spamming again')).toEqual({ user: 'bob', reason: 'spamming again' });
+  });
+
+  test('quoted arguments keep their spaces; quotes in text are left as typed', () => {
+    expect(parseArgs(nick, '"  new name "')).toEqual({ name: '  new name ' });
+    expect(parseArgs(ban, '"@bob" 2h said "hi" to everyone')).toEqual({ user: 'bob', minutes: 120, reason: 'said "hi" to everyone' });
+    expect(parseArgs(ban, 'bob "not a duration"')).toEqual({ user: 'bob', reason: '"not a duration"' });
+  });
+
+  test('an unclosed quote or a quote run into the next word is refused', () => {
+    expect(errorOf(nick, '"new name')).toEqual(expect.objectContaining({ message: 'Missing a closing quote. Usage: /nick <name>', status: 400 }));
+    expect(errorOf(nick, '"new"name')).toEqual(usageError(nick));
+  });
+
+  test('missing and left-over arguments are refused with the usage', () => {
+    expect(errorOf(ban, '')).toEqual(usageError(ban));
+    expect(errorOf(nick, '""')).toEqual(usageError(nick));
+    expect(errorOf(nick, 'alice bob')).toEqual(usageError(nick));
+  });
+
+  test('a required duration must be one', () => {
+    const mute = { usage: '/mute <user> <duration>', args: [{ name: 'user', type: 'user' }, { name: 'minutes', type: 'duration' }] };
+    expect(errorOf(mute, 'bob later')).toEqual(expect.objectContaining({ message: '"later" is not a duration. Use for example 10m, 2h or 1d.' }));
+    expect(errorOf(mute, 'bob')).toEqual(usageError(mute));
+  });
+});
+
+describe('command registry', () => {
+  const registry = createCommandRegistry();
+
+  // What ../sockets passes to a command, reduced to what these tests reach
+  const createContext = (role = 'member') => {
+    const replies = [];
+    const posted = [];
+    return {
+      replies,
+      posted,
+      actor: { id: 'alice-id', username: 'alice', role: 'user' },
+      room: 'General',
+      reply: text => replies.push(text),
+      postRoomMessage: async (fields) => {
+        posted.push(fields);
+        return { id: 'message-id', ...fields };
+      },
+      moderation: { rankIn: async () => ROLE_RANK[role] }
+    };
+  };
+
+  test('runs a command by name or alias, whatever the case', async () => {
+    const ctx = createContext();
+    expect(await registry.run(ctx, '/ME waves')).toEqual({ command: 'me', result: { id: 'message-id', text: 'waves', isAction: true } });
+    expect(ctx.posted).toEqual([{ text: 'waves', isAction: true }]);
+    expect(registry.get('w')).toBe(registry.get('msg'));
+  });
+
+  test('an unknown command is a 404 pointing at /help', async () => {
+    expect(await failure(registry.run(createContext(), '/frobnicate now'))).toEqual({
+      message: 'Unknown command /frobnicate. Type /help to see the commands.',
+      status: 404
+    });
+  });
+
+  test('a command run without its arguments answers with its usage', async () => {
+    expect(await failure(registry.run(createContext(), '/me'))).toEqual({ message: 'Usage: /me <action>', status: 400 });
+    expect(await failure(registry.run(createContext('moderator'), '/mute bob'))).toEqual({
+      message: 'Usage: /mute <user> <duration> [reason]',
+      status: 400
+    });
+  });
+
+  test('commands above the user\'s room role are refused before anything runs', async () => {
+    expect(await failure(registry.run(createContext('member'), '/kick bob'))).toEqual({ message: 'Only room moderators can use /kick.', status: 403 });
+    expect(await failure(registry.run(createContext('moderator'), '/mod bob'))).toEqual({ message: 'Only room owners can use /mod.', status: 403 });
+  });
+
+  test('/help lists only the commands the user may run, and explains one', async () => {
+    const member = createContext('member');
+    await registry.run(member, '/help');
+    expect(member.replies[0]).toContain('/me <action>');
+    expect(member.replies[0]).not.toContain('/kick');
+
+    const owner = createContext('owner');
+    await registry.run(owner, '/help');
+    expect(owner.replies[0]).toContain('/kick <user> [reason]');
+    expect(owner.replies[0]).toContain('/mod <user>');
+
+    await registry.run(member, '/help /msg');
+    expect(member.replies[1]).toBe('/msg <user> <message>: Send someone a private message. Also: /w.');
+  });
+
+  test('command names must be unique', () => {
+    const echo = { name: 'echo', aliases: ['say'], usage: '/echo <text>', description: 'Echo', args: [], run: () => null };
+    expect(() => createCommandRegistry([echo, { ...echo, name: 'say', aliases: [] }])).toThrow('Two commands are called /say');
+  });
+});
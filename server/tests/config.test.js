@@ -0,0 +1,189 @@
+// server/tests/config.test.js
+const http = require('http');
+const express = require('express');
+const { loadConfig, ConfigError, createOriginMatcher } = require('../config');
+const { createCorsPolicy } = require('../middleware/cors');
+
+const validEnv = {
+  MONGO_URI: 'mongodb://localhost:27017/chat',
+  JWT_SECRET: 'test-secret'
+};
+
+// The problems listed by loadConfig() for `env`, or [] when it loads
+const problemsFor = (env) => {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    return error.problems;
+  }
+};
+
+describe('loadConfig', () => {
+  test('applies defaults for everything optional', () => {
+    const config = loadConfig(validEnv);
+
+    expect(config).toEqual(expect.objectContaining({
+      nodeEnv: 'development',
+      port: 5000,
+      mongoUri: validEnv.MONGO_URI,
+      jwtSecret: validEnv.JWT_SECRET,
+      jwtExpiresIn: '7d',
+      clientOrigins: ['http://localhost:3000'],
+      presenceStore: 'memory',
+      uploadMaxBytes: 10 * 1024 * 1024,
+      shutdownTimeoutMs: 10000,
+      webhookAllowedHosts: [],
+      push: null
+    }));
+    expect(config.uploadAllowedTypes).toContain('image/png');
+    expect(config.uploadDir).toMatch(/uploads$/);
+    expect(config.socketRateLimits.chatMessage).toEqual({ capacity: 8, perSecond: 1 });
+  });
+
+  test('empty values count as unset', () => {
+    expect(loadConfig({ ...validEnv, PORT: '', CLIENT_ORIGIN: '' }).port).toBe(5000);
+  });
+
+  test('reads and converts the values it is given', () => {
+    const config = loadConfig({
+      ...validEnv,
+      NODE_ENV: 'production',
+      PORT: '8080',
+      CLIENT_ORIGIN: 'https://chat.example.com/, https://*.example.org',
+      TRUST_PROXY: '1',
+      UPLOAD_ALLOWED_TYPES: 'image/png, text/plain',
+      SOCKET_RATE_LIMITS: '{"chatMessage":{"capacity":2,"perSecond":1}}',
+      WEBHOOK_ALLOWED_HOSTS: 'localhost, Hooks.Internal'
+    });
+
+    expect(config.port).toBe(8080);
+    expect(config.clientOrigins).toEqual(['https://chat.example.com', 'https://*.example.org']);
+    expect(config.trustProxy).toBe(1);
+    expect(config.uploadAllowedTypes).toEqual(['image/png', 'text/plain']);
+    expect(config.socketRateLimits.chatMessage).toEqual({ capacity: 2, perSecond: 1 });
+    expect(config.socketRateLimits.typing).toEqual({ capacity: 10, perSecond: 2 });
+    expect(config.webhookAllowedHosts).toEqual(['localhost', 'hooks.internal']);
+  });
+
+  test('lists every problem at once, one line per variable', () => {
+    const problems = problemsFor({
+      PORT: 'eighty',
+      MONGO_URI: 'localhost:27017',
+      UPLOAD_MAX_BYTES: '-5',
+      HTTP_RATE_LIMITS: '{not json'
+    });
+
+    expect(problems).toEqual([
+      'PORT: must be a port number',
+      'MONGO_URI: must start with mongodb:// or mongodb+srv://',
+      'JWT_SECRET: is required to sign login tokens',
+      'UPLOAD_MAX_BYTES: must be a number of bytes',
+      expect.stringMatching(/^HTTP_RATE_LIMITS is not valid JSON/)
+    ]);
+  });
+
+  test('the error message names the bad variables', () => {
+    expect(() => loadConfig({})).toThrow(/Invalid configuration:\n {2}- MONGO_URI: is required/);
+  });
+
+  test('production requires CLIENT_ORIGIN', () => {
+    expect(problemsFor({ ...validEnv, NODE_ENV: 'production' })).toEqual([
+      expect.stringMatching(/^CLIENT_ORIGIN: is required in production/)
+    ]);
+  });
+
+  test('rejects entries that are not origins', () => {
+    expect(problemsFor({ ...validEnv, CLIENT_ORIGIN: 'https://chat.example.com,chat.example.com,https://example.com/app' })).toEqual([
+      expect.stringMatching(/^CLIENT_ORIGIN: "chat.example.com", "https:\/\/example.com\/app" are not origins/)
+    ]);
+  });
+
+  test('rejects unknown drivers and bad durations', () => {
+    expect(problemsFor({ ...validEnv, PRESENCE_STORE: 'redis', JWT_EXPIRES_IN: 'a week' })).toEqual([
+      'JWT_EXPIRES_IN: must be a duration such as 7d, 12h or 3600 (seconds)',
+      'PRESENCE_STORE: must be "memory" or "mongo"'
+    ]);
+  });
+
+  test('Web Push needs the whole VAPID key pair and a subject', () => {
+    const keys = {
+      VAPID_PUBLIC_KEY: 'BGHyO1NQfYjM2Dg5VT-NTw7o_PFOeklwSz8dy6FBjb33SCSPE9Qw7AYof8Wlkc8mnt_oT0ZUevTKwFvM5WjtKsw',
+      VAPID_PRIVATE_KEY: 'LZecRvTBxXotDB2-lMyfMTNAICWkeeACkG-8XwxsRJ0'
+    };
+
+    expect(loadConfig({ ...validEnv, ...keys, VAPID_SUBJECT: 'mailto:ops@example.com' }).push).toEqual({
+      publicKey: keys.VAPID_PUBLIC_KEY,
+      privateKey: keys.VAPID_PRIVATE_KEY,
+      subject: 'mailto:ops@example.com'
+    });
+    expect(problemsFor({ ...validEnv, VAPID_PUBLIC_KEY: keys.VAPID_PUBLIC_KEY })).toEqual([
+      'VAPID_PRIVATE_KEY: is required to send Web Push notifications',
+      'VAPID_SUBJECT: is required to send Web Push notifications'
+    ]);
+    expect(problemsFor({ ...validEnv, VAPID_PUBLIC_KEY: keys.VAPID_PRIVATE_KEY, VAPID_PRIVATE_KEY: keys.VAPID_PRIVATE_KEY, VAPID_SUBJECT: 'ops@example.com' })).toEqual([
+      'VAPID_PUBLIC_KEY: must be a 65-byte key in URL-safe base64',
+      'VAPID_SUBJECT: must be a mailto: or https:// URL where push services can reach you'
+    ]);
+  });
+});
+
+describe('origin allowlist', () => {
+  const isAllowed = createOriginMatcher(['https://chat.example.com', 'https://*.example.org', 'http://localhost:3000']);
+
+  test.each([
+    ['https://chat.example.com', true],
+    ['https://CHAT.example.com', true],
+    ['http://chat.example.com', false],
+    ['https://chat.example.com:8443', false],
+    ['https://app.example.org', true],
+    ['https://a.b.example.org', true],
+    ['https://example.org', false],
+    ['https://evilexample.org', false],
+    ['https://app.example.org.evil.io', false],
+    ['http://localhost:3000', true],
+    ['http://localhost:3001', false]
+  ])('%s -> %s', (origin, expected) => {
+    expect(isAllowed(origin)).toBe(expected);
+  });
+
+  test('"*" allows any origin', () => {
+    expect(createOriginMatcher(['*'])('https://anywhere.io')).toBe(true);
+  });
+});
+
+describe('CORS policy', () => {
+  let server;
+  let url;
+  const logger = { warn: jest.fn() };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(createCorsPolicy({ origins: ['https://chat.example.com'], logger }).http);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}/api/rooms/General`;
+  });
+
+  afterAll(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+  });
+
+  const preflight = origin => fetch(url, {
+    method: 'OPTIONS',
+    headers: { origin, 'access-control-request-method': 'PATCH' }
+  });
+
+  test('preflights from an allowed origin cover every method the REST API uses', async () => {
+    const response = await preflight('https://chat.example.com');
+    expect(response.headers.get('access-control-allow-origin')).toBe('https://chat.example.com');
+    expect(response.headers.get('access-control-allow-methods').split(',')).toEqual(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+  });
+
+  test('other origins get no CORS headers', async () => {
+    const response = await preflight('https://evil.example.net');
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Rejected HTTP request from origin https://evil.example.net (not in CLIENT_ORIGIN)');
+  });
+});
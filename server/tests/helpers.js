@@ -0,0 +1,49 @@
+// server/tests/helpers.js
+// Helpers shared by the suites that talk to a running server over Socket.IO. Not a test file itself:
+// Jest only runs files ending in .test.js.
+const { io: connectClient } = require('socket.io-client');
+const User = require('../models/User');
+
+// Resolves with the first `event` payload matching `predicate`
+const waitFor = (socket, event, predicate = () => true, timeoutMs = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    reject(new Error(`Timed out waiting for "${event}"`));
+  }, timeoutMs);
+  const listener = (payload) => {
+    if (!predicate(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  };
+  socket.on(event, listener);
+});
+
+// Resolves with every `event` payload received within `ms` (to check that nothing arrives)
+const collect = (socket, event, ms = 300) => new Promise((resolve) => {
+  const received = [];
+  const listener = payload => received.push(payload);
+  socket.on(event, listener);
+  setTimeout(() => {
+    socket.off(event, listener);
+    resolve(received);
+  }, ms);
+});
+
+const createUser = async (username) => {
+  const user = new User({ username });
+  await user.setPassword('password123');
+  return user.save();
+};
+
+// Connects a client to the server at `url` over WebSocket, without reconnecting, and resolves once it is
+// connected. The socket is added to `clients` first, so the suite can disconnect it even if the
+// handshake was refused. Other options are passed to socket.io-client.
+const connect = (url, { clients, ...options } = {}) => new Promise((resolve, reject) => {
+  const socket = connectClient(url, { transports: ['websocket'], reconnection: false, ...options });
+  clients?.push(socket);
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+module.exports = { waitFor, collect, createUser, connect };
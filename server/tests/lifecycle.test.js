@@ -0,0 +1,180 @@
+// server/tests/lifecycle.test.js
+// Connecting with retries, and graceful shutdown against stand-ins for the HTTP server, Socket.IO and
+// MongoDB that record what happens to them. Needs no database.
+const mongoose = require('mongoose');
+const { connectWithRetry, createShutdown, createInFlightTracker } = require('../lifecycle');
+const { createSocketHandler } = require('../sockets/handler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('connectWithRetry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries until MongoDB answers', async () => {
+    const connect = jest.spyOn(mongoose, 'connect')
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce(mongoose);
+
+    await expect(connectWithRetry('mongodb://db/chat', { options: { monitorCommands: true }, initialDelayMs: 5 })).resolves.toBe(mongoose);
+    expect(connect).toHaveBeenCalledTimes(3);
+    expect(connect).toHaveBeenLastCalledWith('mongodb://db/chat', { monitorCommands: true });
+  });
+
+  test('gives up with the last error once the server is shutting down', async () => {
+    let stopping = false;
+    const connect = jest.spyOn(mongoose, 'connect').mockImplementation(async () => {
+      if (connect.mock.calls.length === 2) stopping = true; // Shutdown starts during the second attempt
+      throw new Error(`attempt ${connect.mock.calls.length} failed`);
+    });
+
+    await expect(connectWithRetry('mongodb://db/chat', { shouldStop: () => stopping, initialDelayMs: 5 }))
+      .rejects.toThrow('attempt 2 failed');
+    expect(connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops after the wait when shutdown begins between attempts', async () => {
+    const connect = jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('connect ECONNREFUSED'));
+    let stopping = false;
+    setTimeout(() => { stopping = true; }, 20);
+
+    await expect(connectWithRetry('mongodb://db/chat', { shouldStop: () => stopping, initialDelayMs: 50 }))
+      .rejects.toThrow('connect ECONNREFUSED');
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createInFlightTracker', () => {
+  test('drain() waits for tracked work, including work started while waiting', async () => {
+    const inFlight = createInFlightTracker();
+    const finished = [];
+    inFlight.track(sleep(20).then(() => {
+      finished.push('first');
+      inFlight.track(sleep(20).then(() => finished.push('second')));
+    }));
+    inFlight.track(Promise.reject(new Error('handler failed'))).catch(() => {});
+    expect(inFlight.size).toBe(2);
+
+    await inFlight.drain();
+    expect(finished).toEqual(['first', 'second']);
+    expect(inFlight.size).toBe(0);
+  });
+});
+
+describe('createShutdown', () => {
+  // Everything shutdown touches, logging what happens to it in `events`
+  const createFakes = ({ closers = [] } = {}) => {
+    const events = [];
+    const inFlight = createInFlightTracker();
+    const exit = jest.fn(code => events.push(`exit ${code}`));
+    const server = { close: (done) => { events.push('http stops listening'); setTimeout(done, 5); } };
+    const io = {
+      local: {
+        emit: (event, payload) => events.push(`${event} ${payload.reconnectInMs}`),
+        disconnectSockets: () => {
+          events.push('sockets disconnected');
+          // A disconnect starts presence cleanup, which shutdown waits for too
+          inFlight.track(sleep(10).then(() => events.push('presence cleaned up')));
+        }
+      },
+      close: (done) => { events.push('socket.io closed'); done(); }
+    };
+    const connection = { readyState: 1, close: async () => events.push('mongodb closed') };
+    return { events, inFlight, exit, server, io, connection, closers };
+  };
+
+  test('stops taking traffic, lets running handlers finish, then closes everything in order', async () => {
+    const fakes = createFakes({
+      closers: [async () => { await sleep(5); fakes.events.push('webhooks closed'); }, async () => fakes.events.push('presence closed')]
+    });
+    const shutdown = createShutdown({ ...fakes, timeoutMs: 1000 });
+    fakes.inFlight.track(sleep(30).then(() => fakes.events.push('handler finished')));
+
+    await shutdown.shutdown('SIGTERM');
+
+    expect(fakes.events).toEqual([
+      'http stops listening',
+      'serverShutdown 2000',
+      'handler finished',
+      'sockets disconnected',
+      'presence cleaned up',
+      'socket.io closed',
+      'webhooks closed',
+      'presence closed',
+      'mongodb closed',
+      'exit 0'
+    ]);
+    expect(shutdown.isShuttingDown()).toBe(true);
+  });
+
+  test('socket events that arrive once shutdown has started are refused, while running ones finish', async () => {
+    const fakes = createFakes();
+    const socket = { id: 'socket-1', user: { id: 'alice-id', username: 'alice' } };
+    const notify = jest.fn();
+    const handle = createSocketHandler(socket, notify, { inFlight: fakes.inFlight });
+    const handler = jest.fn(async () => {
+      await sleep(30);
+      fakes.events.push('handler finished');
+      return 'stored';
+    });
+    const acks = [];
+
+    const running = handle('sendMessage', handler)({ text: 'first' }, ack => acks.push(ack));
+    const shutdown = createShutdown({ ...fakes, timeoutMs: 1000 }).shutdown('SIGTERM');
+    await handle('sendMessage', handler)({ text: 'too late' }, ack => acks.push(ack));
+    handle('sendMessage', handler)({ text: 'no ack' });
+    await Promise.all([running, shutdown]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(acks).toEqual([{ ok: false, error: 'Server unavailable' }, { ok: true, data: 'stored' }]);
+    expect(notify).toHaveBeenCalledWith('Server unavailable');
+    expect(fakes.events.indexOf('handler finished')).toBeLessThan(fakes.events.indexOf('sockets disconnected'));
+  });
+
+  test('a second call waits for the first instead of starting over', async () => {
+    const fakes = createFakes();
+    const { shutdown } = createShutdown({ ...fakes, timeoutMs: 1000 });
+
+    const first = shutdown('SIGTERM');
+    expect(shutdown('SIGINT', 1)).toBe(first);
+    await first;
+    expect(fakes.exit.mock.calls).toEqual([[0]]);
+  });
+
+  test('a clean shutdown clears its timeout, so exit is called only once', async () => {
+    const fakes = createFakes();
+    const { shutdown } = createShutdown({ ...fakes, timeoutMs: 50 });
+
+    await shutdown('tests finished');
+    await sleep(100);
+    expect(fakes.exit.mock.calls).toEqual([[0]]);
+  });
+
+  test('a shutdown that takes longer than the timeout exits with code 1', async () => {
+    const fakes = createFakes({ closers: [() => new Promise(() => {})] }); // Never finishes
+    const { shutdown } = createShutdown({ ...fakes, timeoutMs: 50 });
+
+    shutdown('SIGTERM');
+    await sleep(100);
+    expect(fakes.exit.mock.calls).toEqual([[1]]);
+  });
+
+  test('a step that fails exits with code 1', async () => {
+    const fakes = createFakes({ closers: [async () => { throw new Error('store unreachable'); }] });
+    const { shutdown } = createShutdown({ ...fakes, timeoutMs: 1000 });
+
+    await shutdown('SIGTERM');
+    expect(fakes.exit.mock.calls).toEqual([[1]]);
+    expect(fakes.events).not.toContain('mongodb closed');
+  });
+
+  test('a MongoDB connection that never came up is not closed', async () => {
+    const fakes = createFakes();
+    fakes.connection.readyState = 2; // Still connecting
+    await createShutdown({ ...fakes, timeoutMs: 1000 }).shutdown('startup failure', 1);
+    expect(fakes.events).not.toContain('mongodb closed');
+    expect(fakes.exit.mock.calls).toEqual([[1]]);
+  });
+});
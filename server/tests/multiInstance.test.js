@@ -0,0 +1,153 @@
+// server/tests/multiInstance.test.js
+// Runs two chat server instances in one process against a shared MongoDB replica set
+// (PRESENCE_STORE=mongo, SOCKET_ADAPTER=mongo) and checks that users connected to
+// different instances see the same rooms, messages and occupants.
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Message = require('../models/Message');
+const { createAuth } = require('../middleware/auth');
+const { createPresenceStore } = require('../presence');
+const { registerSocketHandlers } = require('../sockets');
+const { attachSocketAdapter } = require('../sockets/adapter');
+const { waitFor, createUser, connect: connectSocket } = require('./helpers');
+
+// Both instances check tokens with the same secret, as replicas behind a load balancer would
+const { signToken, socketAuth } = createAuth({ secret: 'test-secret' });
+
+const startNode = async () => {
+  const server = http.createServer();
+  const io = new Server(server);
+  await attachSocketAdapter(io, 'mongo');
+  const presence = createPresenceStore('mongo', { nodeId: crypto.randomUUID() });
+  registerSocketHandlers(io, { socketAuth, presence });
+  await new Promise(resolve => server.listen(0, resolve));
+  return { io, presence, url: `http://localhost:${server.address().port}` };
+};
+
+const stopNode = async ({ io, presence }) => {
+  await new Promise(resolve => io.close(() => resolve()));
+  await presence.close();
+};
+
+describe('chat across two server instances', () => {
+  let replSet;
+  let nodeA;
+  let nodeB;
+  let alice;
+  let bob;
+  const clients = [];
+
+  const connect = (node, user) => connectSocket(node.url, { auth: { token: signToken(user) }, clients });
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    [alice, bob] = await Promise.all([createUser('alice'), createUser('bob')]);
+    nodeA = await startNode();
+    nodeB = await startNode();
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(socket => socket.disconnect());
+  });
+
+  afterAll(async () => {
+    if (nodeA) await stopNode(nodeA);
+    if (nodeB) await stopNode(nodeB);
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  test('occupants of a room are the same whichever instance a client is on', async () => {
+    const aliceSocket = await connect(nodeA, alice);
+    const bobSocket = await connect(nodeB, bob);
+
+    aliceSocket.emit('joinRoom', { room: 'General' });
+    await waitFor(aliceSocket, 'roomUsers', users => users.length === 1);
+
+    const aliceSeesBoth = waitFor(aliceSocket, 'roomUsers', users => users.length === 2);
+    bobSocket.emit('joinRoom', { room: 'General' });
+    const bobUsers = await waitFor(bobSocket, 'roomUsers', users => users.length === 2);
+    const aliceUsers = await aliceSeesBoth;
+
+    const names = users => users.map(user => user.username).sort();
+    expect(names(bobUsers)).toEqual(['alice', 'bob']);
+    expect(names(aliceUsers)).toEqual(['alice', 'bob']);
+
+    const counts = await nodeB.presence.roomCounts();
+    expect(counts.General).toBe(2);
+  });
+
+  test('room messages are delivered to clients on the other instance', async () => {
+    const aliceSocket = await connect(nodeA, alice);
+    const bobSocket = await connect(nodeB, bob);
+    aliceSocket.emit('joinRoom', { room: 'Sports' });
+    await waitFor(aliceSocket, 'roomUsers');
+    bobSocket.emit('joinRoom', { room: 'Sports' });
+    await waitFor(aliceSocket, 'roomUsers', users => users.length === 2);
+
+    const received = waitFor(bobSocket, 'message', msg => msg.username === 'alice');
+    aliceSocket.emit('chatMessage', 'Hello from instance A');
+    const message = await received;
+
+    expect(message.text).toBe('Hello from instance A');
+    expect(message.room).toBe('Sports');
+  });
+
+  test('private messages reach the recipient on the other instance', async () => {
+    const aliceSocket = await connect(nodeA, alice);
+    const bobSocket = await connect(nodeB, bob);
+    aliceSocket.emit('joinRoom', { room: 'General' });
+    await waitFor(aliceSocket, 'roomUsers');
+
+    const received = waitFor(bobSocket, 'message', msg => msg.isPrivate);
+    aliceSocket.emit('privateMessage', { recipientId: bob.id, message: 'Psst, bob' });
+    const message = await received;
+
+    expect(message.text).toBe('Psst, bob');
+    expect(message.senderId).toBe(alice.id);
+    expect(message.recipientId).toBe(bob.id);
+  });
+
+  test('a send retried on another instance is stored once and acknowledged with the same message', async () => {
+    const aliceOnA = await connect(nodeA, alice);
+    const aliceOnB = await connect(nodeB, alice);
+    aliceOnA.emit('joinRoom', { room: 'Retries' });
+    await waitFor(aliceOnA, 'roomUsers');
+    await aliceOnB.emitWithAck('joinRoom', { room: 'Retries' });
+
+    const payload = { text: 'Sent twice', room: 'Retries', clientId: crypto.randomUUID() };
+    const first = await aliceOnA.emitWithAck('chatMessage', payload);
+    const retry = await aliceOnB.emitWithAck('chatMessage', payload);
+
+    expect(first.ok).toBe(true);
+    expect(retry).toEqual({ ok: true, data: expect.objectContaining({ id: first.data.id, text: 'Sent twice' }) });
+    expect(await Message.countDocuments({ clientId: payload.clientId })).toBe(1);
+  });
+
+  test('rejected events are acknowledged with an error', async () => {
+    const aliceSocket = await connect(nodeA, alice);
+    const response = await aliceSocket.emitWithAck('chatMessage', { text: 'Not in a room yet' });
+
+    expect(response).toEqual({ ok: false, error: expect.stringMatching(/rejoin/) });
+  });
+
+  test('disconnecting on one instance updates occupants on the other', async () => {
+    const aliceSocket = await connect(nodeA, alice);
+    const bobSocket = await connect(nodeB, bob);
+    aliceSocket.emit('joinRoom', { room: 'Music' });
+    await waitFor(aliceSocket, 'roomUsers');
+    bobSocket.emit('joinRoom', { room: 'Music' });
+    await waitFor(aliceSocket, 'roomUsers', users => users.length === 2);
+
+    const aliceSeesOne = waitFor(aliceSocket, 'roomUsers', users => users.length === 1);
+    bobSocket.disconnect();
+    const users = await aliceSeesOne;
+
+    expect(users.map(user => user.username)).toEqual(['alice']);
+    expect((await nodeA.presence.listRoom('Music')).map(user => user.username)).toEqual(['alice']);
+  });
+});
@@ -0,0 +1,195 @@
+// server/tests/throttle.test.js
+// Token buckets, the socket event limiter, the spam guard and HTTP rate limiting.
+// Date.now() is stubbed so refills and mutes can be stepped through without waiting.
+// Needs no database.
+const http = require('http');
+const express = require('express');
+const createTokenBucketLimiter = require('../throttle/tokenBucket');
+const { SOCKET_LIMITS, createEventLimiter, createSpamGuard, httpRateLimit } = require('../throttle');
+
+let now;
+const advance = (ms) => { now += ms; };
+
+beforeEach(() => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('token bucket', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = createTokenBucketLimiter({ capacity: 3, perSecond: 1 });
+  });
+
+  afterEach(() => limiter.close());
+
+  test('allows a burst of `capacity`, then refuses until a token is back', () => {
+    expect([1, 2, 3].map(() => limiter.take('alice').allowed)).toEqual([true, true, true]);
+    expect(limiter.take('alice')).toEqual({ allowed: false, retryAfterMs: 1000 });
+
+    advance(400);
+    expect(limiter.take('alice')).toEqual({ allowed: false, retryAfterMs: 600 });
+  });
+
+  test('refills at `perSecond`, never beyond `capacity`', () => {
+    [1, 2, 3].forEach(() => limiter.take('alice'));
+
+    advance(2000);
+    expect(limiter.take('alice').allowed).toBe(true);
+    expect(limiter.take('alice').allowed).toBe(true);
+    expect(limiter.take('alice').allowed).toBe(false);
+
+    advance(60 * 1000);
+    expect([1, 2, 3, 4].map(() => limiter.take('alice').allowed)).toEqual([true, true, true, false]);
+  });
+
+  test('keys have their own buckets', () => {
+    [1, 2, 3].forEach(() => limiter.take('alice'));
+    expect(limiter.take('alice').allowed).toBe(false);
+    expect(limiter.take('bob').allowed).toBe(true);
+  });
+});
+
+describe('socket event limiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = createEventLimiter({ ...SOCKET_LIMITS, chatMessage: { capacity: 2, perSecond: 0.5 } });
+  });
+
+  afterEach(() => limiter.close());
+
+  test('a burst over the limit is refused with a 429 saying when to try again', () => {
+    limiter.consume('chatMessage', 'alice');
+    limiter.consume('chatMessage', 'alice');
+
+    let error;
+    try {
+      limiter.consume('chatMessage', 'alice');
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toEqual(expect.objectContaining({ status: 429, retryAfter: 2 }));
+    expect(error.message).toBe("You're doing that too often. Please wait 2 seconds and try again.");
+    expect(limiter.allows('chatMessage', 'alice')).toBe(false);
+
+    advance(2000);
+    expect(() => limiter.consume('chatMessage', 'alice')).not.toThrow();
+  });
+
+  test('every tab of a user shares one allowance per event; unlisted events use the default', () => {
+    limiter.consume('chatMessage', 'alice');
+    limiter.consume('chatMessage', 'alice');
+    expect(limiter.allows('chatMessage', 'alice')).toBe(false);
+    expect(limiter.allows('editMessage', 'alice')).toBe(true);
+    expect(limiter.allows('chatMessage', 'bob')).toBe(true);
+
+    const { capacity } = SOCKET_LIMITS.default;
+    const allowed = Array.from({ length: capacity + 1 }, () => limiter.allows('someNewEvent', 'alice'));
+    expect(allowed.filter(Boolean)).toHaveLength(capacity);
+  });
+});
+
+describe('spam guard', () => {
+  let guard;
+
+  beforeEach(() => {
+    guard = createSpamGuard({ maxDuplicates: 3, duplicateWindowMs: 30 * 1000, maxLinks: 2, linkWindowMs: 60 * 1000, muteMs: 60 * 1000 });
+  });
+
+  afterEach(() => guard.close());
+
+  // What ../sockets does: check, and record the message only when it goes through
+  const send = (userId, text) => {
+    const verdict = guard.check(userId, text);
+    if (!verdict) guard.record(userId, text);
+    return verdict;
+  };
+
+  test('repeating the same message mutes the user, whatever the case and spacing', () => {
+    expect(['Buy now', 'buy  NOW', ' buy now '].map(text => send('alice', text))).toEqual([null, null, null]);
+
+    expect(send('alice', 'BUY NOW')).toEqual({
+      message: 'You have been muted for 60 seconds for repeating the same message.',
+      mutedUntil: new Date(now + 60 * 1000),
+      justMuted: true
+    });
+    expect(send('bob', 'buy now')).toBeNull();
+  });
+
+  test('a mute blocks every message until it runs out', () => {
+    [1, 2, 3, 4].forEach(() => send('alice', 'again'));
+
+    advance(15 * 1000);
+    expect(send('alice', 'something else')).toEqual({
+      message: 'You are muted for sending too many messages. Try again in 45 seconds.',
+      mutedUntil: new Date(now + 45 * 1000),
+      justMuted: false
+    });
+
+    advance(45 * 1000);
+    expect(send('alice', 'again')).toBeNull();
+  });
+
+  test('repeats spread out over more than the window are fine', () => {
+    for (let i = 0; i < 6; i++) {
+      expect(send('alice', 'Good morning')).toBeNull();
+      advance(11 * 1000);
+    }
+  });
+
+  test('too many links in the window mutes the user', () => {
+    expect(send('alice', 'see https://example.com')).toBeNull();
+    expect(send('alice', 'and www.example.org')).toBeNull();
+    expect(send('alice', 'one more http://example.net')).toEqual(expect.objectContaining({
+      message: 'You have been muted for 60 seconds for posting too many links.',
+      justMuted: true
+    }));
+  });
+
+  test('messages that are checked but never sent do not count', () => {
+    [1, 2, 3, 4, 5].forEach(() => expect(guard.check('alice', 'see https://example.com')).toBeNull());
+    expect(send('alice', 'see https://example.com')).toBeNull();
+    expect(send('alice', 'and www.example.org')).toBeNull();
+  });
+});
+
+describe('HTTP rate limiting', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/auth', httpRateLimit('auth', { auth: { capacity: 2, perSecond: 0.5 } }));
+    app.get('/api/auth/ping', (req, res) => res.json({ ok: true }));
+    // Same shape as the error handler in ../app
+    app.use((err, req, res, next) => res.status(err.status || 500).json({ message: err.message }));
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}/api/auth/ping`;
+  });
+
+  afterAll(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+  });
+
+  test('a burst over the limit gets 429 with Retry-After, and requests go through again once tokens refill', async () => {
+    expect((await fetch(url)).status).toBe(200);
+    expect((await fetch(url)).status).toBe(200);
+
+    const refused = await fetch(url);
+    expect(refused.status).toBe(429);
+    expect(refused.headers.get('retry-after')).toBe('2');
+    const { message } = await refused.json();
+    expect(message).toBe("You're doing that too often. Please wait 2 seconds and try again.");
+
+    advance(2000);
+    expect((await fetch(url)).status).toBe(200);
+    expect((await fetch(url)).status).toBe(429);
+  });
+});
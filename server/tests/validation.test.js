@@ -0,0 +1,292 @@
+// server/tests/validation.test.js
+// Fuzzes every socket event and REST request schema with random and mutated payloads.
+// Whatever comes in, a payload must either be rejected with a structured 400 error, or reach
+// the handler cleaned up: bounded strings, no control characters and no unexpected fields.
+// Needs no database: payloads are checked before any handler touches MongoDB.
+const { createSocketHandler } = require('../sockets/handler');
+const { validateRequest, schemas } = require('../validation');
+
+const ITERATIONS = 400;
+const MAX_STRING_LENGTH = 2000;
+const FORBIDDEN_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/;
+const VALID_ID = '65a1f0c2b4d3e5f6a7b8c9d0';
+
+// Small seeded PRNG (mulberry32), so a failing case can be reproduced from its seed
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const createGenerator = (random) => {
+  const int = (max) => Math.floor(random() * max);
+  const pick = (list) => list[int(list.length)];
+
+  const interestingStrings = [
+    '', ' ', 'General', 'dm:a:b', 'user:123', VALID_ID, VALID_ID.toUpperCase(), 'not-an-id',
+    '👍', '🤔🤔', 'add', 'remove', 'thread', 'quote', '2024-01-01T00:00:00Z', 'yesterday', '20', '-1', '1e3',
+    '<script>alert(1)</script>', "'; db.dropDatabase(); '", '{"$gt": ""}', '\u0000\u0007\u001b[31m',
+    '‮evil‬', 'line\nbreak', '\t tabbed \t', 'é'.repeat(40)
+  ];
+
+  const randomString = () => {
+    const length = pick([0, 1, 5, 24, 33, 200, 2001, 5000]);
+    let value = '';
+    for (let i = 0; i < length; i++) {
+      value += String.fromCodePoint(pick([int(0x20), 0x20 + int(0x5f), 0xa0 + int(0x2000), 0x202a + int(5), 0x1f600 + int(0x50)]));
+    }
+    return value;
+  };
+
+  const value = (depth = 0) => {
+    switch (int(depth > 2 ? 8 : 11)) {
+      case 0: return undefined;
+      case 1: return null;
+      case 2: return random() < 0.5;
+      case 3: return pick([0, -1, 1.5, 2 ** 53, NaN, Infinity, -Infinity, 1e21]);
+      case 4: return pick(interestingStrings);
+      case 5: return randomString();
+      case 6: return pick(interestingStrings) + randomString();
+      case 7: return int(200);
+      case 8: return Array.from({ length: int(8) }, () => value(depth + 1));
+      case 9: return { $gt: '', $where: 'sleep(1000)' };
+      default: {
+        const object = JSON.parse('{"__proto__": {"polluted": true}, "constructor": {"prototype": {"polluted": true}}}');
+        for (let i = int(4); i > 0; i--) object[pick(['text', 'room', 'id', 'x', '$set'])] = value(depth + 1);
+        return object;
+      }
+    }
+  };
+
+  // Start from a valid payload and replace, drop or add one field at a time
+  const mutate = (valid) => {
+    if (random() < 0.15) return value();
+    const payload = { ...valid };
+    const keys = Object.keys(payload);
+    for (let i = 1 + int(3); i > 0; i--) {
+      const action = int(3);
+      if (action === 0 && keys.length) payload[pick(keys)] = value();
+      else if (action === 1 && keys.length) delete payload[pick(keys)];
+      else payload[pick(['extra', '__proto__', 'isPrivate', 'senderId', 'username'])] = value();
+    }
+    return payload;
+  };
+
+  return { value, mutate };
+};
+
+// Payloads every schema must accept, used as the starting point for mutations
+const validSocketPayloads = {
+  joinRoom: { room: 'General', resume: false },
+  leaveRoom: { room: 'General' },
+  chatMessage: { text: 'Hello there', room: 'General', parentId: VALID_ID, replyMode: 'quote', attachmentIds: [VALID_ID], clientId: 'abc-123' },
+  privateMessage: { recipientId: VALID_ID, message: 'Hi', clientId: 'abc-123' },
+  groupMessage: { groupId: VALID_ID, message: 'Hi all', parentId: VALID_ID, replyMode: 'thread', clientId: 'abc-123' },
+  createGroup: { name: 'Release crew', memberIds: [VALID_ID, VALID_ID] },
+  renameGroup: { groupId: VALID_ID, name: 'Launch crew' },
+  addGroupMembers: { groupId: VALID_ID, memberIds: [VALID_ID] },
+  removeGroupMember: { groupId: VALID_ID, userId: VALID_ID },
+  leaveGroup: { groupId: VALID_ID },
+  loadMessages: { room: 'General', before: VALID_ID, limit: 20 },
+  syncMessages: { room: 'General', since: '2024-01-01T00:00:00.000Z' },
+  messageRead: { messageId: VALID_ID, roomId: 'General' },
+  markRead: { cursors: [{ room: 'General', messageId: VALID_ID }, { room: `dm:${VALID_ID}:${VALID_ID}`, messageId: VALID_ID }] },
+  editMessage: { messageId: VALID_ID, text: 'Edited' },
+  deleteMessage: { messageId: VALID_ID },
+  reactToMessage: { messageId: VALID_ID, emoji: '👍', action: 'add' },
+  kickUser: { room: 'General', userId: VALID_ID, reason: 'Off topic' },
+  banUser: { room: 'General', userId: VALID_ID, minutes: 60 },
+  unbanUser: { room: 'General', userId: VALID_ID },
+  muteUser: { room: 'General', userId: VALID_ID, minutes: 10, reason: 'Spam' },
+  unmuteUser: { room: 'General', userId: VALID_ID },
+  setRoomRole: { room: 'General', userId: VALID_ID, role: 'moderator' },
+  pinMessage: { messageId: VALID_ID, action: 'pin' },
+  muteConversation: { conversation: `group:${VALID_ID}`, muted: true },
+  subscribePush: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc123', keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' } },
+  unsubscribePush: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc123' }
+};
+
+const validRequests = {
+  register: { body: { username: 'alice', password: 'password123' } },
+  login: { body: { username: 'alice', password: 'password123' } },
+  createRoom: { body: { name: 'General', topic: 'Chit-chat', visibility: 'public' } },
+  updateRoom: { params: { room: 'General' }, body: { topic: 'New topic' } },
+  roomParams: { params: { room: 'General' } },
+  roomMessages: { params: { room: 'General' }, query: { before: VALID_ID, limit: '20' } },
+  messageParams: { params: { id: VALID_ID } },
+  messageContext: { params: { id: VALID_ID }, query: { before: '10', after: '10' } },
+  webhookParams: { params: { id: VALID_ID } },
+  createWebhook: {
+    params: { room: 'General' },
+    body: { kind: 'outgoing', name: 'Deploys', url: 'https://ci.example.com/hooks/chat', filter: { contains: 'deploy', username: 'alice' } }
+  },
+  incomingWebhook: { params: { id: VALID_ID, token: 'k3Xc9qLr2vT8yN1bW5eH7jUa' }, body: { text: 'Build #42 passed' } },
+  search: { query: { q: 'deploy', room: 'General', from: '2024-01-01', hasAttachment: 'true', limit: '10' } }
+};
+
+// Passwords are hashed exactly as typed, so they are only length-checked
+const RAW_FIELDS = ['password'];
+
+// Every string in an accepted payload is bounded and free of control characters,
+// and no field outside the schema (or on the prototype) made it through
+const expectClean = (payload, allowedKeys) => {
+  const visit = (node) => {
+    if (typeof node === 'string') {
+      expect(node.length).toBeLessThanOrEqual(MAX_STRING_LENGTH);
+      expect(node).not.toMatch(FORBIDDEN_CHARS);
+    } else if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object' && !(node instanceof Date)) {
+      Object.entries(node).filter(([key]) => !RAW_FIELDS.includes(key)).forEach(([, child]) => visit(child));
+    }
+  };
+  visit(payload);
+  if (payload && typeof payload === 'object') {
+    Object.keys(payload).forEach(key => expect(allowedKeys).toContain(key));
+  }
+  expect({}.polluted).toBeUndefined();
+};
+
+const expectStructuredError = (error) => {
+  expect(error.status).toBe(400);
+  expect(typeof error.message).toBe('string');
+  expect(error.details.length).toBeGreaterThan(0);
+  error.details.forEach(detail => {
+    expect(typeof detail.path).toBe('string');
+    expect(typeof detail.message).toBe('string');
+  });
+};
+
+const schemaKeys = (schema) => {
+  const inner = schema._def.schema || schema; // Unwrap z.preprocess
+  return Object.keys(inner.shape);
+};
+
+describe('socket event validation', () => {
+  const fakeSocket = { id: 'socket-1', user: { id: VALID_ID, username: 'fuzzer' }, data: {} };
+
+  // Runs a payload through the real wrapper with a handler that only records what it was given
+  const dispatch = async (event, payload) => {
+    const received = [];
+    const notices = [];
+    const handle = createSocketHandler(fakeSocket, notice => notices.push(notice));
+    const listener = handle(event, async (cleaned) => {
+      received.push(cleaned);
+      return 'handled';
+    });
+    let response;
+    await listener(payload, (ack) => { response = ack; });
+    return { received, notices, response };
+  };
+
+  test.each(Object.keys(validSocketPayloads))('%s accepts a well-formed payload', async (event) => {
+    const { received, response } = await dispatch(event, validSocketPayloads[event]);
+    expect(response).toEqual({ ok: true, data: 'handled' });
+    expect(received).toHaveLength(1);
+  });
+
+  test.each(Object.keys(validSocketPayloads))('%s rejects or cleans fuzzed payloads', async (event) => {
+    const seed = event.split('').reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    const generator = createGenerator(createRandom(seed));
+    const allowedKeys = schemaKeys(schemas.socketEvents[event]);
+
+    for (let i = 0; i < ITERATIONS; i++) {
+      const payload = i % 2 ? generator.value() : generator.mutate(validSocketPayloads[event]);
+      const { received, response, notices } = await dispatch(event, payload);
+
+      expect(notices).toEqual([]); // An ack was passed, so nothing goes out as a ChatBot notice
+      if (response.ok) {
+        expect(received).toHaveLength(1);
+        expectClean(received[0], allowedKeys);
+      } else {
+        expect(received).toHaveLength(0);
+        expectStructuredError({ status: 400, message: response.error, details: response.details });
+      }
+    }
+  });
+
+  test('plain text chat messages are cleaned like { text }', async () => {
+    const { received } = await dispatch('chatMessage', '  hello\u0007\nworld  ');
+    expect(received[0]).toEqual({ text: 'hello\nworld' });
+  });
+
+  test('room names cannot impersonate internal channels', async () => {
+    for (const room of ['dm:a:b', 'user:123', ' ', 'a'.repeat(33), '‮general']) {
+      const { response } = await dispatch('joinRoom', { room });
+      if (room === '‮general') {
+        expect(response.ok).toBe(true); // The bidi control is stripped, leaving a legal name
+      } else {
+        expect(response).toEqual(expect.objectContaining({ ok: false, details: [expect.objectContaining({ path: 'room' })] }));
+      }
+    }
+  });
+
+  test('push subscriptions only go to known push services', async () => {
+    const keys = validSocketPayloads.subscribePush.keys;
+    for (const endpoint of ['https://web.push.apple.com/QGuQy', 'https://wns2-db5p.notify.windows.com/w/?token=abc']) {
+      expect((await dispatch('subscribePush', { endpoint, keys })).response.ok).toBe(true);
+    }
+    const refused = [
+      'https://127.0.0.1/send', 'https://localhost/send', 'https://10.0.0.5/send', 'https://192.168.1.1/send',
+      'https://169.254.169.254/latest/meta-data', 'https://[::1]/send', 'https://fcm.googleapis.com.evil.example/send',
+      'https://fcm.googleapis.com@127.0.0.1/send', 'https://fcm.googleapis.com:8443/send', 'https://evilfcm.googleapis.com.example/send'
+    ];
+    for (const endpoint of refused) {
+      const { response } = await dispatch('subscribePush', { endpoint, keys });
+      expect(response).toEqual(expect.objectContaining({ ok: false, details: [expect.objectContaining({ path: 'endpoint' })] }));
+    }
+  });
+
+  test('rejected payloads without an ack are reported as a ChatBot notice', async () => {
+    const received = [];
+    const notices = [];
+    const listener = createSocketHandler(fakeSocket, notice => notices.push(notice))('deleteMessage', async (cleaned) => {
+      received.push(cleaned);
+    });
+    await listener({ messageId: { $ne: null } });
+
+    expect(received).toEqual([]);
+    expect(notices).toEqual(['Message must be a string.']);
+  });
+});
+
+describe('REST request validation', () => {
+  const run = (parts, request) => {
+    const req = { params: {}, query: {}, body: {}, ...request };
+    let error;
+    validateRequest(parts)(req, {}, (err) => { error = err; });
+    return { req, error };
+  };
+
+  test.each(Object.keys(validRequests))('%s accepts a well-formed request', (name) => {
+    const { error } = run(schemas.http[name], validRequests[name]);
+    expect(error).toBeUndefined();
+  });
+
+  test.each(Object.keys(validRequests))('%s rejects or cleans fuzzed requests', (name) => {
+    const seed = name.split('').reduce((sum, char) => sum + char.charCodeAt(0), 1000);
+    const generator = createGenerator(createRandom(seed));
+    const parts = schemas.http[name];
+
+    for (let i = 0; i < ITERATIONS; i++) {
+      const request = {};
+      for (const part of Object.keys(parts)) {
+        request[part] = i % 2 ? generator.value() : generator.mutate(validRequests[name][part] || {});
+      }
+      const { req, error } = run(parts, request);
+
+      if (error) {
+        expectStructuredError(error);
+      } else {
+        for (const part of Object.keys(parts)) expectClean(req[part], schemaKeys(parts[part]));
+      }
+    }
+  });
+
+  test('query strings are coerced to the types the routes expect', () => {
+    const { req, error } = run(schemas.http.search, { query: { q: ' deploy ', limit: '5', from: '2024-01-01', room: '' } });
+    expect(error).toBeUndefined();
+    expect(req.query).toEqual({ q: 'deploy', limit: 5, from: new Date('2024-01-01') });
+  });
+});
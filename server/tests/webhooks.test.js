@@ -0,0 +1,311 @@
+// server/tests/webhooks.test.js
+// Outgoing webhooks are pointed at a local HTTP stub that records what it receives and answers with
+// whatever status the test asks for; its host is allowed the way WEBHOOK_ALLOWED_HOSTS would.
+// Incoming webhooks are posted to the real router.
+// Everything except the signature and destination checks runs against an in-memory MongoDB.
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Membership = require('../models/Membership');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const createWebhookRouter = require('../routes/webhooks');
+const { createAuth } = require('../middleware/auth');
+const { createWebhookDispatcher, createDestinationCheck, HEADERS, signPayload, verifySignature } = require('../webhooks');
+const { createUser } = require('./helpers');
+
+const SECRET = 'test-signing-secret';
+const destinations = createDestinationCheck({ allowedHosts: ['localhost'] });
+
+// Records every request; `responses` is a queue of status codes (200 once it runs out, 'hang' never answers)
+const startStub = async () => {
+  const stub = { requests: [], responses: [] };
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ headers: req.headers, body });
+      const status = stub.responses.length ? stub.responses.shift() : 200;
+      if (status === 'hang') return;
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => stub.server.listen(0, resolve));
+  stub.url = `http://localhost:${stub.server.address().port}/hook`;
+  return stub;
+};
+
+const roomMessage = (fields = {}) => ({
+  id: new mongoose.Types.ObjectId().toHexString(),
+  username: 'alice',
+  text: 'Deploy finished',
+  room: 'General',
+  isPrivate: false,
+  timestamp: new Date(),
+  ...fields
+});
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'message.created' });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signPayload(SECRET, timestamp, body);
+
+  test('a signature verifies against the same body and secret', () => {
+    expect(signature).toMatch(/^sha256=[a-f\d]{64}$/);
+    expect(verifySignature(SECRET, { signature, timestamp, body })).toBe(true);
+  });
+
+  test('a tampered body, another secret or a stale timestamp fail', () => {
+    expect(verifySignature(SECRET, { signature, timestamp, body: body.replace('created', 'deleted') })).toBe(false);
+    expect(verifySignature('another-secret', { signature, timestamp, body })).toBe(false);
+    expect(verifySignature(SECRET, { signature, timestamp, body }, { now: (timestamp + 600) * 1000 })).toBe(false);
+    expect(verifySignature(SECRET, { signature: undefined, timestamp, body })).toBe(false);
+  });
+});
+
+describe('webhook destinations', () => {
+  // Resolves every host name to `address`, standing in for DNS
+  const resolvingTo = address => async () => [{ address, family: address.includes(':') ? 6 : 4 }];
+
+  const refusal = async (check, url) => {
+    try {
+      await check.check(url);
+    } catch (error) {
+      return { message: error.message, status: error.status };
+    }
+    throw new Error(`Expected ${url} to be refused`);
+  };
+
+  test('loopback, private, link-local and unique-local addresses are refused', async () => {
+    const check = createDestinationCheck({ lookup: resolvingTo('203.0.113.10') });
+    const urls = [
+      'http://127.0.0.1:8080/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.5/hook',
+      'http://192.168.1.1/hook',
+      'http://[::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[fd00::5]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://0x7f000001/hook'
+    ];
+    for (const url of urls) {
+      expect(await refusal(check, url)).toEqual({ message: expect.stringMatching(/^Webhook URLs must point to a public address/), status: 400 });
+    }
+  });
+
+  test('host names are resolved, and refused when any address is internal', async () => {
+    expect(await refusal(createDestinationCheck({ lookup: resolvingTo('127.0.0.1') }), 'https://hooks.example.com/ci'))
+      .toEqual({ message: 'Webhook URLs must point to a public address, not 127.0.0.1.', status: 400 });
+    const mixed = async () => [{ address: '203.0.113.10', family: 4 }, { address: '169.254.169.254', family: 4 }];
+    expect(await refusal(createDestinationCheck({ lookup: mixed }), 'https://hooks.example.com/ci')).toMatchObject({ status: 400 });
+
+    const unknown = async () => { throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }); };
+    expect(await refusal(createDestinationCheck({ lookup: unknown }), 'https://nowhere.example/ci'))
+      .toEqual({ message: "The webhook URL's host nowhere.example could not be found.", status: 400 });
+  });
+
+  test('public addresses and allowed hosts pass', async () => {
+    await expect(createDestinationCheck({ lookup: resolvingTo('203.0.113.10') }).check('https://hooks.example.com/ci')).resolves.toBeUndefined();
+    await expect(createDestinationCheck({ allowedHosts: ['LocalHost'] }).check('http://localhost:4000/hook')).resolves.toBeUndefined();
+    expect(await refusal(createDestinationCheck({ allowedHosts: ['localhost'] }), 'http://127.0.0.1:4000/hook')).toMatchObject({ status: 400 });
+  });
+});
+
+describe('webhooks against a local HTTP stub', () => {
+  let mongo;
+  let stub;
+
+  beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+    stub = await startStub();
+  });
+
+  afterEach(async () => {
+    stub.requests = [];
+    stub.responses = [];
+    await Promise.all([Webhook.deleteMany({}), WebhookDelivery.deleteMany({}), Message.deleteMany({}), Room.deleteMany({}),
+      User.deleteMany({}), Membership.deleteMany({})]);
+  });
+
+  afterAll(async () => {
+    if (stub) {
+      stub.server.closeAllConnections(); // Requests the stub left hanging
+      await new Promise(resolve => stub.server.close(resolve));
+    }
+    await mongoose.disconnect();
+    if (mongo) await mongo.stop();
+  });
+
+  const createOutgoing = (fields = {}) => Webhook.create({
+    room: 'General',
+    kind: 'outgoing',
+    name: 'CI',
+    url: stub.url,
+    secret: SECRET,
+    createdBy: new mongoose.Types.ObjectId().toHexString(),
+    ...fields
+  });
+
+  describe('outgoing', () => {
+    test('matching messages are POSTed as signed JSON', async () => {
+      await createOutgoing({ filter: { contains: 'deploy' } });
+      const dispatcher = createWebhookDispatcher({ destinations });
+
+      const [delivery] = await dispatcher.messageCreated(roomMessage());
+      await dispatcher.messageCreated(roomMessage({ text: 'Lunch?' }));
+
+      expect(delivery.status).toBe('delivered');
+      expect(stub.requests).toHaveLength(1);
+      const [{ headers, body }] = stub.requests;
+      expect(headers[HEADERS.event]).toBe('message.created');
+      expect(headers[HEADERS.delivery]).toBe(String(delivery._id));
+      expect(verifySignature(SECRET, { signature: headers[HEADERS.signature], timestamp: headers[HEADERS.timestamp], body })).toBe(true);
+      expect(JSON.parse(body)).toMatchObject({ event: 'message.created', room: 'General', message: { username: 'alice', text: 'Deploy finished' } });
+    });
+
+    test('private messages and messages from incoming webhooks are not sent', async () => {
+      await createOutgoing();
+      const dispatcher = createWebhookDispatcher({ destinations });
+
+      await dispatcher.messageCreated(roomMessage({ isPrivate: true, room: 'dm:a:b' }));
+      await dispatcher.messageCreated(roomMessage({ webhookId: new mongoose.Types.ObjectId() }));
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    test('failed deliveries are retried after a delay and every attempt is logged', async () => {
+      await createOutgoing();
+      const dispatcher = createWebhookDispatcher({ destinations, retryDelaysMs: [50, 50] });
+      stub.responses.push(500);
+
+      const [delivery] = await dispatcher.messageCreated(roomMessage());
+      expect(delivery.status).toBe('pending');
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      expect(await dispatcher.processDue()).toBe(0); // Not due yet
+
+      await new Promise(resolve => setTimeout(resolve, 80));
+      expect(await dispatcher.processDue()).toBe(1);
+
+      const log = await WebhookDelivery.findById(delivery._id);
+      expect(log.status).toBe('delivered');
+      expect(log.attempts.map(attempt => attempt.status)).toEqual([500, 200]);
+      expect(log.attempts[0].error).toBe('HTTP 500');
+      // A retry is the same delivery, so receivers can drop duplicates by its ID
+      expect(stub.requests[1].headers[HEADERS.delivery]).toBe(stub.requests[0].headers[HEADERS.delivery]);
+    });
+
+    test('a delivery that keeps failing is marked failed after the last retry', async () => {
+      await createOutgoing();
+      const dispatcher = createWebhookDispatcher({ destinations, retryDelaysMs: [0, 0] });
+      stub.responses.push(500, 502, 503);
+
+      const [delivery] = await dispatcher.messageCreated(roomMessage());
+      await dispatcher.processDue();
+
+      const log = await WebhookDelivery.findById(delivery._id);
+      expect(log.status).toBe('failed');
+      expect(log.attempts.map(attempt => attempt.status)).toEqual([500, 502, 503]);
+      expect(await dispatcher.processDue()).toBe(0);
+    });
+
+    test('without the stub\'s host allowed, nothing is sent to it and the attempt is logged', async () => {
+      await createOutgoing();
+      const dispatcher = createWebhookDispatcher({ retryDelaysMs: [0] });
+
+      const [delivery] = await dispatcher.messageCreated(roomMessage());
+      expect(stub.requests).toHaveLength(0);
+      expect(delivery.attempts[0]).toMatchObject({ status: null, error: expect.stringMatching(/^Webhook URLs must point to a public address/) });
+    });
+
+    test('receivers that never answer time out', async () => {
+      await createOutgoing();
+      const dispatcher = createWebhookDispatcher({ destinations, timeoutMs: 100 });
+      stub.responses.push('hang');
+
+      const [delivery] = await dispatcher.messageCreated(roomMessage());
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts[0]).toMatchObject({ status: null, error: 'No response within 100 ms' });
+    });
+  });
+
+  describe('router', () => {
+    let server;
+    let baseUrl;
+    const emitted = [];
+    const auth = createAuth({ secret: 'test-secret' });
+
+    beforeAll(async () => {
+      const io = { to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+      const app = express();
+      app.use(express.json());
+      app.use('/api/webhooks', createWebhookRouter({ io, requireAuth: auth.requireAuth }));
+      app.use((err, req, res, next) => res.status(err.status || 500).json({ message: err.message }));
+      server = http.createServer(app);
+      await new Promise(resolve => server.listen(0, resolve));
+      baseUrl = `http://localhost:${server.address().port}/api/webhooks`;
+    });
+
+    afterAll(async () => {
+      if (server) await new Promise(resolve => server.close(resolve));
+    });
+
+    const createIncoming = async () => {
+      const token = Webhook.generateSecret();
+      const webhook = await Webhook.create({
+        room: 'General',
+        kind: 'incoming',
+        name: 'Deploy Bot',
+        tokenHash: Webhook.hashToken(token),
+        createdBy: new mongoose.Types.ObjectId().toHexString()
+      });
+      return { webhook, token };
+    };
+
+    const post = (path, body, token) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(token && { authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(body)
+    });
+
+    test('a message posted with the token appears in the room as the bot', async () => {
+      await Room.create({ name: 'General', createdBy: new mongoose.Types.ObjectId() });
+      const { webhook, token } = await createIncoming();
+
+      const response = await post(`/incoming/${webhook.id}/${token}`, { text: 'Build #42 passed' });
+      expect(response.status).toBe(201);
+
+      const stored = await Message.findOne({ webhookId: webhook._id });
+      expect(stored).toMatchObject({ username: 'Deploy Bot', text: 'Build #42 passed', room: 'General' });
+      expect(emitted).toContainEqual(expect.objectContaining({ room: 'General', event: 'message' }));
+    });
+
+    test('a wrong token is turned away', async () => {
+      await Room.create({ name: 'General', createdBy: new mongoose.Types.ObjectId() });
+      const { webhook } = await createIncoming();
+
+      const response = await post(`/incoming/${webhook.id}/not-the-token`, { text: 'Build #42 passed' });
+      expect(response.status).toBe(404);
+      expect(await Message.countDocuments()).toBe(0);
+    });
+
+    test('an outgoing webhook aimed at an internal address is refused', async () => {
+      const owner = await createUser('alice');
+      await Room.create({ name: 'General', createdBy: owner._id });
+      await Membership.create({ room: 'General', userId: owner.id, username: 'alice', role: 'owner' });
+      const token = auth.signToken(owner);
+
+      for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:6379/']) {
+        const response = await post('/rooms/General', { kind: 'outgoing', name: 'CI', url }, token);
+        expect(response.status).toBe(400);
+        expect((await response.json()).message).toMatch(/^Webhook URLs must point to a public address/);
+      }
+      expect(await Webhook.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// server/throttle/index.js
+const createTokenBucketLimiter = require('./tokenBucket');
+const createSpamGuard = require('./spamGuard');
+
+// Allowance per socket event and user: bursts of `capacity`, then `perSecond` on average.
+// Events not listed here fall back to `default`. Override any of them with SOCKET_RATE_LIMITS,
+// e.g. SOCKET_RATE_LIMITS={"chatMessage":{"capacity":10,"perSecond":2}}
+const SOCKET_LIMITS = {
+  chatMessage: { capacity: 8, perSecond: 1 },
+  privateMessage: { capacity: 8, perSecond: 1 },
+  groupMessage: { capacity: 8, perSecond: 1 },
+  typing: { capacity: 10, perSecond: 2 },
+  stopTyping: { capacity: 10, perSecond: 2 },
+  joinRoom: { capacity: 20, perSecond: 0.5 }, // A new session rejoins the user's whole room list at once
+  loadMessages: { capacity: 10, perSecond: 1 },
+  syncMessages: { capacity: 5, perSecond: 0.5 },
+  messageRead: { capacity: 50, perSecond: 10 },
+  markRead: { capacity: 10, perSecond: 2 },
+  unreadCounts: { capacity: 5, perSecond: 0.5 },
+  editMessage: { capacity: 10, perSecond: 1 },
+  deleteMessage: { capacity: 10, perSecond: 1 },
+  reactToMessage: { capacity: 20, perSecond: 2 },
+  default: { capacity: 10, perSecond: 1 }
+};
+
+// Allowance per client IP for groups of REST routes. Override with HTTP_RATE_LIMITS (same format).
+const HTTP_LIMITS = {
+  api: { capacity: 120, perSecond: 2 },
+  auth: { capacity: 10, perSecond: 1 / 30 }, // Login and registration: slows down password guessing
+  uploads: { capacity: 10, perSecond: 0.2 }
+};
+
+// Merge overrides from a JSON environment variable onto the defaults. Bad values stop the server at startup
+// (../config checks both variables when it loads).
+const readLimits = (envVar, defaults, env) => {
+  const raw = env[envVar];
+  if (!raw) return defaults;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${envVar} is not valid JSON: ${error.message}`);
+  }
+  for (const [name, limit] of Object.entries(overrides)) {
+    if (!(limit?.capacity > 0) || !(limit?.perSecond > 0)) {
+      throw new Error(`${envVar}.${name} needs a positive "capacity" and "perSecond".`);
+    }
+  }
+  return { ...defaults, ...overrides };
+};
+
+const tooManyRequests = (retryAfterMs) => {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const error = new Error(`You're doing that too often. Please wait ${seconds} second${seconds === 1 ? '' : 's'} and try again.`);
+  error.status = 429;
+  error.retryAfter = seconds;
+  return error;
+};
+
+// Socket event limits, tracked per user so every tab of an account shares one allowance.
+// Counters live in this process: with several instances, each one enforces the limits on its own sockets.
+const createEventLimiter = (limits = SOCKET_LIMITS) => {
+  const limiters = new Map();
+  const limiterFor = (event) => {
+    const name = limits[event] ? event : 'default';
+    if (!limiters.has(name)) limiters.set(name, createTokenBucketLimiter(limits[name]));
+    return limiters.get(name);
+  };
+
+  return {
+    // Returns whether `userId` may send `event` now, and spends one token if so
+    allows(event, userId) {
+      return limiterFor(event).take(userId).allowed;
+    },
+
+    // Same as allows(), but throws a 429 error with a user-facing message instead of returning false
+    consume(event, userId) {
+      const { allowed, retryAfterMs } = limiterFor(event).take(userId);
+      if (!allowed) throw tooManyRequests(retryAfterMs);
+    },
+
+    close() {
+      limiters.forEach(limiter => limiter.close());
+      limiters.clear();
+    }
+  };
+};
+
+// Express middleware limiting requests per client IP for one of the HTTP_LIMITS groups.
+// Behind a proxy, set TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+const httpRateLimit = (group, limits = HTTP_LIMITS) => {
+  const limiter = createTokenBucketLimiter(limits[group]);
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.take(req.ip);
+    if (allowed) return next();
+
+    const error = tooManyRequests(retryAfterMs);
+    res.set('Retry-After', String(error.retryAfter));
+    next(error);
+  };
+};
+
+module.exports = { SOCKET_LIMITS, HTTP_LIMITS, readLimits, createEventLimiter, createSpamGuard, httpRateLimit };
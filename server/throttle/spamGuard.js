@@ -0,0 +1,101 @@
+// server/throttle/spamGuard.js
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// Case and spacing don't make a message any less of a repeat
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+
+const formatDuration = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+};
+
+// Tracks what each user recently sent and mutes users who flood a conversation:
+// - the same text more than `maxDuplicates` times within `duplicateWindowMs`
+// - more than `maxLinks` links within `linkWindowMs`
+// A mute blocks every new message from the user for `muteMs`. State lives in this process.
+// check(userId, text) -> null when the message may be sent, otherwise { message, mutedUntil, justMuted }
+// record(userId, text) counts a message once it has been accepted, so sends refused for any other
+// reason (a room mute, an empty message, a failed save) don't bring the user closer to a spam mute.
+const createSpamGuard = ({
+  maxDuplicates = 3,
+  duplicateWindowMs = 30 * 1000,
+  maxLinks = 5,
+  linkWindowMs = 60 * 1000,
+  muteMs = 60 * 1000
+} = {}) => {
+  const users = new Map(); // userId -> { recent: [{ text, at }], links: [at], mutedUntil }
+
+  const prune = (state, now) => {
+    state.recent = state.recent.filter(entry => now - entry.at < duplicateWindowMs);
+    state.links = state.links.filter(at => now - at < linkWindowMs);
+  };
+
+  const mute = (state, now, reason) => {
+    state.mutedUntil = now + muteMs;
+    state.recent = [];
+    state.links = [];
+    return {
+      message: `You have been muted for ${formatDuration(muteMs)} for ${reason}.`,
+      mutedUntil: new Date(state.mutedUntil),
+      justMuted: true
+    };
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [userId, state] of users) {
+      prune(state, now);
+      if (!state.recent.length && !state.links.length && !(state.mutedUntil > now)) users.delete(userId);
+    }
+  };
+  const sweeper = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  const stateOf = (userId) => {
+    const state = users.get(userId) || { recent: [], links: [], mutedUntil: 0 };
+    users.set(userId, state);
+    return state;
+  };
+
+  return {
+    check(userId, text = '') {
+      const now = Date.now();
+      const state = stateOf(userId);
+
+      if (state.mutedUntil > now) {
+        return {
+          message: `You are muted for sending too many messages. Try again in ${formatDuration(state.mutedUntil - now)}.`,
+          mutedUntil: new Date(state.mutedUntil),
+          justMuted: false
+        };
+      }
+
+      prune(state, now);
+      const normalized = normalize(text);
+      const repeats = normalized ? state.recent.filter(entry => entry.text === normalized).length : 0;
+      if (repeats >= maxDuplicates) return mute(state, now, 'repeating the same message');
+      if (state.links.length + countLinks(text) > maxLinks) return mute(state, now, 'posting too many links');
+      return null;
+    },
+
+    record(userId, text = '') {
+      const now = Date.now();
+      const state = stateOf(userId);
+      const normalized = normalize(text);
+      if (normalized) state.recent.push({ text: normalized, at: now });
+      for (let i = countLinks(text); i > 0; i--) state.links.push(now);
+    },
+
+    sweep,
+
+    close() {
+      clearInterval(sweeper);
+      users.clear();
+    }
+  };
+};
+
+module.exports = createSpamGuard;
@@ -0,0 +1,51 @@
+// server/throttle/tokenBucket.js
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Token buckets kept in a Map in this process, one per key (e.g. "chatMessage:<userId>").
+// A bucket holds up to `capacity` tokens and regains `perSecond` tokens every second, so a client
+// can burst `capacity` actions and is then held to a steady `perSecond`.
+// take(key) -> { allowed, retryAfterMs }
+const createTokenBucketLimiter = ({ capacity, perSecond }) => {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+  };
+
+  // Buckets that have filled up again are the same as no bucket at all
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+  };
+  const sweeper = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweeper.unref(); // Never keeps the process alive on its own
+
+  return {
+    take(key, cost = 1) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      refill(bucket, now);
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return { allowed: false, retryAfterMs: Math.ceil(((cost - bucket.tokens) / perSecond) * 1000) };
+    },
+
+    sweep,
+
+    close() {
+      clearInterval(sweeper);
+      buckets.clear();
+    }
+  };
+};
+
+module.exports = createTokenBucketLimiter;
@@ -0,0 +1,22 @@
+// server/utils/logger.js
+const winston = require('winston');
+
+// Shared Winston logger so routes, middleware and socket handlers all log the same way.
+const logger = winston.createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json() // JSON format for production logs
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(), // Colorized for local dev readability
+        winston.format.simple()
+      ),
+      silent: process.env.NODE_ENV === 'test' // Suppress logs during tests
+    }),
+  ],
+});
+
+module.exports = logger;
@@ -0,0 +1,40 @@
+// server/validation/index.js
+const schemas = require('./schemas');
+
+// A 400 error listing every problem with the input: `details` is [{ path, message }],
+// where `path` is the dotted location of the bad field ("" for the payload itself).
+const validationError = (issues) => {
+  const details = issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+  const error = new Error(details[0].message);
+  error.status = 400;
+  error.details = details;
+  return error;
+};
+
+// Parse `input` with a zod schema. Returns the cleaned value or throws a validation error.
+const validate = (schema, input) => {
+  const result = schema.safeParse(input);
+  if (!result.success) throw validationError(result.error.issues);
+  return result.data;
+};
+
+// Express middleware: validate and replace req.params / req.query / req.body with their cleaned values.
+// `parts` is one of the entries in schemas.http, e.g. validateRequest(schemas.http.createRoom).
+const validateRequest = (parts) => (req, res, next) => {
+  try {
+    for (const [part, schema] of Object.entries(parts)) {
+      req[part] = validate(schema, req[part] ?? {});
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Validate a socket event payload. Events without a schema take no payload.
+const validateSocketPayload = (event, payload) => {
+  const schema = schemas.socketEvents[event];
+  return schema ? validate(schema, payload ?? {}) : payload;
+};
+
+module.exports = { validate, validateRequest, validateSocketPayload, schemas };
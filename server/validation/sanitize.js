@@ -0,0 +1,18 @@
+// server/validation/sanitize.js
+
+// C0/C1 control characters except tab, newline and carriage return
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+// Line breaks and tabs, for single-line fields such as names
+const LINE_BREAKS = /[\t\n\r\u2028\u2029]+/g;
+// Bidirectional overrides/isolates, which can make a name display as something else
+const BIDI_CONTROLS = /[\u202A-\u202E\u2066-\u2069]/g;
+
+// Remove characters that have no business in chat content. Text is stored and broadcast as plain text
+// and React escapes it on render, so HTML needs no special treatment here.
+// Multi-line text keeps its line breaks; single-line values also lose them and any bidi controls.
+const stripControlChars = (value, { multiline = false } = {}) => {
+  const cleaned = value.replace(CONTROL_CHARS, '');
+  return multiline ? cleaned : cleaned.replace(LINE_BREAKS, ' ').replace(BIDI_CONTROLS, '');
+};
+
+module.exports = { stripControlChars };
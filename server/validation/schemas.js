@@ -0,0 +1,244 @@
+// server/validation/schemas.js
+const { z } = require('zod');
+const Message = require('../models/Message');
+const { stripControlChars } = require('./sanitize');
+
+const LIMITS = {
+  messageLength: 2000,
+  roomNameLength: 32,
+  topicLength: 200,
+  usernameMin: 3,
+  usernameMax: 32,
+  passwordMin: 8,
+  passwordMax: 128, // bcrypt only looks at the first 72 bytes, but longer passphrases are harmless
+  searchQueryLength: 200,
+  attachmentsPerMessage: 5,
+  pageSize: 100,
+  contextWindow: 100,
+  searchResults: 50,
+  reasonLength: 200,
+  muteMinutes: 7 * 24 * 60, // A week
+  banMinutes: 365 * 24 * 60, // A year; longer bans are open-ended
+  webhookNameLength: 32,
+  webhookUrlLength: 500,
+  webhookFilterLength: 100,
+  readCursorsPerBatch: 20,
+  groupNameLength: 64,
+  groupMembers: 50,
+  pushEndpointLength: 1000,
+  pushKeyLength: 200
+};
+
+// A string with control characters stripped and surrounding whitespace trimmed, then length-checked
+const cleanString = (label, { min = 0, max, multiline = false }) => z
+  .string({ required_error: `${label} is required.`, invalid_type_error: `${label} must be text.` })
+  .transform(value => stripControlChars(value, { multiline }).trim())
+  .pipe(z.string()
+    .min(min, min === 1 ? `${label} cannot be empty.` : `${label} must be at least ${min} characters long.`)
+    .max(max, `${label} must be at most ${max} characters long.`));
+
+const objectId = (label) => z
+  .string({ required_error: `${label} is required.`, invalid_type_error: `${label} must be a string.` })
+  .regex(/^[a-f\d]{24}$/i, `${label} is not a valid ID.`);
+
+// Room names become Socket.IO room names, so they must never look like the internal "dm:..."/"user:..." channels.
+// Letters, digits, spaces, "-", "_" and ".", starting with a letter or digit.
+const roomName = cleanString('Room name', { min: 1, max: LIMITS.roomNameLength })
+  .pipe(z.string().regex(/^[\p{L}\p{N}][\p{L}\p{N} _.-]*$/u, 'Room names may only contain letters, numbers, spaces, "-", "_" and ".".'));
+
+// Lookup of an existing room or DM conversation key: only bounded, not format-checked
+const conversationKey = cleanString('Room', { min: 1, max: 80 });
+
+const username = cleanString('Username', { min: LIMITS.usernameMin, max: LIMITS.usernameMax })
+  .pipe(z.string().regex(/^[\p{L}\p{N}_.-]+$/u, 'Usernames may only contain letters, numbers, "_", "." and "-".'));
+
+const password = z
+  .string({ required_error: 'Password is required.', invalid_type_error: 'Password must be text.' })
+  .max(LIMITS.passwordMax, `Password must be at most ${LIMITS.passwordMax} characters long.`);
+
+const groupName = cleanString('Group name', { min: 1, max: LIMITS.groupNameLength });
+const groupMemberIds = z.array(objectId('Member'), { invalid_type_error: 'Members must be a list.' })
+  .min(1, 'Members cannot be empty.')
+  .max(LIMITS.groupMembers, `A group can have at most ${LIMITS.groupMembers} members.`);
+
+// The push services of the major browsers (Chrome, Firefox, Safari, Edge), and their subdomains.
+// The server POSTs to subscribed endpoints, so anywhere else (a private address, say) is refused.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'push.apple.com', 'notify.windows.com'];
+
+const isPushServiceUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  return url.protocol === 'https:' && url.port === '' &&
+    PUSH_SERVICE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+};
+
+// A browser's push service URL (PushSubscription.endpoint); push services only take HTTPS
+const pushEndpoint = cleanString('Endpoint', { min: 1, max: LIMITS.pushEndpointLength })
+  .pipe(z.string().regex(/^https:\/\//, 'Endpoint must be an https:// URL.'));
+const pushServiceEndpoint = pushEndpoint
+  .pipe(z.string().refine(isPushServiceUrl, 'Endpoint must be on a known push service.'));
+const pushKey = (label) => cleanString(label, { min: 1, max: LIMITS.pushKeyLength })
+  .pipe(z.string().regex(/^[\w-]+=*$/, `${label} must be URL-safe base64.`));
+
+const messageText = cleanString('Message', { max: LIMITS.messageLength, multiline: true });
+const topic = cleanString('Topic', { max: LIMITS.topicLength });
+const visibility = z.enum(['public', 'private'], { errorMap: () => ({ message: 'Visibility must be "public" or "private".' }) });
+const replyMode = z.enum(['thread', 'quote'], { errorMap: () => ({ message: 'Unknown reply type.' }) });
+const clientId = z.string().refine(Message.isValidClientId, 'Invalid message ID.');
+const attachmentIds = z.array(objectId('Attachment'), { invalid_type_error: 'Attachments must be a list.' })
+  .max(LIMITS.attachmentsPerMessage, `You can attach up to ${LIMITS.attachmentsPerMessage} files to a message.`);
+
+// Where outgoing webhooks POST to
+const webhookUrl = cleanString('URL', { min: 1, max: LIMITS.webhookUrlLength })
+  .pipe(z.string()
+    .url('URL must be a valid web address.')
+    .refine(value => /^https?:\/\//i.test(value), 'URL must start with http:// or https://.'));
+
+// Every payload and request part is an object of named fields
+const fields = (shape) => z.object(shape, { invalid_type_error: 'Malformed payload: expected an object.' });
+
+// Who a moderation event acts on, and in which room
+const moderationTarget = {
+  room: conversationKey,
+  userId: objectId('User'),
+  reason: cleanString('Reason', { max: LIMITS.reasonLength }).optional()
+};
+
+// Integers from query strings or socket payloads ("20" or 20)
+const boundedInt = (label, min, max) => z.union([z.number(), z.string().regex(/^\d+$/, `${label} must be a whole number.`)])
+  .pipe(z.coerce.number().int(`${label} must be a whole number.`)
+    .min(min, `${label} must be at least ${min}.`)
+    .max(max, `${label} must be at most ${max}.`));
+
+const dateValue = (label) => z.union([z.string(), z.number()], { invalid_type_error: `${label} must be a date.` })
+  .pipe(z.coerce.date({ errorMap: () => ({ message: `${label} must be a valid date.` }) }));
+
+// Optional query string parameter: "?room=" is treated the same as leaving it out
+const optionalParam = (schema) => z.preprocess(value => (value === '' ? undefined : value), schema.optional());
+
+const pageQuery = {
+  before: optionalParam(objectId('Cursor')),
+  limit: optionalParam(boundedInt('Limit', 1, LIMITS.pageSize))
+};
+
+const replyFields = {
+  parentId: objectId('Parent message').optional(),
+  replyMode: replyMode.optional(),
+  attachmentIds: attachmentIds.optional(),
+  clientId: clientId.optional()
+};
+
+// Socket event payloads, by event name. Unknown keys are dropped.
+const socketEvents = {
+  joinRoom: fields({ room: roomName, resume: z.boolean().optional() }),
+  // No payload at all leaves the socket's only room
+  leaveRoom: z.preprocess(payload => payload ?? {}, fields({ room: roomName.optional() })),
+  // Plain text is shorthand for { text }
+  chatMessage: z.preprocess(
+    payload => (typeof payload === 'string' ? { text: payload } : payload),
+    fields({ text: messageText.optional(), room: conversationKey.optional(), ...replyFields })
+  ),
+  privateMessage: fields({ recipientId: objectId('Recipient'), message: messageText.optional(), ...replyFields }),
+  groupMessage: fields({ groupId: objectId('Group'), message: messageText.optional(), ...replyFields }),
+  createGroup: fields({ name: groupName, memberIds: groupMemberIds }),
+  renameGroup: fields({ groupId: objectId('Group'), name: groupName }),
+  addGroupMembers: fields({ groupId: objectId('Group'), memberIds: groupMemberIds }),
+  removeGroupMember: fields({ groupId: objectId('Group'), userId: objectId('User') }),
+  leaveGroup: fields({ groupId: objectId('Group') }),
+  loadMessages: fields({ room: conversationKey, ...pageQuery }),
+  syncMessages: fields({ room: conversationKey, since: dateValue('"since"') }),
+  messageRead: fields({ messageId: cleanString('Message ID', { min: 1, max: 64 }), roomId: conversationKey }),
+  // The newest message seen in each conversation
+  markRead: fields({
+    cursors: z.array(fields({ room: conversationKey, messageId: objectId('Message') }), { invalid_type_error: 'Cursors must be a list.' })
+      .min(1, 'Cursors cannot be empty.')
+      .max(LIMITS.readCursorsPerBatch, `Send at most ${LIMITS.readCursorsPerBatch} cursors at a time.`)
+  }),
+  editMessage: fields({ messageId: objectId('Message'), text: cleanString('Message', { min: 1, max: LIMITS.messageLength, multiline: true }) }),
+  deleteMessage: fields({ messageId: objectId('Message') }),
+  reactToMessage: fields({
+    messageId: objectId('Message'),
+    emoji: z.string().refine(Message.isValidReaction, 'Invalid reaction.'),
+    action: z.enum(['add', 'remove'], { errorMap: () => ({ message: 'Invalid reaction.' }) })
+  }),
+  kickUser: fields(moderationTarget),
+  banUser: fields({ ...moderationTarget, minutes: boundedInt('Ban duration', 1, LIMITS.banMinutes).optional() }),
+  unbanUser: fields(moderationTarget),
+  muteUser: fields({ ...moderationTarget, minutes: boundedInt('Mute duration', 1, LIMITS.muteMinutes) }),
+  unmuteUser: fields(moderationTarget),
+  setRoomRole: fields({
+    ...moderationTarget,
+    role: z.enum(['moderator', 'member'], { errorMap: () => ({ message: 'Role must be "moderator" or "member".' }) })
+  }),
+  pinMessage: fields({
+    messageId: objectId('Message'),
+    action: z.enum(['pin', 'unpin'], { errorMap: () => ({ message: 'Action must be "pin" or "unpin".' }) })
+  }),
+  muteConversation: fields({
+    conversation: conversationKey,
+    muted: z.boolean({ required_error: '"muted" is required.', invalid_type_error: '"muted" must be true or false.' })
+  }),
+  // The browser's PushSubscription.toJSON(); `expirationTime` and anything else is dropped
+  subscribePush: fields({
+    endpoint: pushServiceEndpoint,
+    keys: fields({ p256dh: pushKey('Key'), auth: pushKey('Auth secret') })
+  }),
+  unsubscribePush: fields({ endpoint: pushEndpoint })
+};
+
+// REST request parts, by route
+const http = {
+  register: { body: fields({ username, password: password.pipe(z.string().min(LIMITS.passwordMin, `Password must be at least ${LIMITS.passwordMin} characters long.`)) }) },
+  login: { body: fields({ username: cleanString('Username', { min: 1, max: 64 }), password: password.pipe(z.string().min(1, 'Password is required.')) }) },
+  createRoom: {
+    body: fields({ name: roomName, topic: topic.default(''), visibility: visibility.default('public') })
+  },
+  updateRoom: {
+    params: fields({ room: conversationKey }),
+    body: fields({ topic: topic.optional(), visibility: visibility.optional() })
+  },
+  roomParams: { params: fields({ room: conversationKey }) },
+  roomMessages: { params: fields({ room: conversationKey }), query: fields(pageQuery) },
+  messageParams: { params: fields({ id: objectId('Message') }) },
+  messageContext: {
+    params: fields({ id: objectId('Message') }),
+    query: fields({
+      before: optionalParam(boundedInt('"before"', 0, LIMITS.contextWindow)),
+      after: optionalParam(boundedInt('"after"', 0, LIMITS.contextWindow))
+    })
+  },
+  webhookParams: { params: fields({ id: objectId('Webhook') }) },
+  createWebhook: {
+    params: fields({ room: conversationKey }),
+    body: fields({
+      kind: z.enum(['incoming', 'outgoing'], { errorMap: () => ({ message: 'Kind must be "incoming" or "outgoing".' }) }),
+      name: cleanString('Name', { min: 1, max: LIMITS.webhookNameLength }),
+      url: webhookUrl.optional(),
+      filter: fields({
+        contains: cleanString('Filter text', { max: LIMITS.webhookFilterLength }).optional(),
+        username: cleanString('Filter username', { max: LIMITS.usernameMax }).optional()
+      }).optional()
+    })
+  },
+  incomingWebhook: {
+    params: fields({ id: objectId('Webhook'), token: cleanString('Token', { min: 1, max: 64 }) }),
+    body: fields({ text: cleanString('Message', { min: 1, max: LIMITS.messageLength, multiline: true }) })
+  },
+  search: {
+    query: fields({
+      q: cleanString('Search query', { min: 1, max: LIMITS.searchQueryLength }),
+      room: optionalParam(conversationKey),
+      author: optionalParam(cleanString('Author', { max: LIMITS.usernameMax })),
+      from: optionalParam(dateValue('"from"')),
+      to: optionalParam(dateValue('"to"')),
+      hasAttachment: optionalParam(z.enum(['true', 'false'])),
+      limit: optionalParam(boundedInt('Limit', 1, LIMITS.searchResults))
+    })
+  }
+};
+
+module.exports = { LIMITS, socketEvents, http };
@@ -0,0 +1,53 @@
+// server/webhooks/destination.js
+const dns = require('dns');
+const net = require('net');
+
+// Addresses an outgoing webhook may never reach: this host, private networks, link-local (cloud metadata
+// services live at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) match the IPv4 rules.
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => blocked.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const refused = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Checks where an outgoing webhook would POST, so room owners can't aim the server at internal services.
+// check(url) resolves the host and rejects (status 400) when any of its addresses is internal. It runs when
+// a webhook is created and again before every delivery, since DNS can change in between.
+// `allowedHosts` (WEBHOOK_ALLOWED_HOSTS) are host names trusted as they are, e.g. a receiver on the same
+// network; `lookup` is dns.promises.lookup, replaceable in tests.
+const createDestinationCheck = ({ allowedHosts = [], lookup = dns.promises.lookup } = {}) => {
+  const trusted = new Set(allowedHosts.map(host => host.toLowerCase()));
+
+  const check = async (url) => {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (trusted.has(host)) return;
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw refused(`The webhook URL's host ${host} could not be found.`);
+    }
+    const internal = addresses.find(({ address }) => isBlockedAddress(address));
+    if (internal) {
+      throw refused(`Webhook URLs must point to a public address, not ${internal.address}.`);
+    }
+  };
+
+  return { check };
+};
+
+module.exports = { createDestinationCheck, isBlockedAddress };
@@ -0,0 +1,158 @@
+// server/webhooks/dispatcher.js
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { HEADERS, signPayload } = require('./signature');
+const { createDestinationCheck } = require('./destination');
+
+// How long to wait before each retry. A delivery that still fails after the last one is marked failed.
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+// The body outgoing webhooks receive for a new room message (plus the delivery `id` and `event`)
+const messagePayload = (message) => ({
+  room: message.room,
+  message: {
+    id: String(message.id),
+    username: message.username,
+    text: message.text,
+    timestamp: message.timestamp,
+    isAction: Boolean(message.isAction),
+    parentId: message.parentId ? String(message.parentId) : null,
+    replyMode: message.replyMode || null,
+    attachments: (message.attachments || []).map(({ url, name, mimeType, size }) => ({ url, name, mimeType, size }))
+  }
+});
+
+// Sends new room messages to outgoing webhooks (models/Webhook.js) as signed JSON (see ./signature.js).
+// Every event is stored as a WebhookDelivery first, so the delivery log shows each attempt and
+// pending retries survive a restart. Any instance may pick up a due retry: claiming a delivery
+// pushes its `nextAttemptAt` past the request timeout, so two instances never send it at once.
+// `fetch` can be swapped out. `destinations` (./destination.js) refuses internal addresses before each
+// attempt; tests allow the host of their local HTTP stub.
+const createWebhookDispatcher = ({
+  fetch: send = fetch,
+  destinations = createDestinationCheck(),
+  retryDelaysMs = RETRY_DELAYS_MS,
+  timeoutMs = REQUEST_TIMEOUT_MS,
+  pollIntervalMs = POLL_INTERVAL_MS
+} = {}) => {
+  let timer = null;
+  let isPolling = false;
+
+  // POST one delivery. Resolves to the attempt for the log; never throws.
+  const post = async (webhook, delivery) => {
+    const body = JSON.stringify({ id: String(delivery._id), event: delivery.event, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = (status, error) => ({ at: new Date(startedAt), status, error, durationMs: Date.now() - startedAt });
+
+    try {
+      await destinations.check(webhook.url);
+      const response = await send(webhook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          [HEADERS.signature]: signPayload(webhook.secret, timestamp, body),
+          [HEADERS.timestamp]: String(timestamp),
+          [HEADERS.event]: delivery.event,
+          [HEADERS.delivery]: String(delivery._id)
+        },
+        body,
+        redirect: 'manual', // A redirect is a failure, not an invitation to post elsewhere
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await response.arrayBuffer().catch(() => null); // The response body is not used
+      return attempt(response.status, response.ok ? '' : `HTTP ${response.status}`);
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `No response within ${timeoutMs} ms` : (error.cause?.message || error.message);
+      return attempt(null, message.slice(0, MAX_ERROR_LENGTH));
+    }
+  };
+
+  // Make one attempt at a delivery this instance has claimed, and record the outcome
+  const attempt = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed'; // The webhook was deleted in the meantime
+      return delivery.save();
+    }
+
+    const result = await post(webhook, delivery);
+    delivery.attempts.push(result);
+    if (!result.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      logger.debug(`Webhook delivery ${delivery._id} to ${webhook.name} succeeded (HTTP ${result.status})`);
+    } else if (delivery.attempts.length > retryDelaysMs.length) {
+      delivery.status = 'failed';
+      logger.warn(`Webhook delivery ${delivery._id} to ${webhook.name} failed for good: ${result.error}`);
+    } else {
+      const delay = retryDelaysMs[delivery.attempts.length - 1];
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      logger.info(`Webhook delivery ${delivery._id} to ${webhook.name} failed (${result.error}), retrying in ${delay} ms`);
+    }
+    return delivery.save();
+  };
+
+  // Take a due delivery (optionally a particular one) so no other instance sends it meanwhile
+  const claim = (filter = {}) => WebhookDelivery.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { nextAttemptAt: new Date(Date.now() + 2 * timeoutMs) },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+  // Send every delivery that is due, one at a time. Resolves to how many were attempted.
+  const processDue = async () => {
+    let count = 0;
+    for (let delivery = await claim(); delivery; delivery = await claim()) {
+      await attempt(delivery);
+      count += 1;
+    }
+    return count;
+  };
+
+  // Queue a new room message for each outgoing webhook of its room that wants it, and try them right away.
+  // Messages posted through incoming webhooks are not forwarded, so webhooks can't feed each other in a loop.
+  // Resolves to the deliveries once their first attempt is done.
+  const messageCreated = async (message) => {
+    if (message.isPrivate || message.webhookId) return [];
+    const webhooks = (await Webhook.find({ room: message.room, kind: 'outgoing' })).filter(webhook => webhook.matches(message));
+    if (!webhooks.length) return [];
+
+    const payload = messagePayload(message);
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      event: 'message.created',
+      payload
+    })));
+    return Promise.all(deliveries.map(async (delivery) => {
+      const claimed = await claim({ _id: delivery._id });
+      return claimed ? attempt(claimed) : delivery;
+    }));
+  };
+
+  // Retry due deliveries in the background until close()
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      if (isPolling) return;
+      isPolling = true;
+      processDue()
+        .catch(error => logger.error(`Webhook retry pass failed: ${error.message}`))
+        .finally(() => { isPolling = false; });
+    }, pollIntervalMs);
+    timer.unref();
+  };
+
+  const close = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { messageCreated, processDue, start, close };
+};
+
+module.exports = { createWebhookDispatcher, RETRY_DELAYS_MS };
@@ -0,0 +1,8 @@
+// server/webhooks/index.js
+const { createWebhookDispatcher, RETRY_DELAYS_MS } = require('./dispatcher');
+const { HEADERS, signPayload, verifySignature } = require('./signature');
+const { createDestinationCheck } = require('./destination');
+
+// Outgoing webhooks: new room messages POSTed as signed JSON, with retries and a delivery log.
+// Incoming webhooks are plain REST routes (see ../routes/webhooks.js).
+module.exports = { createWebhookDispatcher, createDestinationCheck, RETRY_DELAYS_MS, HEADERS, signPayload, verifySignature };
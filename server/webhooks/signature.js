@@ -0,0 +1,30 @@
+// server/webhooks/signature.js
+const crypto = require('crypto');
+
+// Outgoing webhook requests carry these headers. Receivers recompute the signature over
+// "<timestamp>.<raw body>" with the webhook's secret, and reject stale timestamps to stop replays.
+const HEADERS = {
+  signature: 'x-chat-signature', // "sha256=<hex HMAC>"
+  timestamp: 'x-chat-timestamp', // Unix time in seconds
+  event: 'x-chat-event',
+  delivery: 'x-chat-delivery' // Delivery ID, the same for every retry of one event
+};
+
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// For receivers (and tests): true if `signature` matches `body` and `timestamp` is recent enough
+const verifySignature = (secret, { signature, timestamp, body }, { toleranceMs = DEFAULT_TOLERANCE_MS, now = Date.now() } = {}) => {
+  if (typeof signature !== 'string' || !/^\d+$/.test(String(timestamp))) return false;
+  if (Math.abs(now - Number(timestamp) * 1000) > toleranceMs) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { HEADERS, signPayload, verifySignature };